@@ -2,7 +2,10 @@ const headers = Object.freeze({
     COMPANY_ID: 'X-Company-Id',
     COMPANY_NAME: 'X-Company-Name',
     CONTENT_TYPE: 'Content-Type',
+    INTERNAL_NONCE: 'X-Internal-Nonce',
     INTERNAL_REQUEST: 'X-Internal-Request',
+    INTERNAL_TIMESTAMP: 'X-Internal-Timestamp',
+    REQUEST_ID: 'X-Request-Id',
     SERVICE_CHANNEL: 'X-Service-Channel',
     SOURCE_TYPE: 'X-Source-Type',
     USER_AGENT: 'User-Agent',
@@ -3,6 +3,10 @@ const redisKeyPrefix = Object.freeze({
     WAP_PHONE_NUMBER_ID: 'wapPhoneNumberId',
     MSN_PAGE_ID: 'msnPageId',
     IGM_BUSINESS_ACCOUNT_ID: 'igmBusinessAccountId',
+    INTERNAL_NONCE: 'internal_nonce',
+    READ_CACHE: 'read_cache',
+    LOCK: 'lock',
+    LOCK_FENCING: 'lock_fencing',
 });
 
 const messagesRedisStream = Object.freeze({
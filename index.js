@@ -1,15 +1,23 @@
 // Libs - Core, standalone utilities
+const authorization = require('./lib/authorization');
 const axiosClient = require('./lib/axiosClient');
 const constants = require('./constants');
 const crypt = require('./lib/crypt');
+const errors = require('./lib/errors');
+const internalAuth = require('./lib/internalAuth');
 const logger = require('./lib/logger');
 const mongoDBService = require('./lib/mongoDBService');
+const readCache = require('./lib/readCache');
+const redaction = require('./lib/redaction');
 const redisService = require('./lib/redisService');
+const requestContext = require('./lib/requestContext');
+const StreamConsumer = require('./lib/streamConsumer');
 
 // Source Modules - Application logic grouped by domain
 // This assumes each directory has an index.js file that exports its public members.
 const controllers = require('./src/controllers');
 const middlewares = require('./src/middlewares');
+const models = require('./src/models');
 const services = require('./src/services');
 
 try {
@@ -21,15 +29,23 @@ try {
 
 module.exports = {
   // Libs
+  authorization,
   axiosClient,
   constants,
   crypt,
+  errors,
+  internalAuth,
   logger,
   mongoDBService,
+  readCache,
+  redaction,
   redisService,
+  requestContext,
+  StreamConsumer,
 
   // Namespaced modules
   controllers,
   middlewares,
+  models,
   services,
 };
@@ -0,0 +1,95 @@
+/**
+ * @module authorization
+ * @description Jerarquía de roles y permisos basados en las constantes `rol`.
+ *
+ * La jerarquía indica qué roles hereda cada rol. Por defecto: `system` > `admin` > `user` > `viewer`,
+ * es decir, un `admin` tiene también los permisos de `user` y `viewer`. Los roles que no aparecen
+ * en la jerarquía (ej. `agent`, `tracking_user`) solo se representan a sí mismos.
+ *
+ * Los permisos asocian un nombre (ej. 'read', 'write') a los roles mínimos que lo conceden.
+ * Ambos mapas se pueden reemplazar o ampliar al iniciar el servicio con `setRoleHierarchy` y `setPermissions`.
+ */
+
+const { rol } = require('../constants');
+
+const DEFAULT_ROLE_HIERARCHY = Object.freeze({
+    [rol.SYSTEM_ADMIN_ROLE]: [rol.CUSTOMER_ADMIN_ROLE],
+    [rol.CUSTOMER_ADMIN_ROLE]: [rol.USER_ROLE],
+    [rol.USER_ROLE]: [rol.VIEWER_ROLE],
+    [rol.VIEWER_ROLE]: [],
+});
+
+const DEFAULT_PERMISSIONS = Object.freeze({
+    read: [rol.VIEWER_ROLE],
+    write: [rol.USER_ROLE],
+    delete: [rol.USER_ROLE],
+    manage: [rol.CUSTOMER_ADMIN_ROLE],
+});
+
+let roleHierarchy = { ...DEFAULT_ROLE_HIERARCHY };
+let permissions = { ...DEFAULT_PERMISSIONS };
+
+/**
+ * Reemplaza la jerarquía de roles.
+ * @param {Object<string, string[]>} hierarchy - Mapa rol -> roles que hereda directamente.
+ */
+const setRoleHierarchy = (hierarchy) => {
+    roleHierarchy = { ...hierarchy };
+};
+
+/**
+ * Añade o reemplaza permisos. Los permisos no indicados conservan su definición actual.
+ * @param {Object<string, string[]>} map - Mapa permiso -> roles que lo conceden.
+ */
+const setPermissions = (map) => {
+    permissions = { ...permissions, ...map };
+};
+
+/**
+ * Devuelve los roles efectivos de un usuario: sus roles más todos los que heredan según la jerarquía.
+ * @param {string[]} roles - Los roles asignados al usuario.
+ * @returns {Set<string>}
+ */
+const expandRoles = (roles = []) => {
+    const effective = new Set();
+    const pending = [...roles];
+    while (pending.length > 0) {
+        const role = pending.pop();
+        if (effective.has(role)) continue;
+        effective.add(role);
+        pending.push(...(roleHierarchy[role] || []));
+    }
+    return effective;
+};
+
+/**
+ * Indica si el usuario tiene (directamente o por herencia) alguno de los roles requeridos.
+ * @param {string[]} userRoles - Los roles del usuario.
+ * @param {string[]} requiredRoles - Los roles aceptados.
+ * @returns {boolean}
+ */
+const hasRole = (userRoles, requiredRoles) => {
+    const effective = expandRoles(userRoles);
+    return requiredRoles.some(role => effective.has(role));
+};
+
+/**
+ * Indica si el usuario tiene un permiso. Un permiso no definido no se concede a nadie.
+ * @param {string[]} userRoles - Los roles del usuario.
+ * @param {string} permission - El nombre del permiso (ej. 'write').
+ * @returns {boolean}
+ */
+const hasPermission = (userRoles, permission) => {
+    const grantedTo = permissions[permission];
+    return Array.isArray(grantedTo) && hasRole(userRoles, grantedTo);
+};
+
+module.exports = {
+    DEFAULT_PERMISSIONS,
+    DEFAULT_ROLE_HIERARCHY,
+    expandRoles,
+    hasPermission,
+    hasRole,
+    setPermissions,
+    setRoleHierarchy,
+};
@@ -1,11 +1,47 @@
 const axios = require('axios');
-const logger = require('./logger');
+const logger = require('./logger').forModule('axiosClient');
+const { redact } = require('./redaction');
+const requestContext = require('./requestContext');
+const internalAuth = require('./internalAuth');
+const { headers } = require('../constants');
 
 const internalApiClient = axios.create({
     timeout: process.env.AXIOS_TIME_OUT || 5000,
     // baseURL no se establece aquí, ya que se determinará por servicio.
 });
 
+/**
+ * Añade a la configuración de axios las cabeceras de firma de la petición interna.
+ * Los cuerpos objeto se serializan aquí a JSON para que la firma cubra exactamente los bytes enviados.
+ * @param {import('axios').InternalAxiosRequestConfig} axiosReqConfig
+ * @throws {Error} Si el cuerpo no se puede firmar (FormData, streams, instancias de clases...).
+ */
+const signRequest = (axiosReqConfig) => {
+    let { data } = axiosReqConfig;
+    if (data !== undefined && data !== null && typeof data !== 'string' && !Buffer.isBuffer(data)) {
+        if (Array.isArray(data) || Object.getPrototypeOf(data) === Object.prototype) {
+            data = JSON.stringify(data);
+            axiosReqConfig.data = data;
+            if (!axiosReqConfig.headers.has(headers.CONTENT_TYPE)) {
+                axiosReqConfig.headers.set(headers.CONTENT_TYPE, 'application/json');
+            }
+        } else {
+            // Enviarla sin firma solo haría que el destino la rechazara con un 401 menos claro.
+            throw new Error(`[AxiosClient] No se puede firmar un cuerpo de tipo ${data.constructor?.name || typeof data}: `
+                + 'las peticiones internas deben enviar un objeto, un array, un string o un Buffer');
+        }
+    }
+
+    const uri = new URL(internalApiClient.getUri(axiosReqConfig), 'http://localhost');
+    const signatureHeaders = internalAuth.signRequest({
+        method: axiosReqConfig.method,
+        path: `${uri.pathname}${uri.search}`,
+        body: data,
+        getHeader: name => axiosReqConfig.headers.get(name),
+    });
+    Object.entries(signatureHeaders).forEach(([name, value]) => axiosReqConfig.headers.set(name, value));
+};
+
 // Interceptor de solicitud
 internalApiClient.interceptors.request.use(
     (axiosReqConfig) => {
@@ -13,6 +49,32 @@ internalApiClient.interceptors.request.use(
         const originalRelativeUrl = axiosReqConfig.url;
         logger.debug(`[AxiosClient] Interceptando solicitud para ruta relativa: ${originalRelativeUrl}`);
 
+        // Propaga el contexto de la petición en curso al servicio de destino.
+        // La identidad solo se propaga si fue verificada (`authClient`) o es la de un proceso del sistema
+        // (`runAsSystem`), ya que la firma hace que el destino la dé por autenticada.
+        // Las cabeceras indicadas explícitamente por el llamador tienen prioridad.
+        const context = requestContext.getContext();
+        if (context) {
+            const identity = context.authenticated || context.isSystem ? context : {};
+            const contextHeaders = {
+                [headers.REQUEST_ID]: context.requestId,
+                [headers.COMPANY_ID]: identity.companyId,
+                [headers.USER_ID]: identity.userId,
+                [headers.USER_NAME]: identity.username,
+                [headers.USER_ROLES]: identity.roles && identity.roles.length > 0 ? JSON.stringify(identity.roles) : undefined,
+            };
+            Object.entries(contextHeaders).forEach(([name, value]) => {
+                if (value !== undefined && value !== null && !axiosReqConfig.headers.has(name)) {
+                    axiosReqConfig.headers.set(name, String(value));
+                }
+            });
+        }
+
+        // Firma la petición (ver `internalAuth`) una vez fijadas las cabeceras de usuario.
+        if (internalAuth.isEnabled()) {
+            signRequest(axiosReqConfig);
+        }
+
         return axiosReqConfig;
     },
     (error) => {
@@ -31,7 +93,7 @@ internalApiClient.interceptors.response.use(
         const url = error.config?.url;
         const status = error.response?.status;
         const data = error.response?.data;
-        logger.error(`[AxiosClient] Error en respuesta de ${url || 'URL desconocida'}. Estado: ${status || 'N/A'}. Datos: ${JSON.stringify(data || error.message)}`);
+        logger.error(`[AxiosClient] Error en respuesta de ${url || 'URL desconocida'}. Estado: ${status || 'N/A'}. Datos: ${JSON.stringify(redact(data) || error.message)}`);
         return Promise.reject(error);
     }
 );
@@ -3,26 +3,111 @@
  * @description Módulo de utilidad para la encriptación, desencriptación y hashing de datos.
  * Utiliza el algoritmo AES-256-GCM para una encriptación autenticada, que garantiza
  * tanto la confidencialidad como la integridad de los datos.
+ * Las claves se gestionan como un llavero de claves versionadas que permite rotarlas (ver la configuración más abajo).
  */
 
-const logger = require('./logger');
+const logger = require('./logger').forModule('crypt');
 const crypto = require('crypto');
 
 // --- CONFIGURACIÓN DE SEGURIDAD ---
 
-const ENCRYPTION_KEY = 'aac73803899eac3e9635af59b2c82fb76638dcd4133aa1a039cba963cca43ebb';
+/*
+ * Las claves se cargan de la configuración como un llavero (keyring) de claves versionadas:
+ * - ENCRYPTION_KEYS: claves por id, como JSON (`{"2024-01":"<hex>","2025-06":"<hex>"}`) o como lista `id:hex,id:hex`.
+ * - ENCRYPTION_KEY_ID: id de la clave con la que se encripta. Por defecto la última del llavero.
+ * - ENCRYPTION_KEY: clave única heredada (id `legacy`). Es la que se usa para desencriptar los textos
+ *   en el formato antiguo 'iv.authTag.encryptedText', que no indica la clave.
+ * Cada clave es una cadena hexadecimal de 64 caracteres (32 bytes).
+ *
+ * El texto cifrado incluye el id de la clave: 'keyId.iv.authTag.encryptedText'. Para rotar la clave se añade
+ * una nueva al llavero, se marca como actual con ENCRYPTION_KEY_ID y se migran los datos con `reEncryptCollection`.
+ */
 
-// Verificación crítica al inicio de la aplicación.
-// Si la clave no está definida o no tiene el formato correcto, la aplicación no debe continuar.
-if (!ENCRYPTION_KEY || ENCRYPTION_KEY.length !== 64) {
-    logger.error('CRITICAL: La variable de entorno ENCRYPTION_KEY no está definida o no es una cadena hexadecimal de 64 caracteres.');
-    // En un entorno de producción, es crucial detener la ejecución para evitar que la
-    // aplicación se inicie en un estado inseguro. Ver la explicación en la segunda parte.
-    process.exit(1);
-}
+const LEGACY_KEY_ID = 'legacy';
+const KEY_ID_REGEX = /^[A-Za-z0-9_-]+$/;
+
+// Llavero cargado de forma perezosa en el primer uso (ver `getKeyring`).
+let keyring = null;
 
-// Convierte la clave de formato hexadecimal a un Buffer, que es el formato requerido por la API de crypto.
-const key = Buffer.from(ENCRYPTION_KEY, 'hex');
+/**
+ * Convierte la definición de claves (`ENCRYPTION_KEYS`) en una lista de pares [id, hex].
+ * @param {string | object | undefined} value - JSON, lista `id:hex,id:hex` u objeto.
+ * @returns {Array<[string, string]>}
+ */
+const parseKeys = (value) => {
+    if (!value) return [];
+    if (typeof value === 'object') return Object.entries(value);
+    try {
+        return Object.entries(JSON.parse(value));
+    } catch (e) {
+        // No es JSON: se interpreta como lista `id:hex` separada por comas.
+        return String(value).split(',').filter(Boolean).map(entry => entry.trim().split(':'));
+    }
+};
+
+/**
+ * Construye y valida un llavero.
+ * @param {object} config
+ * @param {Array<[string, string]>} config.entries - Pares [id, clave hexadecimal].
+ * @param {string} [config.currentKeyId] - El id de la clave actual. Por defecto la última.
+ * @returns {{keys: Map<string, Buffer>, currentKeyId: string}}
+ * @throws {Error} Si no hay claves, alguna no es válida o la clave actual no existe.
+ */
+const buildKeyring = ({ entries, currentKeyId }) => {
+    const keys = new Map();
+    entries.forEach(([id, hex]) => {
+        if (!id || !KEY_ID_REGEX.test(id)) {
+            throw new Error(`Invalid encryption key id '${id}': only letters, digits, '_' and '-' are allowed.`);
+        }
+        if (typeof hex !== 'string' || !/^[0-9a-fA-F]{64}$/.test(hex)) {
+            throw new Error(`Encryption key '${id}' must be a 64-character hex string.`);
+        }
+        keys.set(id, Buffer.from(hex, 'hex'));
+    });
+    if (keys.size === 0) {
+        throw new Error('No encryption keys configured. Set ENCRYPTION_KEYS (or ENCRYPTION_KEY).');
+    }
+    const current = currentKeyId || [...keys.keys()].pop();
+    if (!keys.has(current)) {
+        throw new Error(`Current encryption key '${current}' is not in the keyring.`);
+    }
+    return { keys, currentKeyId: current };
+};
+
+/**
+ * Configura el llavero de forma programática (ej. con claves obtenidas de un gestor de secretos).
+ * Reemplaza la configuración de las variables de entorno.
+ *
+ * @param {object} config
+ * @param {Object<string, string>} config.keys - Claves hexadecimales por id.
+ * @param {string} [config.currentKeyId] - El id de la clave con la que se encripta. Por defecto la última.
+ * @throws {Error} Si la configuración no es válida.
+ */
+const configure = ({ keys, currentKeyId }) => {
+    keyring = buildKeyring({ entries: parseKeys(keys), currentKeyId });
+    logger.info(`[Encryption] Llavero configurado con ${keyring.keys.size} clave(s); clave actual '${keyring.currentKeyId}'`);
+};
+
+/**
+ * Devuelve el llavero, cargándolo de las variables de entorno en el primer uso.
+ * @returns {{keys: Map<string, Buffer>, currentKeyId: string}}
+ * @throws {Error} Si las claves no están configuradas o no son válidas.
+ */
+const getKeyring = () => {
+    if (!keyring) {
+        const entries = parseKeys(process.env.ENCRYPTION_KEYS);
+        if (process.env.ENCRYPTION_KEY && !entries.some(([id]) => id === LEGACY_KEY_ID)) {
+            entries.unshift([LEGACY_KEY_ID, process.env.ENCRYPTION_KEY]);
+        }
+        try {
+            keyring = buildKeyring({ entries, currentKeyId: process.env.ENCRYPTION_KEY_ID });
+        } catch (error) {
+            logger.error(`CRITICAL: Configuración de claves de encriptación inválida: ${error.message}`);
+            throw error;
+        }
+    }
+    return keyring;
+};
 
 // Constantes para el algoritmo de encriptación.
 const ALGORITHM = 'aes-256-gcm'; // Algoritmo robusto que incluye autenticación (GCM).
@@ -30,12 +115,13 @@ const IV_LENGTH = 16; // Longitud del Vector de Inicialización (IV) en bytes. 1
 
 
 /**
- * Encripta un texto utilizando el algoritmo AES-256-GCM.
- * El resultado es una cadena que contiene el IV, el tag de autenticación y el texto cifrado,
+ * Encripta un texto utilizando el algoritmo AES-256-GCM con la clave actual del llavero.
+ * El resultado es una cadena que contiene el id de la clave, el IV, el tag de autenticación y el texto cifrado,
  * separados por puntos, para facilitar su posterior desencriptación.
  *
  * @param {string | null | undefined} text - El texto a encriptar. Si es nulo, indefinido o vacío, se devuelve tal cual.
- * @returns {string | null | undefined} El texto encriptado en formato 'iv.authTag.encryptedText' o el texto original si no era válido.
+ * @returns {string | null | undefined} El texto encriptado en formato 'keyId.iv.authTag.encryptedText' o el texto original si no era válido.
+ * @throws {Error} Si las claves de encriptación no están configuradas.
  */
 const encrypt = (text) => {
     // Si el texto de entrada no es válido, no hay nada que encriptar.
@@ -46,6 +132,8 @@ const encrypt = (text) => {
     // 1. Generar un Vector de Inicialización (IV) aleatorio para cada encriptación.
     // Esto asegura que encriptar el mismo texto varias veces produzca resultados diferentes.
     const iv = crypto.randomBytes(IV_LENGTH);
+    const { keys, currentKeyId } = getKeyring();
+    const key = keys.get(currentKeyId);
 
     // 2. Crear un objeto 'cipher' con el algoritmo, la clave y el IV.
     const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
@@ -59,52 +147,108 @@ const encrypt = (text) => {
     const authTag = cipher.getAuthTag();
 
     // 5. Devolver una cadena estructurada con todos los componentes necesarios para la desencriptación.
-    // Formato: [iv en hex].[authTag en hex].[texto encriptado en hex]
-    return `${iv.toString('hex')}.${authTag.toString('hex')}.${encrypted}`;
+    // Formato: [id de la clave].[iv en hex].[authTag en hex].[texto encriptado en hex]
+    return `${currentKeyId}.${iv.toString('hex')}.${authTag.toString('hex')}.${encrypted}`;
 }
 
 /**
- * Desencripta un texto que fue encriptado previamente con la función `encrypt`.
- * Falla de forma segura si el texto ha sido manipulado o si la clave de encriptación es incorrecta.
+ * Separa un texto cifrado en sus partes. Admite el formato actual 'keyId.iv.authTag.encryptedText'
+ * y el heredado 'iv.authTag.encryptedText' (sin id de clave).
+ * @param {string} text - El texto cifrado.
+ * @returns {{keyId: string | null, iv: string, authTag: string, encryptedText: string} | null} Las partes, o `null` si el formato no es válido.
+ */
+const parseCiphertext = (text) => {
+    const parts = String(text).split('.');
+    let parsed = null;
+    if (parts.length === 3) {
+        const [iv, authTag, encryptedText] = parts;
+        parsed = { keyId: null, iv, authTag, encryptedText };
+    } else if (parts.length === 4 && KEY_ID_REGEX.test(parts[0])) {
+        const [keyId, iv, authTag, encryptedText] = parts;
+        parsed = { keyId, iv, authTag, encryptedText };
+    }
+    // IV y tag de 16 bytes en hexadecimal: evita confundir textos planos con puntos (ej. emails) con textos cifrados.
+    const isHex = (value, length) => new RegExp(`^[0-9a-fA-F]${length ? `{${length}}` : '*'}$`).test(value);
+    if (!parsed || !isHex(parsed.iv, IV_LENGTH * 2) || !isHex(parsed.authTag, 32) || !isHex(parsed.encryptedText)) {
+        return null;
+    }
+    return parsed;
+};
+
+/**
+ * Indica si un valor tiene el formato de un texto cifrado por `encrypt` (actual o heredado).
+ * Permite distinguir, antes de llamar a `decrypt`, los valores cifrados de los datos en claro.
+ * @param {*} value - El valor a comprobar.
+ * @returns {boolean}
+ */
+const isEncrypted = (value) => typeof value === 'string' && parseCiphertext(value) !== null;
+
+/**
+ * Desencripta las partes de un texto cifrado con una clave concreta.
+ * @throws {Error} Si el tag de autenticación no es válido para esa clave.
+ */
+const decryptWithKey = ({ iv, authTag, encryptedText }, key) => {
+    // Crear el objeto 'decipher' con los mismos parámetros (algoritmo, clave, IV).
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'hex'));
+
+    // Establecer el tag de autenticación. Este es el paso de verificación de integridad.
+    // Si el tag no coincide, la llamada a `decipher.final()` lanzará un error.
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+    let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+};
+
+/**
+ * Desencripta un texto que fue encriptado previamente con la función `encrypt`, usando la clave indicada en el propio texto.
+ * Los textos en el formato heredado (sin id de clave) se desencriptan con la clave `legacy` si existe;
+ * si no, se prueban las claves del llavero (GCM detecta la clave incorrecta).
+ * Falla de forma segura si el texto ha sido manipulado, no tiene el formato de un texto cifrado
+ * o si la clave de encriptación es incorrecta: nunca devuelve el valor recibido como si fuera el texto original.
+ * Para valores que pueden estar en claro (ej. datos anteriores a la encriptación), comprobar antes con `isEncrypted`.
  *
- * @param {string | null | undefined} text - El texto encriptado en formato 'iv.authTag.encryptedText'.
- * @returns {string} El texto original desencriptado.
- * @throws {Error} Lanza un error si la desencriptación falla (ej. tag de autenticación inválido),
+ * @param {string | null | undefined} text - El texto encriptado en formato 'keyId.iv.authTag.encryptedText' o 'iv.authTag.encryptedText'.
+ * @returns {string | null | undefined} El texto original desencriptado, o el valor recibido si es nulo, indefinido o vacío.
+ * @throws {Error} Lanza un error si el formato no es válido o la desencriptación falla (ej. tag de autenticación inválido),
  * lo que indica posible corrupción o manipulación de datos.
  */
 const decrypt = (text) => {
-    // Si el texto de entrada no es válido o no tiene el formato esperado, devolverlo sin intentar desencriptar.
-    if (text === null || typeof text === 'undefined' || text === '' || !String(text).includes('.')) {
+    // Si no hay valor, no hay nada que desencriptar.
+    if (text === null || typeof text === 'undefined' || text === '') {
         return text;
     }
 
+    // 1. Separar las partes del texto encriptado: id de clave (opcional), IV, tag de autenticación y el cifrado.
+    const parsed = parseCiphertext(text);
+    if (!parsed) {
+        // No se registra el valor: puede ser un dato en claro.
+        logger.error('[Encryption] Fallo al desencriptar: el valor no tiene el formato de un texto cifrado');
+        throw new Error('Decryption failed. The value is not a valid ciphertext.');
+    }
+
+    const { keys } = getKeyring();
     try {
-        // 1. Separar las tres partes del texto encriptado: IV, tag de autenticación y el cifrado.
-        const parts = String(text).split('.');
-        if (parts.length !== 3) {
-            console.warn(`[Encryption] Formato de texto cifrado inválido para: ${text}. Se esperaban 3 partes separadas por '.'`);
-            return text; // Devolver el texto original si el formato es incorrecto.
+        // 2. Elegir la clave: la indicada en el texto, o la heredada (o todas) para el formato antiguo.
+        if (parsed.keyId) {
+            const key = keys.get(parsed.keyId);
+            if (!key) {
+                throw new Error(`Unknown encryption key '${parsed.keyId}'`);
+            }
+            return decryptWithKey(parsed, key);
         }
-
-        // 2. Convertir las partes de hexadecimal a Buffers.
-        const iv = Buffer.from(parts[0], 'hex');
-        const authTag = Buffer.from(parts[1], 'hex');
-        const encryptedText = parts[2];
-
-        // 3. Crear el objeto 'decipher' con los mismos parámetros (algoritmo, clave, IV).
-        const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-
-        // 4. Establecer el tag de autenticación. Este es el paso de verificación de integridad.
-        // Si el tag no coincide, la llamada a `decipher.final()` lanzará un error.
-        decipher.setAuthTag(authTag);
-
-        // 5. Desencriptar el texto.
-        let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        return decrypted;
+        const candidates = keys.has(LEGACY_KEY_ID) ? [keys.get(LEGACY_KEY_ID)] : [...keys.values()];
+        for (const key of candidates) {
+            try {
+                return decryptWithKey(parsed, key);
+            } catch (e) {
+                // Clave incorrecta: se prueba la siguiente.
+            }
+        }
+        throw new Error('No key in the keyring matches the ciphertext');
 
     } catch (error) {
-        logger.error(`[Encryption] Fallo al desencriptar: ${error.message}`, { text });
+        logger.error({ keyId: getKeyId(text) }, `[Encryption] Fallo al desencriptar: ${error.message}`);
         // Es una práctica de seguridad más robusta lanzar un error que devolver
         // el texto cifrado original, ya que esto alerta al sistema de un problema grave.
         throw new Error('Decryption failed. Data may be tampered or key may be incorrect.');
@@ -113,7 +257,8 @@ const decrypt = (text) => {
 
 /**
  * Genera un hash SHA-256 de una entrada dada. Es un proceso de un solo sentido.
- * Útil para almacenar contraseñas o verificar la integridad de datos sin necesidad de revertirlos.
+ * Útil para verificar la integridad de datos sin necesidad de revertirlos. No debe usarse para contraseñas:
+ * no lleva sal y es demasiado rápido; para ello se usa `hashPassword`.
  *
  * @param {*} text - La entrada a hashear. Será convertida a string.
  * @returns {string} El hash SHA-256 resultante, codificado en hexadecimal.
@@ -124,5 +269,321 @@ const hash = (text) => {
     return crypto.createHash('sha256').update(stringToHash).digest('hex');
 }
 
+// --- CONTRASEÑAS ---
+
+/*
+ * Las contraseñas se hashean con bcrypt (dependencia opcional) o, si no está instalado, con scrypt de `crypto`.
+ * - PASSWORD_HASH_ALGORITHM: 'bcrypt' o 'scrypt'. Por defecto bcrypt si está disponible.
+ * - PASSWORD_BCRYPT_ROUNDS: coste de bcrypt (log2 de las iteraciones). Por defecto 12.
+ * - PASSWORD_SCRYPT_COST: coste de scrypt (log2 de N). Por defecto 15 (N = 32768, r = 8, p = 1).
+ *
+ * Los hashes de scrypt se guardan como '$scrypt$ln=15,r=8,p=1$<sal base64>$<hash base64>'.
+ * Los hashes SHA-256 heredados (64 caracteres hexadecimales, ver `hash`) se siguen aceptando en `verifyPassword`
+ * y se reemplazan por un hash actual en cuanto el usuario se autentica.
+ */
+
+const DEFAULT_BCRYPT_ROUNDS = 12;
+const DEFAULT_SCRYPT_COST = 15;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELIZATION = 1;
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_SALT_LENGTH = 16;
+const SCRYPT_PREFIX = '$scrypt$';
+const BCRYPT_HASH_REGEX = /^\$2[aby]\$(\d{2})\$[./A-Za-z0-9]{53}$/;
+const SCRYPT_HASH_REGEX = /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/;
+const LEGACY_HASH_REGEX = /^[0-9a-f]{64}$/i;
+
+// bcrypt se carga en el primer uso; `null` si no está instalado.
+let bcryptModule;
+const getBcrypt = () => {
+    if (bcryptModule === undefined) {
+        try {
+            bcryptModule = require('bcrypt');
+        } catch (error) {
+            bcryptModule = null;
+            logger.info('[Encryption] bcrypt no está instalado; las contraseñas se hashean con scrypt.');
+        }
+    }
+    return bcryptModule;
+};
+
+const parseCost = (value, fallback) => {
+    const cost = parseInt(value, 10);
+    return Number.isInteger(cost) && cost > 0 ? cost : fallback;
+};
+
+/**
+ * Resuelve la configuración de hashing de contraseñas a partir de las opciones y de las variables de entorno.
+ * @param {object} [options]
+ * @returns {{algorithm: string, rounds: number, cost: number}}
+ * @throws {Error} Si se pide bcrypt y no está instalado, o el algoritmo no es válido.
+ */
+const getPasswordConfig = (options = {}) => {
+    const algorithm = options.algorithm || process.env.PASSWORD_HASH_ALGORITHM || (getBcrypt() ? 'bcrypt' : 'scrypt');
+    if (!['bcrypt', 'scrypt'].includes(algorithm)) {
+        throw new Error(`Unsupported password hash algorithm '${algorithm}'.`);
+    }
+    if (algorithm === 'bcrypt' && !getBcrypt()) {
+        throw new Error("Password hash algorithm 'bcrypt' requires the 'bcrypt' package to be installed.");
+    }
+    return {
+        algorithm,
+        rounds: parseCost(options.rounds ?? process.env.PASSWORD_BCRYPT_ROUNDS, DEFAULT_BCRYPT_ROUNDS),
+        cost: parseCost(options.cost ?? process.env.PASSWORD_SCRYPT_COST, DEFAULT_SCRYPT_COST),
+    };
+};
+
+const scrypt = (password, salt, { cost, blockSize, parallelization }) => new Promise((resolve, reject) => {
+    const N = 2 ** cost;
+    // Por defecto `crypto.scrypt` limita la memoria a 32 MB, justo lo que necesita el coste por defecto.
+    const maxmem = 256 * N * blockSize;
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r: blockSize, p: parallelization, maxmem }, (error, key) => (
+        error ? reject(error) : resolve(key)
+    ));
+});
+
+/**
+ * Identifica el formato de un hash de contraseña almacenado.
+ * @param {string} stored - El hash almacenado.
+ * @returns {{algorithm: 'bcrypt'|'scrypt'|'sha256', rounds?: number, cost?: number} | null} `null` si no es un hash reconocido.
+ */
+const parsePasswordHash = (stored) => {
+    if (typeof stored !== 'string') return null;
+    const bcryptMatch = stored.match(BCRYPT_HASH_REGEX);
+    if (bcryptMatch) return { algorithm: 'bcrypt', rounds: parseInt(bcryptMatch[1], 10) };
+    const scryptMatch = stored.match(SCRYPT_HASH_REGEX);
+    if (scryptMatch) {
+        const [, cost, blockSize, parallelization, salt, key] = scryptMatch;
+        return {
+            algorithm: 'scrypt',
+            cost: parseInt(cost, 10),
+            blockSize: parseInt(blockSize, 10),
+            parallelization: parseInt(parallelization, 10),
+            salt: Buffer.from(salt, 'base64'),
+            key: Buffer.from(key, 'base64'),
+        };
+    }
+    if (LEGACY_HASH_REGEX.test(stored)) return { algorithm: 'sha256' };
+    return null;
+};
+
+/**
+ * Genera el hash de una contraseña con sal aleatoria, usando bcrypt o scrypt (ver la configuración más arriba).
+ * bcrypt solo tiene en cuenta los primeros 72 bytes de la contraseña.
+ *
+ * @param {string} password - La contraseña en claro.
+ * @param {object} [options]
+ * @param {'bcrypt'|'scrypt'} [options.algorithm] - Algoritmo. Por defecto `PASSWORD_HASH_ALGORITHM` o bcrypt si está instalado.
+ * @param {number} [options.rounds] - Coste de bcrypt. Por defecto `PASSWORD_BCRYPT_ROUNDS` o 12.
+ * @param {number} [options.cost] - Coste de scrypt (log2 de N). Por defecto `PASSWORD_SCRYPT_COST` o 15.
+ * @returns {Promise<string>} El hash, que incluye el algoritmo, el coste y la sal.
+ * @throws {Error} Si la contraseña está vacía o la configuración no es válida.
+ */
+const hashPassword = async (password, options = {}) => {
+    if (typeof password !== 'string' || password.length === 0) {
+        throw new Error('Password must be a non-empty string.');
+    }
+    const config = getPasswordConfig(options);
+    if (config.algorithm === 'bcrypt') {
+        return getBcrypt().hash(password, config.rounds);
+    }
+    const salt = crypto.randomBytes(SCRYPT_SALT_LENGTH);
+    const key = await scrypt(password, salt, {
+        cost: config.cost,
+        blockSize: SCRYPT_BLOCK_SIZE,
+        parallelization: SCRYPT_PARALLELIZATION,
+    });
+    return `${SCRYPT_PREFIX}ln=${config.cost},r=${SCRYPT_BLOCK_SIZE},p=${SCRYPT_PARALLELIZATION}$${salt.toString('base64')}$${key.toString('base64')}`;
+};
+
+/**
+ * Indica si un hash almacenado debe regenerarse: es un SHA-256 heredado, usa otro algoritmo o un coste
+ * distinto del configurado. Se comprueba tras una verificación correcta, cuando se dispone de la contraseña en claro.
+ *
+ * @param {string} stored - El hash almacenado.
+ * @param {object} [options] - Las mismas opciones que `hashPassword`.
+ * @returns {boolean} `true` si el hash debe regenerarse.
+ */
+const needsRehash = (stored, options = {}) => {
+    const parsed = parsePasswordHash(stored);
+    if (!parsed || parsed.algorithm === 'sha256') return true;
+    const config = getPasswordConfig(options);
+    if (parsed.algorithm !== config.algorithm) return true;
+    return parsed.algorithm === 'bcrypt' ? parsed.rounds !== config.rounds : parsed.cost !== config.cost;
+};
+
+/**
+ * Verifica una contraseña contra su hash almacenado (bcrypt, scrypt o SHA-256 heredado).
+ * Si la contraseña es correcta y el hash debe regenerarse (ver `needsRehash`), se calcula uno nuevo y se
+ * entrega a `options.onRehash` para que el llamador lo guarde; así los hashes heredados se actualizan
+ * en el siguiente inicio de sesión. Un fallo de `onRehash` se registra pero no invalida la verificación.
+ *
+ * @param {string} password - La contraseña en claro.
+ * @param {string} stored - El hash almacenado.
+ * @param {object} [options] - Las opciones de `hashPassword`, más:
+ * @param {Function} [options.onRehash] - `async (newHash) => {}`. Recibe el hash actualizado.
+ * @returns {Promise<boolean>} `true` si la contraseña es correcta.
+ *
+ * @example
+ * const valid = await crypt.verifyPassword(password, user.password, {
+ *     onRehash: newHash => User.updateOne({ _id: user._id }, { password: newHash }),
+ * });
+ */
+const verifyPassword = async (password, stored, options = {}) => {
+    const parsed = parsePasswordHash(stored);
+    if (typeof password !== 'string' || !parsed) return false;
+
+    let valid;
+    if (parsed.algorithm === 'bcrypt') {
+        const bcrypt = getBcrypt();
+        if (!bcrypt) {
+            throw new Error("Verifying a bcrypt password hash requires the 'bcrypt' package to be installed.");
+        }
+        valid = await bcrypt.compare(password, stored);
+    } else if (parsed.algorithm === 'scrypt') {
+        const key = await scrypt(password, parsed.salt, parsed);
+        valid = key.length === parsed.key.length && crypto.timingSafeEqual(key, parsed.key);
+    } else {
+        valid = crypto.timingSafeEqual(Buffer.from(hash(password), 'hex'), Buffer.from(stored, 'hex'));
+    }
+
+    const { onRehash, ...hashOptions } = options;
+    if (valid && onRehash && needsRehash(stored, hashOptions)) {
+        try {
+            await onRehash(await hashPassword(password, hashOptions));
+        } catch (error) {
+            logger.error(`[Encryption] No se pudo actualizar el hash de la contraseña: ${error.message}`);
+        }
+    }
+    return valid;
+};
+
+/**
+ * Calcula el índice ciego (blind index) de un valor: un HMAC-SHA256 determinista con la clave `BLIND_INDEX_KEY`
+ * (hexadecimal de 64 caracteres, distinta de las claves de encriptación). Permite buscar por igualdad sobre
+ * campos encriptados sin desencriptarlos. A diferencia de las claves de encriptación, esta clave no se puede
+ * rotar sin recalcular todos los índices almacenados.
+ *
+ * @param {*} value - El valor (ya normalizado) a indexar. Será convertido a string.
+ * @returns {string} El HMAC en hexadecimal.
+ * @throws {Error} Si `BLIND_INDEX_KEY` no está configurada o no es válida.
+ */
+const blindIndex = (value) => {
+    const hex = process.env.BLIND_INDEX_KEY;
+    if (typeof hex !== 'string' || !/^[0-9a-fA-F]{64}$/.test(hex)) {
+        throw new Error('BLIND_INDEX_KEY must be configured as a 64-character hex string to use blind indexes.');
+    }
+    return crypto.createHmac('sha256', Buffer.from(hex, 'hex')).update(String(value)).digest('hex');
+};
+
+/**
+ * Obtiene el id de la clave con la que se encriptó un texto.
+ * @param {string} text - El texto cifrado.
+ * @returns {string | null} El id de la clave, o `null` si el texto está en el formato heredado o no es un texto cifrado.
+ */
+const getKeyId = (text) => {
+    const parsed = typeof text === 'string' ? parseCiphertext(text) : null;
+    return parsed ? parsed.keyId : null;
+};
+
+/**
+ * Indica si un texto cifrado no usa la clave actual y debe re-encriptarse.
+ * @param {*} text - El valor almacenado.
+ * @returns {boolean} `true` si es un texto cifrado con otra clave o en el formato heredado.
+ */
+const needsReEncryption = (text) => {
+    if (!isEncrypted(text)) return false;
+    return getKeyId(text) !== getKeyring().currentKeyId;
+};
+
+/**
+ * Re-encripta un texto con la clave actual si fue encriptado con otra.
+ * @param {string} text - El texto cifrado.
+ * @returns {string} El texto cifrado con la clave actual (o el mismo si ya la usaba).
+ */
+const reEncrypt = (text) => (needsReEncryption(text) ? encrypt(decrypt(text)) : text);
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+/**
+ * Migra los documentos de una colección a la clave actual, por lotes.
+ * Recorre la colección por `_id` y re-encripta los campos indicados que usen otra clave o el formato heredado.
+ * Escribe directamente en la colección (sin middlewares de Mongoose), de modo que la migración no altera
+ * los campos de auditoría ni la versión de los documentos.
+ *
+ * Cada documento solo se actualiza si sus campos conservan el texto cifrado leído: si otra escritura los cambió
+ * entre la lectura del lote y la actualización, el documento se omite (`skipped`) en lugar de sobrescribirlo con
+ * un valor antiguo. Los valores que no se pueden desencriptar se registran y se omiten (`failed`) sin detener la migración.
+ *
+ * @param {import('mongoose').Model} model - El modelo de Mongoose.
+ * @param {string[]} fields - Los campos encriptados (admite rutas anidadas, ej. 'credentials.token').
+ * @param {object} [options]
+ * @param {number} [options.batchSize=100] - Documentos por lote.
+ * @param {object} [options.filter={}] - Filtro adicional de los documentos a migrar.
+ * @param {Function} [options.onProgress] - Se llama tras cada lote con `{ scanned, updated, skipped, failed }`.
+ * @returns {Promise<{scanned: number, updated: number, skipped: number, failed: number}>} El número de documentos revisados,
+ * actualizados, omitidos por una escritura concurrente y con campos que no se pudieron desencriptar.
+ *
+ * @example await crypt.reEncryptCollection(Channel, ['accessToken', 'webhook.secret'], { batchSize: 200 });
+ */
+const reEncryptCollection = async (model, fields, options = {}) => {
+    const { batchSize = 100, filter = {}, onProgress } = options;
+    const projection = Object.fromEntries(fields.map(field => [field, 1]));
+    const totals = { scanned: 0, updated: 0, skipped: 0, failed: 0 };
+    let lastId = null;
+
+    for (;;) {
+        const pageFilter = lastId ? { $and: [filter, { _id: { $gt: lastId } }] } : filter;
+        const docs = await model.collection.find(pageFilter, { projection }).sort({ _id: 1 }).limit(batchSize).toArray();
+        if (docs.length === 0) break;
+
+        const operations = docs.map(doc => {
+            // El filtro incluye el texto cifrado leído de cada campo: si cambió desde entonces, no se actualiza.
+            const updateFilter = { _id: doc._id };
+            const $set = {};
+            let failed = false;
+            fields.forEach(field => {
+                const value = getPath(doc, field);
+                if (!needsReEncryption(value)) return;
+                try {
+                    $set[field] = reEncrypt(value);
+                    updateFilter[field] = value;
+                } catch (error) {
+                    failed = true;
+                    logger.error(`[Encryption] No se pudo re-encriptar ${model.modelName} ${doc._id} (${field}): ${error.message}`);
+                }
+            });
+            if (failed) totals.failed += 1;
+            return Object.keys($set).length > 0 ? { updateOne: { filter: updateFilter, update: { $set } } } : null;
+        }).filter(Boolean);
+
+        if (operations.length > 0) {
+            const result = await model.collection.bulkWrite(operations, { ordered: false });
+            totals.updated += result.matchedCount;
+            totals.skipped += operations.length - result.matchedCount;
+        }
+        totals.scanned += docs.length;
+        lastId = docs[docs.length - 1]._id;
+        logger.info(`[Encryption] Re-encriptación de ${model.modelName}: ${totals.scanned} revisados, ${totals.updated} actualizados, ${totals.skipped} omitidos, ${totals.failed} con errores`);
+        if (onProgress) onProgress({ ...totals });
+    }
+
+    return totals;
+};
+
 // Exporta las funciones para que puedan ser utilizadas en otras partes de la aplicación.
-module.exports = { encrypt, decrypt, hash };
\ No newline at end of file
+module.exports = {
+    blindIndex,
+    configure,
+    encrypt,
+    decrypt,
+    getKeyId,
+    hash,
+    hashPassword,
+    isEncrypted,
+    needsRehash,
+    needsReEncryption,
+    reEncrypt,
+    reEncryptCollection,
+    verifyPassword,
+};
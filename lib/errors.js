@@ -0,0 +1,155 @@
+/**
+ * @module errors
+ * @description Jerarquía de errores de la aplicación con su código HTTP.
+ *
+ * Los servicios lanzan estas clases y el manejador de errores (`responseHandleError`) las traduce a una
+ * respuesta con un formato único. Los errores de Mongoose (`ValidationError`, `CastError`, `VersionError`,
+ * clave duplicada 11000) se convierten a las mismas clases con `toAppError`.
+ *
+ * @example
+ * const { NotFoundError } = require('thothlib').errors;
+ * if (!doc) throw new NotFoundError(`Product ${id} not found`);
+ */
+
+/**
+ * Error base. Todos los errores de la aplicación tienen `status` (código HTTP), `code` (identificador estable
+ * para el cliente) y, opcionalmente, `details` (ej. los campos inválidos).
+ */
+class AppError extends Error {
+    /**
+     * @param {string} message - El mensaje del error.
+     * @param {object} [options]
+     * @param {number} [options.status=500] - El código HTTP.
+     * @param {string} [options.code='INTERNAL_ERROR'] - El código del error.
+     * @param {*} [options.details] - Información adicional para el cliente.
+     * @param {Error} [options.cause] - El error original.
+     */
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        if (details !== undefined) {
+            this.details = details;
+        }
+    }
+}
+
+/** Petición inválida: filtros, parámetros o cuerpo que no cumplen las reglas (HTTP 400). */
+class ValidationError extends AppError {
+    constructor(message, details) {
+        super(message, { status: 400, code: 'VALIDATION_ERROR', details });
+    }
+}
+
+/** Petición sin credenciales válidas (HTTP 401). */
+class UnauthorizedError extends AppError {
+    constructor(message = 'Unauthorized') {
+        super(message, { status: 401, code: 'UNAUTHORIZED' });
+    }
+}
+
+/** Usuario autenticado sin permisos para la operación (HTTP 403). */
+class ForbiddenError extends AppError {
+    constructor(message = 'Forbidden') {
+        super(message, { status: 403, code: 'FORBIDDEN' });
+    }
+}
+
+/** Recurso inexistente o fuera del alcance del usuario (HTTP 404). */
+class NotFoundError extends AppError {
+    constructor(message = 'Resource not found') {
+        super(message, { status: 404, code: 'NOT_FOUND' });
+    }
+}
+
+/** Conflicto con el estado actual del recurso, ej. clave duplicada (HTTP 409). */
+class ConflictError extends AppError {
+    constructor(message, details) {
+        super(message, { status: 409, code: 'CONFLICT', details });
+    }
+}
+
+/** No se pudo adquirir un lock distribuido en el tiempo indicado: otro proceso está ejecutando la operación (HTTP 409). */
+class LockNotAcquiredError extends AppError {
+    constructor(message, details) {
+        super(message, { status: 409, code: 'LOCK_NOT_ACQUIRED', details });
+    }
+}
+
+/** La versión del recurso no coincide con la esperada (`If-Match`) (HTTP 412). */
+class PreconditionFailedError extends AppError {
+    constructor(message) {
+        super(message, { status: 412, code: 'PRECONDITION_FAILED' });
+    }
+}
+
+/** Funcionalidad no disponible para el recurso (HTTP 501). */
+class NotImplementedError extends AppError {
+    constructor(message) {
+        super(message, { status: 501, code: 'NOT_IMPLEMENTED' });
+    }
+}
+
+/**
+ * Convierte cualquier error en un `AppError`:
+ * - Los `AppError` se devuelven tal cual.
+ * - Errores de Mongoose: `ValidationError` -> `ValidationError` (con los campos en `details`),
+ * `CastError` -> `ValidationError`, `VersionError` -> `PreconditionFailedError`,
+ * `DocumentNotFoundError` -> `NotFoundError`, clave duplicada (11000) -> `ConflictError`.
+ * - El formato heredado `{ message: 'ValidationFailed', details }` -> `ValidationError`.
+ * - Errores con `status`/`statusCode` (ej. los del parser de JSON de Express) conservan su código.
+ * - El resto se convierte en un error 500.
+ *
+ * @param {Error} err - El error original.
+ * @returns {AppError}
+ */
+const toAppError = (err) => {
+    if (err instanceof AppError) return err;
+    if (!err || typeof err !== 'object') {
+        return new AppError(String(err));
+    }
+
+    if (err.name === 'ValidationError' && err.errors) {
+        const details = Object.values(err.errors).map(({ path, message, kind }) => ({ path, message, kind }));
+        return Object.assign(new ValidationError(err.message, details), { cause: err });
+    }
+    if (err.name === 'CastError') {
+        return Object.assign(new ValidationError(`Invalid value for '${err.path}': expected ${err.kind}.`, [{ path: err.path, kind: err.kind }]), { cause: err });
+    }
+    if (err.name === 'VersionError') {
+        return Object.assign(new PreconditionFailedError('The resource has been modified by another request.'), { cause: err });
+    }
+    if (err.name === 'DocumentNotFoundError') {
+        return Object.assign(new NotFoundError(err.message), { cause: err });
+    }
+    if (err.code === 11000) {
+        const fields = Object.keys(err.keyValue || err.keyPattern || {});
+        const message = fields.length > 0 ? `Duplicate value for ${fields.join(', ')}.` : 'Duplicate key.';
+        return Object.assign(new ConflictError(message, err.keyValue), { cause: err });
+    }
+
+    // Formato heredado: `{ message: 'ValidationFailed', details: [...] }` de los validadores de peticiones.
+    if (err.message === 'ValidationFailed' && Array.isArray(err.details)) {
+        return Object.assign(new ValidationError('Error de validación en la solicitud.', err.details), { cause: err });
+    }
+
+    const status = err.status || err.statusCode;
+    if (Number.isInteger(status) && status >= 400 && status < 600) {
+        return new AppError(err.message, { status, code: err.errorCode || (typeof err.code === 'string' ? err.code : undefined) || (status < 500 ? 'REQUEST_ERROR' : 'INTERNAL_ERROR'), details: err.details, cause: err });
+    }
+    return new AppError(err.message, { cause: err });
+};
+
+module.exports = {
+    AppError,
+    ConflictError,
+    ForbiddenError,
+    LockNotAcquiredError,
+    NotFoundError,
+    NotImplementedError,
+    PreconditionFailedError,
+    UnauthorizedError,
+    ValidationError,
+    toAppError,
+};
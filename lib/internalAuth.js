@@ -0,0 +1,226 @@
+/**
+ * @module internalAuth
+ * @description Firma y verificación HMAC de las peticiones internas entre servicios.
+ *
+ * Cada petición interna se firma con un secreto compartido (`INTERNAL_SIGNING_SECRET`) sobre:
+ * versión, método, ruta (con query string), timestamp, nonce, hash SHA-256 del cuerpo y las
+ * cabeceras de usuario (`X-Company-Id`, `X-User-Id`, `X-User-Name`, `X-User-Roles`).
+ *
+ * La firma viaja en `X-Internal-Request` con el formato `v1=<hex>`, acompañada de
+ * `X-Internal-Timestamp` (milisegundos epoch) y `X-Internal-Nonce`.
+ *
+ * El receptor rechaza firmas fuera de la ventana de desfase de reloj permitida
+ * (`INTERNAL_SIGNATURE_MAX_SKEW_MS`, 5 minutos por defecto) y nonces ya vistos,
+ * que se registran en Redis durante el doble de esa ventana.
+ *
+ * Sin secreto configurado las peticiones internas se rechazan. Solo con `INTERNAL_SIGNING_DISABLED=true`
+ * (ej. en desarrollo local) se aceptan sin firma, confiando en sus cabeceras de usuario.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger').forModule('internalAuth');
+const redisService = require('./redisService');
+const { AppError, UnauthorizedError } = require('./errors');
+const { headers, redisKeyPrefix } = require('../constants');
+
+const SIGNATURE_VERSION = 'v1';
+const MAX_CLOCK_SKEW_MS = Number(process.env.INTERNAL_SIGNATURE_MAX_SKEW_MS) || 5 * 60 * 1000;
+
+// Cabeceras de usuario cubiertas por la firma, en el orden en que entran en la cadena canónica.
+const SIGNED_USER_HEADERS = Object.freeze([
+    headers.COMPANY_ID,
+    headers.USER_ID,
+    headers.USER_NAME,
+    headers.USER_ROLES,
+]);
+
+/**
+ * Devuelve el secreto compartido. Se lee en cada llamada para respetar la configuración
+ * cargada después de requerir el módulo (ej. dotenv).
+ * @returns {string|undefined}
+ */
+const getSecret = () => process.env.INTERNAL_SIGNING_SECRET || undefined;
+
+/**
+ * Indica si la firma de peticiones internas está configurada.
+ * @returns {boolean}
+ */
+const isEnabled = () => Boolean(getSecret());
+
+/**
+ * Indica si la verificación de peticiones internas se ha desactivado explícitamente: no hay secreto
+ * y `INTERNAL_SIGNING_DISABLED=true`. Con un secreto configurado las peticiones siempre se verifican.
+ * @returns {boolean}
+ */
+const isVerificationDisabled = () => !isEnabled() && process.env.INTERNAL_SIGNING_DISABLED === 'true';
+
+// Un objeto o array JSON vacío (`{}`, `[ ]`...), que se firma igual que la ausencia de cuerpo.
+const EMPTY_JSON_BODY = /^\s*(\{\s*\}|\[\s*\])\s*$/;
+const EMPTY_JSON_BODY_MAX_LENGTH = 64;
+
+/**
+ * Calcula el hash SHA-256 (hex) del cuerpo de la petición. La ausencia de cuerpo y un objeto o array JSON vacío
+ * se hashean como cadena vacía: el emisor envía `{}` mientras que un receptor sin `captureRawBody` no puede
+ * distinguir ese cuerpo de uno ausente.
+ * @param {string|Buffer|undefined|null} body - El cuerpo tal como viaja por la red.
+ * @returns {string}
+ */
+const hashBody = (body) => {
+    const isEmpty = body === undefined || body === null
+        || (body.length <= EMPTY_JSON_BODY_MAX_LENGTH && EMPTY_JSON_BODY.test(body.toString()));
+    return crypto.createHash('sha256').update(isEmpty ? '' : body).digest('hex');
+};
+
+/**
+ * Construye la cadena canónica que se firma.
+ * @param {object} params
+ * @param {string} params.method - Método HTTP.
+ * @param {string} params.path - Ruta con query string (ej. `/users?page=2`).
+ * @param {string|number} params.timestamp - Timestamp en milisegundos.
+ * @param {string} params.nonce - Valor único de la petición.
+ * @param {string} params.bodyHash - Hash del cuerpo (ver `hashBody`).
+ * @param {Function} params.getHeader - Función que devuelve el valor de una cabecera por nombre.
+ * @returns {string}
+ */
+const buildCanonicalString = ({ method, path, timestamp, nonce, bodyHash, getHeader }) => [
+    SIGNATURE_VERSION,
+    String(method || 'GET').toUpperCase(),
+    path,
+    String(timestamp),
+    nonce,
+    bodyHash,
+    ...SIGNED_USER_HEADERS.map(name => {
+        const value = getHeader(name);
+        return value === undefined || value === null ? '' : String(value);
+    }),
+].join('\n');
+
+const computeSignature = (canonical, secret) =>
+    crypto.createHmac('sha256', secret).update(canonical).digest('hex');
+
+/**
+ * Genera las cabeceras de firma para una petición saliente.
+ *
+ * @param {object} request
+ * @param {string} request.method - Método HTTP.
+ * @param {string} request.path - Ruta con query string.
+ * @param {string|Buffer} [request.body] - Cuerpo ya serializado.
+ * @param {Function} request.getHeader - Función que devuelve el valor de una cabecera por nombre.
+ * @returns {object|null} Cabeceras a añadir, o `null` si no hay secreto configurado.
+ */
+const signRequest = ({ method, path, body, getHeader }) => {
+    const secret = getSecret();
+    if (!secret) return null;
+
+    const timestamp = Date.now();
+    const nonce = crypto.randomUUID();
+    const canonical = buildCanonicalString({ method, path, timestamp, nonce, bodyHash: hashBody(body), getHeader });
+
+    return {
+        [headers.INTERNAL_TIMESTAMP]: String(timestamp),
+        [headers.INTERNAL_NONCE]: nonce,
+        [headers.INTERNAL_REQUEST]: `${SIGNATURE_VERSION}=${computeSignature(canonical, secret)}`,
+    };
+};
+
+/**
+ * Función `verify` para `express.json()` / `express.raw()` que conserva el cuerpo original en `req.rawBody`,
+ * necesario para verificar firmas calculadas sobre los bytes exactos recibidos.
+ *
+ * @example app.use(express.json({ verify: captureRawBody }));
+ */
+const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+};
+
+/**
+ * Devuelve el cuerpo de la petición tal como se recibió. Si no se capturó con `captureRawBody`
+ * se reconstruye serializando `req.body`, lo que coincide con lo que envía `axiosClient`
+ * (un cuerpo vacío se reconstruye como cadena vacía, que `hashBody` trata igual que `{}`).
+ */
+const getRawBody = (req) => {
+    if (req.rawBody !== undefined) return req.rawBody;
+    if (req.body === undefined || req.body === null) return '';
+    if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) return req.body;
+    return Object.keys(req.body).length > 0 ? JSON.stringify(req.body) : '';
+};
+
+/**
+ * Registra el nonce en Redis. Devuelve `false` si ya existía (repetición de la petición).
+ */
+const registerNonce = async (nonce) => {
+    const client = redisService.client;
+    if (!client || client.status !== 'ready') {
+        throw new Error('Redis no está disponible para la protección contra repeticiones');
+    }
+    const key = `${redisKeyPrefix.INTERNAL_NONCE}:${nonce}`;
+    const result = await client.set(key, '1', 'PX', MAX_CLOCK_SKEW_MS * 2, 'NX');
+    return result === 'OK';
+};
+
+/**
+ * Verifica la firma de una petición interna entrante.
+ *
+ * @param {import('express').Request} req - La petición de Express.
+ * @returns {Promise<{valid: boolean, error?: AppError}>} Si la firma no es válida, `error` indica el motivo (401, o 503 si Redis no está disponible).
+ */
+const verifyRequest = async (req) => {
+    const secret = getSecret();
+    if (!secret) return { valid: false, error: new AppError('Firma de peticiones internas no configurada') };
+
+    const signatureHeader = req.header(headers.INTERNAL_REQUEST);
+    const timestamp = req.header(headers.INTERNAL_TIMESTAMP);
+    const nonce = req.header(headers.INTERNAL_NONCE);
+    if (!signatureHeader || !timestamp || !nonce) {
+        return { valid: false, error: new UnauthorizedError('Faltan cabeceras de firma de la petición interna') };
+    }
+
+    const [version, signature] = signatureHeader.split('=');
+    if (version !== SIGNATURE_VERSION || !/^[0-9a-f]{64}$/i.test(signature || '')) {
+        return { valid: false, error: new UnauthorizedError('Formato de firma no soportado') };
+    }
+
+    const timestampMs = Number(timestamp);
+    if (!Number.isFinite(timestampMs) || Math.abs(Date.now() - timestampMs) > MAX_CLOCK_SKEW_MS) {
+        return { valid: false, error: new UnauthorizedError('Timestamp de la petición fuera de la ventana permitida') };
+    }
+
+    const canonical = buildCanonicalString({
+        method: req.method,
+        path: req.originalUrl,
+        timestamp,
+        nonce,
+        bodyHash: hashBody(getRawBody(req)),
+        getHeader: name => req.header(name),
+    });
+    const expected = Buffer.from(computeSignature(canonical, secret), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    if (!crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, error: new UnauthorizedError('Firma de la petición interna inválida') };
+    }
+
+    try {
+        if (!(await registerNonce(nonce))) {
+            logger.warn(`[internalAuth] Nonce repetido rechazado: ${nonce}`);
+            return { valid: false, error: new UnauthorizedError('Petición interna repetida') };
+        }
+    } catch (error) {
+        logger.error(`[internalAuth] No se pudo registrar el nonce -> error:${error.message}`);
+        return { valid: false, error: new AppError('No se pudo verificar la unicidad de la petición interna', { status: 503, code: 'SERVICE_UNAVAILABLE' }) };
+    }
+
+    return { valid: true };
+};
+
+module.exports = {
+    MAX_CLOCK_SKEW_MS,
+    SIGNED_USER_HEADERS,
+    buildCanonicalString,
+    captureRawBody,
+    getRawBody,
+    hashBody,
+    isEnabled,
+    isVerificationDisabled,
+    signRequest,
+    verifyRequest,
+};
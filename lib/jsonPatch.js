@@ -0,0 +1,193 @@
+/**
+ * @module jsonPatch
+ * @description Aplicación de parches sobre documentos JSON planos:
+ * - JSON Merge Patch (RFC 7396): un objeto con los cambios, donde `null` elimina el campo.
+ * - JSON Patch (RFC 6902): una lista de operaciones `add`, `remove`, `replace`, `move` y `test`
+ * sobre rutas JSON Pointer (RFC 6901), ej. `{ "op": "replace", "path": "/tags/0", "value": "nuevo" }`.
+ *
+ * Las funciones no modifican el documento recibido: devuelven una copia con el parche aplicado.
+ * Los parches inválidos lanzan un `ValidationError` y un `test` fallido un `ConflictError`.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const { ConflictError, ValidationError } = require('./errors');
+
+const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'test'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+/**
+ * Aplica un JSON Merge Patch (RFC 7396).
+ * @param {*} target - El documento original.
+ * @param {*} patch - El parche. Si no es un objeto, reemplaza al documento completo.
+ * @returns {*} El documento resultante.
+ */
+const applyMergePatch = (target, patch) => {
+    if (!isPlainObject(patch)) {
+        return clone(patch);
+    }
+    const result = isPlainObject(target) ? { ...target } : {};
+    Object.entries(patch).forEach(([key, value]) => {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    });
+    return result;
+};
+
+/**
+ * Convierte un JSON Pointer (RFC 6901) en la lista de sus segmentos.
+ * @param {string} pointer - El puntero (ej. `/items/0/name`).
+ * @returns {string[]} Los segmentos decodificados.
+ */
+const parsePointer = (pointer) => {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        throw new ValidationError(`Invalid JSON Pointer '${pointer}'.`);
+    }
+    if (pointer === '') return [];
+    return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Convierte un segmento en índice de array. `-` (fin del array) solo se admite si `allowEnd` es verdadero.
+ */
+const toIndex = (segment, array, allowEnd) => {
+    if (allowEnd && segment === '-') return array.length;
+    if (!/^(0|[1-9]\d*)$/.test(segment)) {
+        throw new ValidationError(`Invalid array index '${segment}'.`);
+    }
+    const index = Number(segment);
+    if (index > array.length || (!allowEnd && index === array.length)) {
+        throw new ValidationError(`Array index '${segment}' is out of bounds.`);
+    }
+    return index;
+};
+
+/**
+ * Obtiene el contenedor de la última parte de la ruta, fallando si algún tramo intermedio no existe.
+ */
+const resolveParent = (document, segments, path) => {
+    let current = document;
+    for (const segment of segments.slice(0, -1)) {
+        if (Array.isArray(current)) {
+            current = current[toIndex(segment, current, false)];
+        } else if (isPlainObject(current) && Object.prototype.hasOwnProperty.call(current, segment)) {
+            current = current[segment];
+        } else {
+            throw new ValidationError(`Path '${path}' does not exist.`);
+        }
+    }
+    if (!Array.isArray(current) && !isPlainObject(current)) {
+        throw new ValidationError(`Path '${path}' does not exist.`);
+    }
+    return current;
+};
+
+const getValue = (document, path) => {
+    const segments = parsePointer(path);
+    if (segments.length === 0) return document;
+    const parent = resolveParent(document, segments, path);
+    const key = segments[segments.length - 1];
+    if (Array.isArray(parent)) {
+        return parent[toIndex(key, parent, false)];
+    }
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+        throw new ValidationError(`Path '${path}' does not exist.`);
+    }
+    return parent[key];
+};
+
+const addValue = (document, path, value) => {
+    const segments = parsePointer(path);
+    if (segments.length === 0) return clone(value);
+    const parent = resolveParent(document, segments, path);
+    const key = segments[segments.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(toIndex(key, parent, true), 0, clone(value));
+    } else {
+        parent[key] = clone(value);
+    }
+    return document;
+};
+
+const removeValue = (document, path) => {
+    const segments = parsePointer(path);
+    if (segments.length === 0) {
+        throw new ValidationError('The document root cannot be removed.');
+    }
+    const parent = resolveParent(document, segments, path);
+    const key = segments[segments.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(toIndex(key, parent, false), 1);
+    } else {
+        if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+            throw new ValidationError(`Path '${path}' does not exist.`);
+        }
+        delete parent[key];
+    }
+    return document;
+};
+
+/**
+ * Aplica un JSON Patch (RFC 6902). Las operaciones se aplican en orden y de forma atómica:
+ * si alguna falla se lanza el error y no se devuelve ningún resultado parcial.
+ * @param {*} target - El documento original.
+ * @param {Array<{op: string, path: string, from?: string, value?: *}>} operations - Las operaciones.
+ * @returns {*} El documento resultante.
+ */
+const applyJsonPatch = (target, operations) => {
+    if (!Array.isArray(operations)) {
+        throw new ValidationError('A JSON Patch document must be an array of operations.');
+    }
+    let document = clone(target);
+    operations.forEach((operation, i) => {
+        const { op, path, from, value } = operation || {};
+        if (!JSON_PATCH_OPERATIONS.includes(op)) {
+            throw new ValidationError(`Unsupported JSON Patch operation '${op}' at index ${i}. Allowed: ${JSON_PATCH_OPERATIONS.join(', ')}.`);
+        }
+        if (['add', 'replace', 'test'].includes(op) && !Object.prototype.hasOwnProperty.call(operation, 'value')) {
+            throw new ValidationError(`JSON Patch operation '${op}' at index ${i} requires a 'value'.`);
+        }
+
+        switch (op) {
+            case 'add':
+                document = addValue(document, path, value);
+                break;
+            case 'remove':
+                document = removeValue(document, path);
+                break;
+            case 'replace':
+                getValue(document, path); // La ruta debe existir
+                document = parsePointer(path).length === 0 ? clone(value) : addValue(removeValue(document, path), path, value);
+                break;
+            case 'move': {
+                if (typeof path === 'string' && path.startsWith(`${from}/`)) {
+                    throw new ValidationError(`Cannot move '${from}' into itself.`);
+                }
+                if (path === from) break;
+                const moved = getValue(document, from);
+                document = addValue(removeValue(document, from), path, moved);
+                break;
+            }
+            case 'test':
+                // Se compara con una copia del valor: `isDeepStrictEqual` también compara prototipos, y el documento
+                // (copiado con `structuredClone`) y el valor recibido pueden venir de contextos (realms) distintos.
+                if (!isDeepStrictEqual(getValue(document, path), clone(value))) {
+                    throw new ConflictError(`Test operation failed at '${path}'.`);
+                }
+                break;
+        }
+    });
+    return document;
+};
+
+module.exports = {
+    JSON_PATCH_OPERATIONS,
+    applyJsonPatch,
+    applyMergePatch,
+    parsePointer,
+};
@@ -1,8 +1,27 @@
 const pino = require('pino');
+const requestContext = require('./requestContext');
+const { censor, getRedactPaths } = require('./redaction');
 
 const logger = pino({
   level: process.env.LOG_LEVEL || 'info', // Nivel por defecto
   encoding: 'utf-8', // Formato de salida
+  // Oculta cabeceras de autenticación y de usuario, tokens, contraseñas, teléfonos y emails (ver lib/redaction).
+  // Solo se aplica a los objetos que se pasan como primer argumento, no al texto del mensaje:
+  // los payloads arbitrarios deben registrarse con `redact(payload)`.
+  redact: {
+    paths: getRedactPaths(),
+    censor,
+  },
+  // Añade a cada línea los datos de la petición en curso (ver requestContext), si la hay.
+  mixin() {
+    const context = requestContext.getContext();
+    if (!context) return {};
+    return {
+      requestId: context.requestId,
+      companyId: context.companyId,
+      userId: context.userId,
+    };
+  },
   transport: (!process.env.NODE_ENV || process.env.NODE_ENV === 'production')
     ? undefined // En producción o si NODE_ENV no está definido, usa el formato JSON por defecto.
     : {
@@ -17,4 +36,13 @@ const logger = pino({
     }
 });
 
-module.exports = logger
\ No newline at end of file
+/**
+ * Crea el logger de un módulo: un hijo del logger compartido que añade el campo `module` a cada línea
+ * y hereda su configuración de redacción.
+ * @param {string} moduleName - El nombre del módulo (ej. 'redisService').
+ * @returns {import('pino').Logger}
+ */
+const forModule = (moduleName) => logger.child({ module: moduleName });
+
+module.exports = logger;
+module.exports.forModule = forModule;
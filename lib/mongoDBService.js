@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const logger = require('./logger');
+const logger = require('./logger').forModule('mongoDBService');
 
 let isConnected = false; // Variable para rastrear el estado de la conexión
 let isClosing = false; // Variable para evitar múltiples cierres
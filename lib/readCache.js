@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { EJSON } = require('mongoose').mongo.BSON;
+const logger = require('./logger').forModule('readCache');
+const redisService = require('./redisService');
+const { redisKeyPrefix } = require('../constants/redis');
+
+/**
+ * @module readCache
+ * @description Caché de lecturas (cache-aside) en Redis para `BaseService.selectAll` y `selectOne`.
+ *
+ * Es opcional por modelo, con la opción de esquema `cache`:
+ * `new Schema({...}, { cache: true })` usa el TTL por defecto (`READ_CACHE_TTL`, 60 segundos) y
+ * `{ cache: { ttl: 300 } }` fija el TTL del modelo. `READ_CACHE_ENABLED=false` desactiva la caché en todo el servicio.
+ *
+ * Las claves incluyen el modelo, el ámbito (la compañía de la consulta, o `all` si no filtra por compañía)
+ * y un hash de la consulta normalizada. La invalidación no borra claves: cada ámbito tiene un contador de versión
+ * que forma parte de la clave y que las escrituras incrementan, de modo que las entradas anteriores dejan de leerse
+ * y expiran por su TTL. Hay además una versión por modelo para las escrituras cuyo ámbito no se conoce (ej. `purge`
+ * sin compañía), que invalida todos los ámbitos del modelo.
+ *
+ * Si Redis no está disponible, las lecturas van directamente a la base de datos. Solo se cachean consultas `lean`,
+ * que se guardan como Extended JSON: un acierto devuelve los ObjectId, fechas y demás tipos BSON igual que la
+ * base de datos. Los modelos con `encryptedFieldsPlugin` no se cachean, para no guardar en Redis los campos desencriptados.
+ */
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.READ_CACHE_TTL, 10) || 60;
+const ALL_SCOPE = 'all';
+
+// Contadores del proceso por modelo (ver `getStats`).
+const stats = new Map();
+// Modelos con campos encriptados que ya se han advertido, para no repetir el aviso.
+const encryptedWarned = new Set();
+
+const isEnabled = () => process.env.READ_CACHE_ENABLED !== 'false';
+
+const isRedisReady = () => Boolean(redisService.client && redisService.client.status === 'ready');
+
+const count = (modelName, counter) => {
+    if (!stats.has(modelName)) stats.set(modelName, { hits: 0, misses: 0, errors: 0 });
+    stats.get(modelName)[counter] += 1;
+};
+
+/**
+ * Obtiene la configuración de caché de un modelo.
+ * @param {import('mongoose').Model} model - El modelo.
+ * @returns {{ttl: number} | null} `null` si el modelo no usa caché.
+ */
+const getConfig = (model) => {
+    const option = (model.schema.options || {}).cache;
+    if (!option || !isEnabled()) return null;
+    if (typeof model.encryptedField === 'function') {
+        if (!encryptedWarned.has(model.modelName)) {
+            encryptedWarned.add(model.modelName);
+            logger.warn(`[readCache] ${model.modelName} tiene campos encriptados: sus lecturas no se cachean.`);
+        }
+        return null;
+    }
+    const ttl = parseInt(option.ttl, 10);
+    return { ttl: ttl > 0 ? ttl : DEFAULT_TTL_SECONDS };
+};
+
+/**
+ * Representación estable de un valor para el hash de la clave: claves de objeto ordenadas,
+ * expresiones regulares como texto y ObjectId/fechas con su `toJSON`.
+ */
+const normalize = (value) => {
+    if (value instanceof RegExp) return String(value);
+    if (value && typeof value.toJSON === 'function') return normalize(value.toJSON());
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, normalize(value[key])]));
+    }
+    return value;
+};
+
+const scopeOf = (scope) => (scope === undefined || scope === null || scope === '' ? ALL_SCOPE : String(scope));
+
+const versionKey = (modelName, scope) => (
+    scope ? `${redisKeyPrefix.READ_CACHE}:${modelName}:${scope}:version` : `${redisKeyPrefix.READ_CACHE}:${modelName}:version`
+);
+
+/**
+ * Devuelve el resultado cacheado de una lectura o, si no existe, lo obtiene con `loader` y lo guarda.
+ * Un fallo de Redis nunca hace fallar la lectura: se registra y se usa `loader`.
+ *
+ * @param {import('mongoose').Model} model - El modelo consultado.
+ * @param {object} params
+ * @param {string} params.method - El método de lectura (ej. 'selectAll').
+ * @param {string|null} [params.scope] - La compañía de la consulta, o `null` si no filtra por compañía.
+ * @param {object} params.query - La consulta (parámetros y filtro) que identifica el resultado.
+ * @param {Function} loader - `async () => result`. Obtiene el resultado de la base de datos.
+ * @returns {Promise<*>} El resultado.
+ */
+const wrap = async (model, { method, scope, query }, loader) => {
+    const config = getConfig(model);
+    if (!config || !isRedisReady()) {
+        return loader();
+    }
+    const { modelName } = model;
+    const client = redisService.client;
+    const scopeKey = scopeOf(scope);
+
+    let key;
+    try {
+        const [modelVersion, scopeVersion] = await client.mget(versionKey(modelName), versionKey(modelName, scopeKey));
+        const hash = crypto.createHash('sha1').update(JSON.stringify(normalize(query))).digest('hex');
+        key = `${redisKeyPrefix.READ_CACHE}:${modelName}:${scopeKey}:${modelVersion || 0}.${scopeVersion || 0}:${method}:${hash}`;
+        const cached = await client.get(key);
+        if (cached !== null) {
+            count(modelName, 'hits');
+            logger.trace(`[readCache] Hit ${key}`);
+            return EJSON.parse(cached, { relaxed: true }).value;
+        }
+    } catch (error) {
+        count(modelName, 'errors');
+        logger.error(`[readCache] Error al leer la caché de ${modelName}: ${error.message}`);
+        return loader();
+    }
+
+    count(modelName, 'misses');
+    const value = await loader();
+    try {
+        // Se envuelve el resultado para cachear también los `null` de selectOne.
+        await client.set(key, EJSON.stringify({ value }, { relaxed: true }), 'EX', config.ttl);
+    } catch (error) {
+        count(modelName, 'errors');
+        logger.error(`[readCache] Error al guardar en la caché de ${modelName}: ${error.message}`);
+    }
+    return value;
+};
+
+/**
+ * Invalida las lecturas cacheadas de un modelo tras una escritura.
+ * Incrementa la versión de cada compañía afectada y la del ámbito `all` (consultas sin compañía).
+ * Si alguna compañía es desconocida (`undefined`), incrementa la versión del modelo, que invalida todos los ámbitos.
+ *
+ * @param {import('mongoose').Model} model - El modelo modificado.
+ * @param {Array<string|null|undefined>} scopes - Las compañías de los documentos modificados
+ * (`null` para documentos sin compañía, `undefined` si no se conoce).
+ * @returns {Promise<void>}
+ */
+const invalidate = async (model, scopes) => {
+    if (scopes.length === 0 || !getConfig(model) || !isRedisReady()) return;
+    const { modelName } = model;
+    const keys = scopes.some(scope => scope === undefined)
+        ? [versionKey(modelName)]
+        : [...new Set([ALL_SCOPE, ...scopes.map(scopeOf)])].map(scope => versionKey(modelName, scope));
+    try {
+        const pipeline = redisService.client.multi();
+        keys.forEach(key => pipeline.incr(key));
+        await pipeline.exec();
+        logger.trace(`[readCache] Invalidado ${keys.join(', ')}`);
+    } catch (error) {
+        count(modelName, 'errors');
+        logger.error(`[readCache] Error al invalidar la caché de ${modelName}: ${error.message}`);
+    }
+};
+
+/**
+ * Devuelve los contadores de la caché de este proceso.
+ * @returns {{hits: number, misses: number, errors: number, hitRatio: number, models: Object<string, {hits: number, misses: number, errors: number}>}}
+ */
+const getStats = () => {
+    const models = Object.fromEntries([...stats.entries()].map(([name, counters]) => [name, { ...counters }]));
+    const totals = Object.values(models).reduce((acc, counters) => ({
+        hits: acc.hits + counters.hits,
+        misses: acc.misses + counters.misses,
+        errors: acc.errors + counters.errors,
+    }), { hits: 0, misses: 0, errors: 0 });
+    const reads = totals.hits + totals.misses;
+    return { ...totals, hitRatio: reads > 0 ? totals.hits / reads : 0, models };
+};
+
+/**
+ * Reinicia los contadores de la caché.
+ */
+const resetStats = () => stats.clear();
+
+module.exports = {
+    getConfig,
+    getStats,
+    invalidate,
+    resetStats,
+    wrap,
+};
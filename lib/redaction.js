@@ -0,0 +1,179 @@
+/**
+ * @module redaction
+ * @description Utilidades para evitar que datos personales (PII) y secretos lleguen a los logs.
+ *
+ * - `getRedactPaths`: rutas para la opción `redact` de pino (cabeceras de autenticación y de usuario,
+ *   tokens, contraseñas, teléfonos y emails), ampliables con `LOG_REDACT_PATHS` (lista separada por comas).
+ * - `censor`: sustituye el valor de una ruta redactada; emails y teléfonos se enmascaran parcialmente
+ *   para que los logs sigan siendo útiles al depurar.
+ * - `redact`: copia profunda de un valor con los campos sensibles censurados, para payloads arbitrarios
+ *   (mensajes de stream, parámetros de consultas) en los que las rutas de pino no alcanzan.
+ * - `maskEmail`, `maskPhone`, `maskSecret`: enmascarado de valores sueltos.
+ *
+ * Los campos sensibles se reconocen por su nombre, sin distinguir mayúsculas ni separadores
+ * (`accessToken`, `access_token` y `X-Access-Token` son el mismo campo). Se amplían con `LOG_REDACT_KEYS`.
+ */
+
+const { headers } = require('../constants/http');
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 10;
+
+// Nombres (normalizados con `normalizeKey`) de los campos que se censuran por completo.
+const SECRET_KEYS = Object.freeze([
+    'password', 'passwd', 'newpassword', 'currentpassword',
+    'secret', 'appsecret', 'clientsecret',
+    'token', 'accesstoken', 'refreshtoken', 'idtoken', 'verifytoken', 'hubverifytoken',
+    'apikey', 'authorization', 'cookie', 'setcookie',
+    'xinternalrequest', 'xhubsignature256',
+    'xuserid', 'xusername', 'xuserroles',
+    // Contenido de los mensajes de los canales
+    'body', 'caption',
+]);
+const EMAIL_KEYS = Object.freeze(['email', 'emailaddress']);
+const PHONE_KEYS = Object.freeze(['phone', 'phonenumber', 'mobile', 'waid', 'recipientid', 'displayphonenumber']);
+// Campos que en los webhooks de Meta llevan un teléfono, pero que en otros contextos tienen otro significado
+// (ej. rangos de fechas): solo se enmascaran si su valor tiene forma de teléfono.
+const PHONE_LIKE_KEYS = Object.freeze(['from', 'to']);
+const PHONE_REGEX = /^\+?\d[\d\s()]{6,19}$/;
+
+// Campos con los que se construyen las rutas por defecto de pino (en su forma original, no normalizada).
+const DEFAULT_FIELDS = Object.freeze([
+    'password', 'secret', 'token', 'accessToken', 'access_token', 'refreshToken', 'refresh_token', 'apiKey',
+    'authorization', 'phone', 'phoneNumber', 'phone_number', 'email',
+]);
+const SENSITIVE_HEADERS = Object.freeze([
+    'authorization', 'cookie', headers.INTERNAL_REQUEST, headers.USER_ID, headers.USER_NAME, headers.USER_ROLES,
+]);
+const HEADER_CONTAINERS = Object.freeze(['headers', 'req.headers', 'config.headers', 'request.headers']);
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const parseList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Enmascara un email dejando visible la primera letra del usuario y el dominio (ej. `a***@example.com`).
+ * @param {*} value - El email.
+ * @returns {string} El email enmascarado.
+ */
+const maskEmail = (value) => {
+    const text = String(value);
+    const at = text.lastIndexOf('@');
+    if (at < 1) return REDACTED;
+    return `${text[0]}***${text.slice(at)}`;
+};
+
+/**
+ * Enmascara un teléfono dejando visibles sus 4 últimos dígitos (ej. `*******4321`).
+ * @param {*} value - El teléfono.
+ * @returns {string} El teléfono enmascarado.
+ */
+const maskPhone = (value) => {
+    const digits = String(value).replace(/\D/g, '');
+    if (digits.length <= 4) return REDACTED;
+    return `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}`;
+};
+
+/**
+ * Enmascara un secreto indicando solo su longitud, o dejando visibles sus primeros caracteres si se pide.
+ * @param {*} value - El secreto.
+ * @param {number} [visible=0] - Caracteres visibles al inicio. Solo se muestran si el secreto es al menos 4 veces más largo.
+ * @returns {string} El secreto enmascarado (ej. `EAAG…[REDACTED:212]`).
+ */
+const maskSecret = (value, visible = 0) => {
+    const text = String(value);
+    const prefix = visible > 0 && text.length >= visible * 4 ? `${text.slice(0, visible)}…` : '';
+    return `${prefix}${REDACTED.slice(0, -1)}:${text.length}]`;
+};
+
+let customKeys = null;
+const getCustomKeys = () => {
+    if (!customKeys) customKeys = new Set(parseList(process.env.LOG_REDACT_KEYS).map(normalizeKey));
+    return customKeys;
+};
+
+/**
+ * Devuelve el tipo de dato sensible de un campo según su nombre (y su valor, para los campos ambiguos).
+ * @param {string} key - El nombre del campo.
+ * @param {*} [value] - El valor del campo.
+ * @returns {'secret'|'email'|'phone'|null} `null` si el campo no es sensible.
+ */
+const classifyKey = (key, value) => {
+    const normalized = normalizeKey(key);
+    if (SECRET_KEYS.includes(normalized) || getCustomKeys().has(normalized)) return 'secret';
+    if (EMAIL_KEYS.includes(normalized)) return 'email';
+    if (PHONE_KEYS.includes(normalized)) return 'phone';
+    if (PHONE_LIKE_KEYS.includes(normalized) && PHONE_REGEX.test(String(value))) return 'phone';
+    return null;
+};
+
+/**
+ * Censura el valor de un campo sensible. Emails y teléfonos se enmascaran; el resto (incluidos los campos
+ * de `LOG_REDACT_PATHS` que no se reconocen por su nombre) se sustituye por `[REDACTED]`.
+ * Es compatible con la opción `redact.censor` de pino, que recibe la ruta como lista de claves.
+ * @param {*} value - El valor.
+ * @param {string|string[]} key - El nombre del campo o su ruta.
+ * @returns {*} El valor censurado.
+ */
+const censor = (value, key) => {
+    if (value === null || value === undefined || value === '') return value;
+    const name = Array.isArray(key) ? key[key.length - 1] : key;
+    const type = classifyKey(name, value);
+    if (type === 'email' && typeof value === 'string') return maskEmail(value);
+    if (type === 'phone' && (typeof value === 'string' || typeof value === 'number')) return maskPhone(value);
+    return REDACTED;
+};
+
+/**
+ * Devuelve una copia de un valor con los campos sensibles censurados, a cualquier profundidad.
+ * No modifica el original. Los objetos que no son planos (fechas, ObjectId, buffers) se devuelven tal cual.
+ *
+ * @param {*} value - El valor a redactar (objeto, array o primitivo).
+ * @returns {*} La copia redactada.
+ *
+ * @example logger.debug({ payload: redact(messagePayload) }, 'Mensaje publicado');
+ */
+const redact = (value, depth = 0) => {
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+        return typeof value.toObject === 'function' ? redact(value.toObject(), depth) : value;
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+        const type = classifyKey(key, item);
+        if (!type) return [key, redact(item, depth + 1)];
+        if (item !== null && typeof item === 'object') {
+            // Un objeto bajo un campo secreto se oculta entero; bajo un campo de email o teléfono se recorre.
+            return [key, type === 'secret' ? REDACTED : redact(item, depth + 1)];
+        }
+        return [key, censor(item, key)];
+    }));
+};
+
+const toPathSegment = (key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `["${key}"]`);
+
+/**
+ * Construye las rutas de la opción `redact` de pino: los campos sensibles en el primer y segundo nivel del log,
+ * las cabeceras sensibles dentro de `headers`, `req.headers`, `config.headers` y `request.headers`
+ * (en minúsculas, como las entrega Node), y las rutas adicionales de `LOG_REDACT_PATHS`.
+ * @returns {string[]} Las rutas.
+ */
+const getRedactPaths = () => {
+    const fieldPaths = DEFAULT_FIELDS.flatMap(field => [field, `*${toPathSegment(field)}`]);
+    const headerPaths = HEADER_CONTAINERS.flatMap(container => SENSITIVE_HEADERS.flatMap(header => (
+        [...new Set([header, header.toLowerCase()])].map(name => `${container}${toPathSegment(name)}`)
+    )));
+    return [...new Set([...fieldPaths, ...headerPaths, ...parseList(process.env.LOG_REDACT_PATHS)])];
+};
+
+module.exports = {
+    REDACTED,
+    censor,
+    getRedactPaths,
+    maskEmail,
+    maskPhone,
+    maskSecret,
+    redact,
+};
@@ -1,5 +1,39 @@
+const crypto = require('crypto');
 const Redis = require('ioredis'); // Cambiado de 'redis' a 'ioredis'
-const logger = require('./logger');
+const logger = require('./logger').forModule('redisService');
+const { redact } = require('./redaction');
+const { LockNotAcquiredError } = require('./errors');
+const { redisKeyPrefix } = require('../constants/redis');
+
+// --- LOCKS DISTRIBUIDOS ---
+
+const DEFAULT_LOCK_TTL_MS = 30000;
+const DEFAULT_LOCK_RETRY_DELAY_MS = 100;
+const DEFAULT_LOCK_MAX_RETRY_DELAY_MS = 2000;
+
+// Adquiere el lock (SET NX PX) y, solo si lo consigue, incrementa el contador de fencing en la misma operación atómica.
+// KEYS[1] = lock, KEYS[2] = contador de fencing; ARGV[1] = token, ARGV[2] = TTL en ms.
+const ACQUIRE_LOCK_SCRIPT = `
+if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then
+    return redis.call('INCR', KEYS[2])
+end
+return false`;
+
+// Borra el lock solo si sigue perteneciendo al token (compare-and-delete).
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+// Renueva el TTL del lock solo si sigue perteneciendo al token.
+const EXTEND_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class RedisService {
     constructor(options = {}) {
@@ -7,6 +41,12 @@ class RedisService {
         this.redisPassword = options.password || process.env.REDIS_PASSWORD || undefined;
         this.client = null;
         this.isClosing = false;
+        // Conexión dedicada a Pub/Sub (una conexión suscrita no admite otros comandos) y sus suscripciones:
+        // canal o patrón -> handlers. Son la fuente de verdad para restaurar las suscripciones al reconectar.
+        this.subscriber = null;
+        this._subscriberReady = null;
+        this.subscriptions = new Map();
+        this.patternSubscriptions = new Map();
     }
 
     get clientInstance() {
@@ -96,6 +136,19 @@ class RedisService {
         }
         this.isClosing = true;
 
+        if (this.subscriber) {
+            this.subscriptions.clear();
+            this.patternSubscriptions.clear();
+            try {
+                await this.subscriber.quit();
+                logger.info('Conexión de suscripciones Redis cerrada.');
+            } catch (err) {
+                logger.error('Error al cerrar la conexión de suscripciones Redis:', err);
+            }
+            this.subscriber = null;
+            this._subscriberReady = null;
+        }
+
         // Verificar el estado del cliente antes de intentar cerrar
         if (this.client && this.client.status !== 'end' && this.client.status !== 'disconnecting') {
             logger.trace('Cerrando el cliente Redis...');
@@ -268,8 +321,7 @@ class RedisService {
             xaddArgs.push('*', 'payload', payloadString);
 
             const messageId = await this.client.xadd(streamKey, ...xaddArgs);
-            logger.debug(`Mensaje publicado en stream '${streamKey}' con ID: ${messageId}`);
-            logger.debug(payloadString);
+            logger.debug({ payload: redact(messagePayload) }, `Mensaje publicado en stream '${streamKey}' con ID: ${messageId}`);
             return messageId;
         } catch (error) {
             logger.error(`Error al publicar en el stream '${streamKey}':`, error);
@@ -315,7 +367,6 @@ class RedisService {
             const [stream] = response;
             const [streamName, messages] = stream;
             logger.debug(`Leyendo stream '${streamKey}:${streamName}' para grupo '${groupName}' (consumidor: ${consumerName}). Origen: ${readFromId === '0' ? 'pendientes' : 'nuevos'}.`);
-            logger.debug(JSON.stringify(stream));
 
             return messages.map(msg => {
                 const [id, fields] = msg;
@@ -353,6 +404,176 @@ class RedisService {
         }
     }
 
+    /**
+     * Intenta adquirir un lock distribuido. El lock es una clave `lock:<nombre>` creada con `SET NX PX` y un token único,
+     * de modo que solo su dueño puede liberarlo o renovarlo. Si está ocupado se reintenta con espera exponencial
+     * (con jitter) hasta agotar `timeout`.
+     *
+     * Cada adquisición recibe un `fencingToken` creciente por nombre de lock. Si el lock expira mientras su dueño
+     * sigue trabajando (ej. una pausa larga del proceso), otro proceso puede adquirirlo; los recursos protegidos
+     * pueden rechazar las escrituras con un `fencingToken` menor que el último visto.
+     *
+     * @param {string} name - El nombre del lock (ej. 'job:daily-report').
+     * @param {object} [options={}]
+     * @param {number} [options.ttl=30000] - Duración del lock en milisegundos.
+     * @param {number} [options.timeout=0] - Tiempo máximo de espera en milisegundos. Con 0 se intenta una sola vez.
+     * @param {number} [options.retryDelay=100] - Espera inicial entre reintentos en milisegundos.
+     * @param {number} [options.maxRetryDelay=2000] - Espera máxima entre reintentos en milisegundos.
+     * @returns {Promise<{name: string, key: string, token: string, fencingToken: number, ttl: number}|null>}
+     * El lock adquirido, o null si está ocupado y no se liberó a tiempo.
+     * @throws {Error} Si el cliente no está disponible o Redis falla: un lock ocupado y una caída de Redis no deben
+     * confundirse (el llamador respondería 409 en lugar de 5xx).
+     */
+    async acquireLock(name, options = {}) {
+        if (!this.client || this.client.status !== 'ready') {
+            logger.error(`Cliente Redis no disponible para adquirir el lock '${name}'.`);
+            throw new Error(`Redis client is not available to acquire lock '${name}'.`);
+        }
+        const {
+            ttl = DEFAULT_LOCK_TTL_MS,
+            timeout = 0,
+            retryDelay = DEFAULT_LOCK_RETRY_DELAY_MS,
+            maxRetryDelay = DEFAULT_LOCK_MAX_RETRY_DELAY_MS,
+        } = options;
+        const key = `${redisKeyPrefix.LOCK}:${name}`;
+        const fencingKey = `${redisKeyPrefix.LOCK_FENCING}:${name}`;
+        const token = crypto.randomUUID();
+        const deadline = Date.now() + timeout;
+
+        for (let attempt = 0; ; attempt++) {
+            let fencingToken;
+            try {
+                fencingToken = await this.client.eval(ACQUIRE_LOCK_SCRIPT, 2, key, fencingKey, token, ttl);
+            } catch (error) {
+                logger.error(`Error al adquirir el lock '${name}' -> error:${error.message}`);
+                throw error;
+            }
+            if (fencingToken !== null) {
+                logger.trace(`Lock '${name}' adquirido (fencing token ${fencingToken}).`);
+                return { name, key, token, fencingToken: Number(fencingToken), ttl };
+            }
+
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                logger.debug(`Lock '${name}' ocupado; no se adquirió tras ${attempt + 1} intento(s).`);
+                return null;
+            }
+            // Espera exponencial con jitter, para que los procesos en espera no reintenten a la vez.
+            const backoff = Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+            await sleep(Math.min(remaining, backoff / 2 + Math.random() * (backoff / 2)));
+        }
+    }
+
+    /**
+     * Renueva el TTL de un lock, solo si sigue perteneciendo a quien lo adquirió.
+     * @param {object} lock - El lock devuelto por `acquireLock`.
+     * @param {number} [ttl=lock.ttl] - La nueva duración en milisegundos.
+     * @returns {Promise<boolean>} true si se renovó; false si el lock ya expiró o pertenece a otro proceso.
+     */
+    async extendLock(lock, ttl = lock.ttl) {
+        if (!this.client || this.client.status !== 'ready') {
+            logger.error(`Cliente Redis no disponible para renovar el lock '${lock.name}'.`);
+            return false;
+        }
+        try {
+            const result = await this.client.eval(EXTEND_LOCK_SCRIPT, 1, lock.key, lock.token, ttl);
+            return result === 1;
+        } catch (error) {
+            logger.error(`Error al renovar el lock '${lock.name}' -> error:${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Libera un lock, solo si sigue perteneciendo a quien lo adquirió (no borra el lock de otro proceso
+     * si el propio ya expiró).
+     * @param {object} lock - El lock devuelto por `acquireLock`.
+     * @returns {Promise<boolean>} true si se liberó; false si ya había expirado o pertenece a otro proceso.
+     */
+    async releaseLock(lock) {
+        if (!lock) return false;
+        if (!this.client || this.client.status !== 'ready') {
+            logger.error(`Cliente Redis no disponible para liberar el lock '${lock.name}'.`);
+            return false;
+        }
+        try {
+            const result = await this.client.eval(RELEASE_LOCK_SCRIPT, 1, lock.key, lock.token);
+            if (result !== 1) {
+                logger.warn(`El lock '${lock.name}' ya no pertenecía a este proceso al liberarlo (expiró antes de terminar).`);
+            }
+            return result === 1;
+        } catch (error) {
+            logger.error(`Error al liberar el lock '${lock.name}' -> error:${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Ejecuta una función con un lock distribuido: lo adquiere (esperando hasta `timeout`), lo renueva
+     * periódicamente mientras la función se ejecuta y lo libera al terminar, también si la función falla.
+     *
+     * La función recibe el lock con su `fencingToken` y un `signal` (`AbortSignal`) que se aborta si el lock
+     * se pierde (no se pudo renovar), para que pueda detener el trabajo. Si el lock se pierde, `withLock` falla
+     * con el motivo de la señal aunque la función termine bien, ya que su resultado dejó de estar protegido.
+     *
+     * @param {string} name - El nombre del lock.
+     * @param {Function} fn - `async (lock) => result`.
+     * @param {object} [options={}] - Las opciones de `acquireLock`, más:
+     * @param {number} [options.extendInterval=ttl/3] - Cada cuántos milisegundos se renueva el lock.
+     * @returns {Promise<*>} El resultado de `fn`.
+     * @throws {LockNotAcquiredError} Si el lock no se pudo adquirir a tiempo o se perdió durante la ejecución.
+     * @throws {Error} Si Redis no está disponible (ver `acquireLock`).
+     *
+     * @example
+     * await redisService.withLock('job:daily-report', async ({ fencingToken, signal }) => {
+     *     await buildReport({ fencingToken, signal });
+     * }, { ttl: 60000, timeout: 5000 });
+     */
+    async withLock(name, fn, options = {}) {
+        const lock = await this.acquireLock(name, options);
+        if (!lock) {
+            throw new LockNotAcquiredError(`Could not acquire lock '${name}'.`, { lock: name });
+        }
+
+        const controller = new AbortController();
+        const extendInterval = options.extendInterval || Math.max(1, Math.floor(lock.ttl / 3));
+        let timer = null;
+        let finished = false;
+        // Cada renovación se programa cuando termina la anterior, de modo que una respuesta lenta de Redis
+        // no solapa renovaciones ni deja una pendiente tras liberar el lock.
+        const scheduleExtension = () => {
+            timer = setTimeout(async () => {
+                const extended = await this.extendLock(lock);
+                if (finished) return;
+                if (!extended) {
+                    logger.error(`Se perdió el lock '${name}' mientras se ejecutaba la operación.`);
+                    controller.abort(new LockNotAcquiredError(`Lock '${name}' was lost.`, { lock: name }));
+                    return;
+                }
+                scheduleExtension();
+            }, extendInterval);
+            // El temporizador no debe mantener vivo el proceso.
+            timer.unref();
+        };
+        scheduleExtension();
+
+        let result;
+        try {
+            result = await fn({ ...lock, signal: controller.signal });
+        } catch (error) {
+            // Si el lock se perdió, se informa de ello: el error de `fn` suele ser consecuencia de la señal.
+            if (!controller.signal.aborted) throw error;
+        } finally {
+            finished = true;
+            clearTimeout(timer);
+            if (!controller.signal.aborted) {
+                await this.releaseLock(lock);
+            }
+        }
+        controller.signal.throwIfAborted();
+        return result;
+    }
+
     /**
      * Publica un mensaje en un canal de Pub/Sub de Redis.
      * @param {string} channel - El canal al que se publicará el mensaje.
@@ -374,6 +595,188 @@ class RedisService {
             return null;
         }
     }
+
+    /**
+     * Obtiene la conexión de suscripciones, creándola en el primer uso a partir del cliente principal.
+     * Al reconectarse vuelve a suscribir todos los canales y patrones registrados.
+     * @returns {Promise<import('ioredis').Redis>}
+     * @throws {Error} Si el cliente principal no está disponible o la primera conexión falla.
+     * @private
+     */
+    async _getSubscriber() {
+        if (this.subscriber) {
+            return this._subscriberReady;
+        }
+        if (!this.client || this.client.status !== 'ready') {
+            throw new Error('Redis client is not available to open the subscriber connection.');
+        }
+        // Las suscripciones se restauran con el registro propio en lugar de con `autoResubscribe` de ioredis,
+        // para que el registro sea la única fuente de verdad.
+        const subscriber = this.client.duplicate({ autoResubscribe: false });
+        this.subscriber = subscriber;
+
+        subscriber.on('message', (channel, message) => {
+            this._dispatchMessage(this.subscriptions.get(channel), message, channel);
+        });
+        subscriber.on('pmessage', (pattern, channel, message) => {
+            this._dispatchMessage(this.patternSubscriptions.get(pattern), message, channel, pattern);
+        });
+        subscriber.on('error', (err) => {
+            logger.error('Error en la conexión de suscripciones Redis:', err);
+        });
+        // En la primera conexión no hay nada que restaurar: cada suscripción se envía al registrarse (ver `_addSubscription`).
+        let connected = false;
+        subscriber.on('ready', async () => {
+            if (!connected) {
+                connected = true;
+                return;
+            }
+            const channels = [...this.subscriptions.keys()];
+            const patterns = [...this.patternSubscriptions.keys()];
+            try {
+                if (channels.length > 0) await subscriber.subscribe(...channels);
+                if (patterns.length > 0) await subscriber.psubscribe(...patterns);
+                if (channels.length + patterns.length > 0) {
+                    logger.info(`Suscripciones Redis restauradas: ${[...channels, ...patterns].join(', ')}.`);
+                }
+            } catch (err) {
+                logger.error('Error al restaurar las suscripciones Redis:', err);
+            }
+        });
+
+        if (subscriber.status === 'ready') {
+            connected = true;
+            this._subscriberReady = Promise.resolve(subscriber);
+        } else {
+            this._subscriberReady = new Promise((resolve, reject) => {
+                // Se retira el listener que no se disparó, para no dejarlo colgado de la conexión.
+                const onReady = () => {
+                    subscriber.off('error', onError);
+                    resolve(subscriber);
+                };
+                const onError = (error) => {
+                    subscriber.off('ready', onReady);
+                    reject(error);
+                };
+                subscriber.once('ready', onReady);
+                subscriber.once('error', onError);
+            });
+        }
+        try {
+            return await this._subscriberReady;
+        } catch (error) {
+            // Si la primera conexión falla, la siguiente suscripción lo vuelve a intentar.
+            this.subscriber = null;
+            this._subscriberReady = null;
+            subscriber.disconnect();
+            throw error;
+        }
+    }
+
+    /**
+     * Entrega un mensaje a los handlers de un canal o patrón. El mensaje se parsea como JSON;
+     * si no es JSON válido se entrega el texto tal cual. Un error en un handler no afecta a los demás.
+     * @private
+     */
+    _dispatchMessage(handlers, message, channel, pattern) {
+        if (!handlers || handlers.size === 0) return;
+        let payload;
+        try {
+            payload = JSON.parse(message);
+        } catch (e) {
+            logger.warn(`Mensaje no JSON recibido en el canal '${channel}'; se entrega como texto.`);
+            payload = message;
+        }
+        handlers.forEach(handler => {
+            Promise.resolve()
+                .then(() => handler(payload, channel, pattern))
+                .catch(error => logger.error(`Error en el handler del canal '${channel}': ${error.message}`));
+        });
+    }
+
+    /**
+     * Registra un handler en un canal o patrón y se suscribe si es el primero.
+     * @private
+     */
+    async _addSubscription(registry, command, target, handler) {
+        if (!this.client || this.client.status !== 'ready') {
+            logger.error(`Cliente Redis no disponible para suscribirse a '${target}'.`);
+            return null;
+        }
+        if (typeof handler !== 'function') {
+            logger.error(`El handler de la suscripción a '${target}' debe ser una función.`);
+            return null;
+        }
+        try {
+            const subscriber = await this._getSubscriber();
+            const isNew = !registry.has(target);
+            if (isNew) {
+                registry.set(target, new Set());
+            }
+            registry.get(target).add(handler);
+            // Si la conexión se está restableciendo, el evento `ready` suscribe todo el registro, incluido este destino.
+            if (isNew && subscriber.status === 'ready') {
+                await subscriber[command](target);
+                logger.info(`Suscrito a '${target}'.`);
+            }
+        } catch (error) {
+            logger.error(`Error al suscribirse a '${target}':`, error);
+            const handlers = registry.get(target);
+            if (handlers) {
+                handlers.delete(handler);
+                if (handlers.size === 0) registry.delete(target);
+            }
+            return null;
+        }
+
+        const unsubscribeCommand = command === 'psubscribe' ? 'punsubscribe' : 'unsubscribe';
+        let active = true;
+        return async () => {
+            if (!active) return;
+            active = false;
+            const handlers = registry.get(target);
+            if (!handlers || !handlers.delete(handler) || handlers.size > 0) return;
+            registry.delete(target);
+            try {
+                if (this.subscriber && this.subscriber.status === 'ready') {
+                    await this.subscriber[unsubscribeCommand](target);
+                }
+                logger.info(`Suscripción a '${target}' cancelada.`);
+            } catch (error) {
+                logger.error(`Error al cancelar la suscripción a '${target}':`, error);
+            }
+        };
+    }
+
+    /**
+     * Se suscribe a un canal de Pub/Sub de Redis (ver `publish`). Las suscripciones usan una conexión dedicada,
+     * compartida por todas las suscripciones del proceso, y se restauran automáticamente tras una reconexión.
+     *
+     * @param {string} channel - El canal (ej. `redisChannels.MESSAGE_UPDATE`).
+     * @param {Function} handler - `(payload, channel) => {}`. Recibe el mensaje parseado como JSON
+     * (o el texto, si no es JSON). Puede ser asíncrono; sus errores se registran sin afectar a otros handlers.
+     * @returns {Promise<Function|null>} Una función `async () => {}` que cancela esta suscripción,
+     * o null si no se pudo suscribir.
+     *
+     * @example
+     * const unsubscribe = await redisService.subscribe(redisChannels.MESSAGE_UPDATE, (update) => notify(update));
+     * // ...
+     * await unsubscribe();
+     */
+    async subscribe(channel, handler) {
+        return this._addSubscription(this.subscriptions, 'subscribe', channel, handler);
+    }
+
+    /**
+     * Se suscribe a todos los canales que coinciden con un patrón (ej. `message-updates:*`). Igual que `subscribe`.
+     *
+     * @param {string} pattern - El patrón glob de Redis.
+     * @param {Function} handler - `(payload, channel, pattern) => {}`. Recibe además el canal concreto del mensaje.
+     * @returns {Promise<Function|null>} Una función que cancela esta suscripción, o null si no se pudo suscribir.
+     */
+    async psubscribe(pattern, handler) {
+        return this._addSubscription(this.patternSubscriptions, 'psubscribe', pattern, handler);
+    }
 }
 
 // Para mantener la compatibilidad hacia atrás y el patrón singleton para el uso general de la app,
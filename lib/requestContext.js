@@ -0,0 +1,104 @@
+/**
+ * @module requestContext
+ * @description Contexto ambiental de la petición en curso, basado en `AsyncLocalStorage`.
+ * Permite que capas sin acceso al objeto `req` (logger, plugins de Mongoose, servicios, axiosClient) conozcan
+ * la petición en curso y quién realiza la operación sin tener que pasarlo como parámetro.
+ *
+ * El contexto de una petición contiene:
+ * - requestId: {string} - Identificador de la petición (cabecera `X-Request-Id` o generado).
+ * - sourceType: {string} - El origen de la petición (cabecera `X-Source-Type`, ej. 'webhook').
+ *
+ * y, una vez que `authClient` o `metaWebhookAuth` han verificado la petición:
+ * - companyId: {string} - La compañía del usuario.
+ * - userId: {string} - El ID del usuario.
+ * - username: {string} - El nombre del usuario.
+ * - roles: {string[]} - Los roles del usuario.
+ * - authenticated: {boolean} - `true` cuando `authClient` ha verificado la identidad anterior.
+ * - channel: {string} - El canal de Meta de un webhook verificado (ej. 'whatsapp').
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Nombre con el que se auditan las escrituras hechas fuera de una petición (jobs, consumidores de streams...).
+const SYSTEM_ACTOR = process.env.AUDIT_SYSTEM_ACTOR || 'system';
+
+/**
+ * Ejecuta una función dentro de un contexto. Todo el código asíncrono que se dispare desde ella
+ * (incluidos los siguientes middlewares de Express) verá ese contexto.
+ *
+ * @param {object} context - Los datos del contexto (ej. `{ companyId, userId, username }`).
+ * @param {Function} fn - La función a ejecutar.
+ * @returns {*} El valor devuelto por `fn`.
+ */
+const run = (context, fn) => storage.run(context, fn);
+
+/**
+ * Obtiene el contexto actual.
+ * @returns {object | null} El contexto, o `null` si el código no se ejecuta dentro de uno.
+ */
+const getContext = () => storage.getStore() || null;
+
+/**
+ * Obtiene el nombre del usuario que realiza la operación actual.
+ * @returns {string | null} El `username` del contexto, o `null` si no hay contexto.
+ */
+const getActor = () => {
+    const context = getContext();
+    return (context && context.username) || null;
+};
+
+/**
+ * Añade o actualiza datos en el contexto actual (ej. los datos del usuario una vez autenticado).
+ * @param {object} values - Los datos a añadir.
+ * @returns {boolean} `true` si había un contexto que actualizar, `false` si el código no se ejecuta dentro de uno.
+ */
+const setContext = (values) => {
+    const context = getContext();
+    if (!context) return false;
+    Object.assign(context, values);
+    return true;
+};
+
+/**
+ * Convierte el valor de la cabecera `X-User-Roles` en una lista de roles.
+ * Admite un array JSON (`["admin","user"]`) o una lista separada por comas (`admin,user`).
+ * @param {string | string[] | undefined} value - El valor de la cabecera.
+ * @returns {string[]} Los roles, sin espacios ni valores vacíos.
+ */
+const parseRoles = (value) => {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map(String).map(role => role.trim()).filter(Boolean);
+    try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) return parsed.map(String).map(role => role.trim()).filter(Boolean);
+        if (typeof parsed === 'string') return [parsed.trim()].filter(Boolean);
+    } catch (e) {
+        // No es JSON: se interpreta como lista separada por comas.
+    }
+    return String(value).split(',').map(role => role.trim()).filter(Boolean);
+};
+
+/**
+ * Ejecuta una función como un proceso del sistema, con un nombre de actor para la auditoría.
+ * Útil en jobs y consumidores en segundo plano que escriben en la base de datos.
+ *
+ * @example
+ * await requestContext.runAsSystem(() => service.insert(companyId, null, body), 'campaign-scheduler');
+ *
+ * @param {Function} fn - La función a ejecutar.
+ * @param {string} [actor=SYSTEM_ACTOR] - El nombre con el que se auditarán las escrituras.
+ * @returns {*} El valor devuelto por `fn`.
+ */
+const runAsSystem = (fn, actor = SYSTEM_ACTOR) => storage.run({ ...(getContext() || {}), username: actor, isSystem: true }, fn);
+
+module.exports = {
+    SYSTEM_ACTOR,
+    run,
+    getContext,
+    setContext,
+    getActor,
+    parseRoles,
+    runAsSystem,
+};
@@ -0,0 +1,365 @@
+const os = require('os');
+const logger = require('./logger').forModule('streamConsumer');
+
+/**
+ * @module streamConsumer
+ * @description Consumidor gestionado de un Stream de Redis con grupo de consumidores, sobre `RedisService`.
+ *
+ * - Lee mensajes nuevos con `XREADGROUP` en una conexión propia (duplicada del cliente compartido), ya que
+ *   una lectura bloqueante detendría el resto de comandos de la conexión.
+ * - Procesa hasta `concurrency` mensajes a la vez y confirma (`XACK`) cada mensaje cuando el handler termina sin error.
+ * - Si el handler falla, el mensaje queda pendiente y se reintenta cuando lleva `claimIdleTime` sin confirmar:
+ *   periódicamente se reclaman con `XAUTOCLAIM` los mensajes pendientes inactivos, tanto los fallidos como los
+ *   de consumidores caídos.
+ * - Cuenta las entregas de cada mensaje (`XPENDING`); al alcanzar `maxAttempts`, el mensaje se mueve al stream
+ *   de mensajes muertos (dead-letter) con el último error y se confirma, para que no quede pendiente para siempre.
+ * - `stop()` deja de leer, espera a que terminen los mensajes en curso y cierra la conexión de lectura.
+ *
+ * La entrega es "al menos una vez": un mensaje puede procesarse más de una vez (ej. si el proceso cae tras
+ * ejecutar el handler y antes del ACK), por lo que los handlers deben ser idempotentes.
+ *
+ * @example
+ * const consumer = new StreamConsumer({
+ *     streamKey: messagesRedisStream.INCOMING_STREAM_KEY,
+ *     groupName: messagesRedisStream.GROUP_NAME,
+ *     concurrency: 5,
+ *     handler: async (payload, message) => processIncoming(payload),
+ * });
+ * await consumer.start();
+ * process.on('SIGTERM', () => consumer.stop());
+ */
+
+const DEFAULT_BLOCK_MS = 5000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_CLAIM_IDLE_MS = 60000;
+const DEFAULT_CLAIM_INTERVAL_MS = 30000;
+const DEFAULT_DEAD_LETTER_MAX_LEN = 10000;
+const DEFAULT_STOP_TIMEOUT_MS = 30000;
+const READ_ERROR_DELAY_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Convierte la lista de campos de una entrada de stream (`[campo, valor, ...]`) en un objeto.
+ */
+const toFields = (list) => {
+    const fields = {};
+    for (let i = 0; i < list.length; i += 2) {
+        fields[list[i]] = list[i + 1];
+    }
+    return fields;
+};
+
+class StreamConsumer {
+    /**
+     * @param {object} options
+     * @param {string} options.streamKey - El stream a consumir.
+     * @param {string} options.groupName - El grupo de consumidores.
+     * @param {Function} options.handler - `async (payload, message) => {}`. `message` es `{ id, payload, deliveries, streamKey }`.
+     * Si lanza un error, el mensaje se reintenta.
+     * @param {string} [options.consumerName] - Nombre único del consumidor. Por defecto `<hostname>-<pid>`.
+     * @param {object} [options.redis] - La instancia de `RedisService`. Por defecto la compartida.
+     * @param {number} [options.concurrency=1] - Mensajes procesados en paralelo.
+     * @param {number} [options.block=5000] - Espera máxima de cada lectura bloqueante, en milisegundos.
+     * @param {number} [options.maxAttempts=5] - Entregas máximas de un mensaje antes de moverlo al dead-letter.
+     * @param {number} [options.claimIdleTime=60000] - Milisegundos sin confirmar tras los que un mensaje pendiente se reclama y reintenta.
+     * @param {number} [options.claimInterval=30000] - Cada cuántos milisegundos se buscan mensajes pendientes que reclamar.
+     * @param {string} [options.deadLetterStream] - El stream de mensajes muertos. Por defecto `<streamKey>_dead_letter`.
+     * @param {number} [options.deadLetterMaxLen=10000] - Longitud máxima (aproximada) del stream de mensajes muertos.
+     */
+    constructor(options = {}) {
+        const { streamKey, groupName, handler } = options;
+        if (!streamKey || !groupName || typeof handler !== 'function') {
+            throw new Error('StreamConsumer requires streamKey, groupName and a handler function.');
+        }
+        this.streamKey = streamKey;
+        this.groupName = groupName;
+        this.handler = handler;
+        this.consumerName = options.consumerName || `${os.hostname()}-${process.pid}`;
+        // Se carga aquí para poder inyectar otra instancia (ej. en pruebas) sin conectar la compartida.
+        this.redis = options.redis || require('./redisService');
+        this.concurrency = Math.max(1, parseInt(options.concurrency, 10) || 1);
+        this.block = options.block || DEFAULT_BLOCK_MS;
+        this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+        this.claimIdleTime = options.claimIdleTime || DEFAULT_CLAIM_IDLE_MS;
+        this.claimInterval = options.claimInterval || DEFAULT_CLAIM_INTERVAL_MS;
+        this.deadLetterStream = options.deadLetterStream || `${streamKey}_dead_letter`;
+        this.deadLetterMaxLen = options.deadLetterMaxLen || DEFAULT_DEAD_LETTER_MAX_LEN;
+
+        this.running = false;
+        this.reader = null;
+        this.inFlight = new Set();
+        this.stats = { processed: 0, failed: 0, deadLettered: 0, claimed: 0 };
+        this._loopPromise = null;
+        this._claimTimer = null;
+        this._claiming = false;
+    }
+
+    get client() {
+        const { client } = this.redis;
+        if (!client || client.status !== 'ready') {
+            throw new Error(`Cliente Redis no disponible para el consumidor de '${this.streamKey}'.`);
+        }
+        return client;
+    }
+
+    /**
+     * Crea el grupo si no existe, abre la conexión de lectura y empieza a consumir.
+     * Primero se procesan los mensajes que este consumidor dejó pendientes (ej. antes de un reinicio).
+     * @returns {Promise<void>}
+     * @throws {Error} Si no se puede crear el grupo o abrir la conexión de lectura; en ese caso la conexión se cierra
+     * y el consumidor queda detenido, de modo que `start()` se puede volver a llamar.
+     */
+    async start() {
+        if (this.running) return;
+        if (!(await this.redis.setupStreamGroup(this.streamKey, this.groupName))) {
+            throw new Error(`No se pudo crear el grupo '${this.groupName}' del stream '${this.streamKey}'.`);
+        }
+        const reader = this.client.duplicate();
+        if (reader.status !== 'ready') {
+            try {
+                await new Promise((resolve, reject) => {
+                    // Se retira el listener que no se disparó, para no dejarlo colgado de la conexión.
+                    const onReady = () => {
+                        reader.off('error', onError);
+                        resolve();
+                    };
+                    const onError = (error) => {
+                        reader.off('ready', onReady);
+                        reject(error);
+                    };
+                    reader.once('ready', onReady);
+                    reader.once('error', onError);
+                });
+            } catch (error) {
+                // Sin cerrarla, ioredis seguiría reintentando la conexión de un consumidor que no arrancó.
+                reader.disconnect();
+                throw error;
+            }
+        }
+        this.reader = reader;
+        this.reader.on('error', error => logger.error(`Error en la conexión de lectura de '${this.streamKey}': ${error.message}`));
+
+        this.running = true;
+        logger.info(`Consumidor '${this.consumerName}' iniciado en '${this.streamKey}' (grupo '${this.groupName}', concurrencia ${this.concurrency}).`);
+        this._loopPromise = this._run();
+        this._claimTimer = setInterval(() => this._claimStale(), this.claimInterval);
+        this._claimTimer.unref();
+    }
+
+    /**
+     * Deja de leer mensajes, espera a que terminen los que están en curso y cierra la conexión de lectura.
+     * Los mensajes no confirmados quedan pendientes y se reclamarán más tarde.
+     * @param {object} [options]
+     * @param {number} [options.timeout=30000] - Espera máxima de los mensajes en curso, en milisegundos.
+     * @returns {Promise<void>}
+     */
+    async stop({ timeout = DEFAULT_STOP_TIMEOUT_MS } = {}) {
+        if (!this.running) return;
+        this.running = false;
+        clearInterval(this._claimTimer);
+        // Cerrar la conexión interrumpe la lectura bloqueante en curso.
+        this.reader.disconnect();
+
+        let timer;
+        const timedOut = new Promise(resolve => { timer = setTimeout(() => resolve(true), timeout); });
+        const drained = Promise.allSettled([this._loopPromise, ...this.inFlight]).then(() => false);
+        if (await Promise.race([drained, timedOut])) {
+            logger.warn(`Consumidor '${this.consumerName}' detenido con ${this.inFlight.size} mensaje(s) aún en curso.`);
+        }
+        clearTimeout(timer);
+        this.reader = null;
+        logger.info({ stats: { ...this.stats } }, `Consumidor '${this.consumerName}' detenido en '${this.streamKey}'.`);
+    }
+
+    /**
+     * Bucle de lectura: primero los pendientes propios y después los mensajes nuevos.
+     * @private
+     */
+    async _run() {
+        try {
+            await this._readOwnPending();
+        } catch (error) {
+            if (this.running) {
+                // Los pendientes propios se recuperarán igualmente con XAUTOCLAIM.
+                logger.error(`Error al leer los mensajes pendientes de '${this.streamKey}': ${error.message}`);
+            }
+        }
+        while (this.running) {
+            await this._waitForSlot();
+            if (!this.running) break;
+            try {
+                const free = this.concurrency - this.inFlight.size;
+                const response = await this.reader.xreadgroup(
+                    'GROUP', this.groupName, this.consumerName,
+                    'COUNT', free,
+                    'BLOCK', this.block,
+                    'STREAMS', this.streamKey, '>'
+                );
+                if (!response) continue; // Sin mensajes nuevos en el tiempo de bloqueo.
+                const [[, entries]] = response;
+                // Los mensajes nuevos se entregan por primera vez.
+                for (const entry of entries) {
+                    await this._waitForSlot();
+                    this._dispatch(entry, 1);
+                }
+            } catch (error) {
+                if (!this.running) break; // La conexión se cerró al detener el consumidor.
+                logger.error(`Error al leer del stream '${this.streamKey}': ${error.message}`);
+                await sleep(READ_ERROR_DELAY_MS);
+            }
+        }
+    }
+
+    /**
+     * Procesa los mensajes que quedaron pendientes para este consumidor.
+     * @private
+     */
+    async _readOwnPending() {
+        let lastId = '0';
+        while (this.running) {
+            const response = await this.reader.xreadgroup(
+                'GROUP', this.groupName, this.consumerName,
+                'COUNT', this.concurrency,
+                'STREAMS', this.streamKey, lastId
+            );
+            const entries = response ? response[0][1] : [];
+            if (entries.length === 0) return;
+            for (const entry of entries) {
+                await this._waitForSlot();
+                if (!entry[1]) {
+                    // La entrada se borró del stream: solo queda retirarla de los pendientes.
+                    await this.client.xack(this.streamKey, this.groupName, entry[0]);
+                    continue;
+                }
+                this._dispatch(entry, await this._getDeliveries(entry[0]));
+            }
+            lastId = entries[entries.length - 1][0];
+        }
+    }
+
+    /**
+     * Reclama con `XAUTOCLAIM` los mensajes pendientes inactivos más de `claimIdleTime` y los procesa.
+     * @private
+     */
+    async _claimStale() {
+        if (!this.running || this._claiming) return;
+        this._claiming = true;
+        try {
+            let cursor = '0-0';
+            do {
+                await this._waitForSlot();
+                if (!this.running) return;
+                const [next, entries] = await this.client.xautoclaim(
+                    this.streamKey, this.groupName, this.consumerName, this.claimIdleTime, cursor,
+                    'COUNT', this.concurrency
+                );
+                cursor = next;
+                for (const entry of entries) {
+                    if (!entry || !entry[1]) continue; // La entrada se borró del stream.
+                    this.stats.claimed += 1;
+                    await this._waitForSlot();
+                    this._dispatch(entry, await this._getDeliveries(entry[0]));
+                }
+            } while (cursor !== '0-0' && this.running);
+        } catch (error) {
+            logger.error(`Error al reclamar mensajes pendientes de '${this.streamKey}': ${error.message}`);
+        } finally {
+            this._claiming = false;
+        }
+    }
+
+    /**
+     * Obtiene el número de entregas de un mensaje pendiente.
+     * @private
+     */
+    async _getDeliveries(id) {
+        try {
+            const [pending] = await this.client.xpending(this.streamKey, this.groupName, id, id, 1);
+            return pending ? Number(pending[3]) : 1;
+        } catch (error) {
+            logger.error(`Error al consultar las entregas del mensaje ${id}: ${error.message}`);
+            return 1;
+        }
+    }
+
+    /**
+     * Espera a que haya un hueco para procesar un mensaje más.
+     * @private
+     */
+    async _waitForSlot() {
+        while (this.inFlight.size >= this.concurrency) {
+            await Promise.race(this.inFlight);
+        }
+    }
+
+    /**
+     * Lanza el procesamiento de un mensaje y lo registra como en curso.
+     * @private
+     */
+    _dispatch(entry, deliveries) {
+        const task = this._process(entry, deliveries).finally(() => this.inFlight.delete(task));
+        this.inFlight.add(task);
+    }
+
+    /**
+     * Procesa un mensaje: lo mueve al dead-letter si superó los intentos, o ejecuta el handler y lo confirma.
+     * @private
+     */
+    async _process([id, fieldList], deliveries) {
+        const fields = toFields(fieldList);
+        if (deliveries > this.maxAttempts) {
+            await this._deadLetter(id, fields, deliveries, 'Max delivery attempts exceeded');
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(fields.payload);
+        } catch (error) {
+            // Un mensaje que no se puede parsear nunca se procesará: se descarta sin reintentos.
+            await this._deadLetter(id, fields, deliveries, `Invalid payload: ${error.message}`);
+            return;
+        }
+
+        try {
+            await this.handler(payload, { id, payload, deliveries, streamKey: this.streamKey });
+            await this.client.xack(this.streamKey, this.groupName, id);
+            this.stats.processed += 1;
+        } catch (error) {
+            this.stats.failed += 1;
+            if (deliveries >= this.maxAttempts) {
+                await this._deadLetter(id, fields, deliveries, error.message);
+            } else {
+                logger.warn(`Mensaje ${id} de '${this.streamKey}' falló (intento ${deliveries}/${this.maxAttempts}); se reintentará: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Copia un mensaje al stream de mensajes muertos y lo confirma en el stream original, en una transacción.
+     * @private
+     */
+    async _deadLetter(id, fields, deliveries, reason) {
+        try {
+            await this.client.multi()
+                .xadd(this.deadLetterStream, 'MAXLEN', '~', this.deadLetterMaxLen, '*',
+                    'payload', fields.payload === undefined ? '' : fields.payload,
+                    'originalId', id,
+                    'stream', this.streamKey,
+                    'group', this.groupName,
+                    'consumer', this.consumerName,
+                    'deliveries', deliveries,
+                    'error', reason,
+                    'failedAt', new Date().toISOString())
+                .xack(this.streamKey, this.groupName, id)
+                .exec();
+            this.stats.deadLettered += 1;
+            logger.error(`Mensaje ${id} de '${this.streamKey}' movido a '${this.deadLetterStream}' tras ${deliveries} entrega(s): ${reason}`);
+        } catch (error) {
+            logger.error(`Error al mover el mensaje ${id} a '${this.deadLetterStream}': ${error.message}`);
+        }
+    }
+}
+
+module.exports = StreamConsumer;
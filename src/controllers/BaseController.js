@@ -1,78 +1,149 @@
-const logger = require('../../lib/logger');
+const logger = require('../../lib/logger').forModule('BaseController');
+const requestContext = require('../../lib/requestContext');
+const authorization = require('../../lib/authorization');
+const { ForbiddenError, UnauthorizedError } = require('../../lib/errors');
+const { sendError } = require('../middlewares/responseHandleError');
 const BaseService = require('../services/BaseService');
+
+// Permiso (ver `lib/authorization`) que exige cada acción del controlador cuando la autorización está activada
+// (opción `permissions`). Con estos permisos un `viewer` puede leer pero no escribir, y solo un `admin` puede purgar la papelera.
+const DEFAULT_ACTION_PERMISSIONS = Object.freeze({
+    get: 'read',
+    stats: 'read',
+    history: 'read',
+    insert: 'write',
+    update: 'write',
+    patch: 'write',
+    restore: 'write',
+    bulkInsert: 'write',
+    bulkUpdate: 'write',
+    delete: 'delete',
+    bulkDelete: 'delete',
+    purge: 'manage',
+});
+
 class BaseController {
 
     /**
      * Crea una instancia de BaseController.
      * @param {BaseService} service - Una instancia de un servicio que hereda de BaseService.
+     * @param {object} [options]
+     * @param {object|boolean} [options.permissions] - Activa la autorización por acción. `true` usa los permisos por defecto;
+     * un objeto (ej. `{ get: 'read', purge: 'manage' }`) se combina con ellos, y una acción con valor `null` no se comprueba.
+     * Sin esta opción el controlador no comprueba permisos (ej. rutas protegidas con `requireRoles`).
      */
-    constructor(service) {
+    constructor(service, options = {}) {
         if (!service || !(service instanceof BaseService)) {
             throw new Error('A service instance inheriting from BaseService must be provided to the BaseController constructor.');
         }
         this.service = service;
         this.modelName = service.model.modelName;
+        this.permissions = options.permissions
+            ? { ...DEFAULT_ACTION_PERMISSIONS, ...(options.permissions === true ? {} : options.permissions) }
+            : null;
 
         // Envolvemos los métodos públicos en el manejador de errores asíncrono.
         // Esto centraliza la gestión de excepciones y limpia los métodos del controlador.
         // Usamos .bind(this) para asegurar que 'this' dentro de los métodos siga siendo la instancia del controlador.
-        this.insert = this._catchAsync(this.insert.bind(this), 'inserting');
-        this.get = this._catchAsync(this.get.bind(this), 'fetching');
-        this.delete = this._catchAsync(this.delete.bind(this), 'deleting');
-        this.update = this._catchAsync(this.update.bind(this), 'updating');
+        this.insert = this._catchAsync(this.insert.bind(this), 'inserting', 'insert');
+        this.get = this._catchAsync(this.get.bind(this), 'fetching', 'get');
+        this.delete = this._catchAsync(this.delete.bind(this), 'deleting', 'delete');
+        this.update = this._catchAsync(this.update.bind(this), 'updating', 'update');
+        this.patch = this._catchAsync(this.patch.bind(this), 'patching', 'patch');
+        this.stats = this._catchAsync(this.stats.bind(this), 'aggregating', 'stats');
+        this.bulkInsert = this._catchAsync(this.bulkInsert.bind(this), 'bulk inserting', 'bulkInsert');
+        this.bulkUpdate = this._catchAsync(this.bulkUpdate.bind(this), 'bulk updating', 'bulkUpdate');
+        this.bulkDelete = this._catchAsync(this.bulkDelete.bind(this), 'bulk deleting', 'bulkDelete');
+        this.restore = this._catchAsync(this.restore.bind(this), 'restoring', 'restore');
+        this.purge = this._catchAsync(this.purge.bind(this), 'purging', 'purge');
+        this.history = this._catchAsync(this.history.bind(this), 'fetching history of', 'history');
     }
 
     /**
      * Envuelve una función asíncrona de controlador para capturar errores y pasarlos al manejador de errores centralizado.
      * @param {Function} fn - La función asíncrona del controlador a envolver.
      * @param {string} action - La acción que se está realizando (ej. 'inserting', 'deleting').
+     * @param {string} [method] - El nombre del método, para comprobar su permiso (ver `_authorize`).
      * @returns {Function} Una nueva función que maneja la lógica de try/catch.
      * @private
      */
-    _catchAsync(fn, action) {
+    _catchAsync(fn, action, method) {
         return (req, res) => {
+            if (!this._authorize(req, res, method, action)) {
+                return;
+            }
             fn(req, res).catch(err => {
-                // Determina si hay un ID de recurso en los parámetros de la ruta (ej. /recurso/:_id)
-                const resourceId = req.params._id || null;
-                this._handleError(res, err, action, resourceId);
+                // Determina si hay un ID de recurso en los parámetros de la ruta (ej. /recurso/:id)
+                const resourceId = req.params.id || null;
+                this._handleError(req, res, err, action, resourceId);
             });
         };
     }
 
+    /**
+     * Comprueba que el usuario tenga el permiso asociado al método. Responde 401 si la petición no está
+     * autenticada (`req.user` o `req.token`) y 403 si el usuario no tiene el permiso.
+     * @param {object} req - The Express request object.
+     * @param {object} res - The Express response object.
+     * @param {string} method - El nombre del método del controlador.
+     * @param {string} action - La acción que se está realizando, para el mensaje de error.
+     * @returns {boolean} `true` si la petición puede continuar.
+     * @private
+     */
+    _authorize(req, res, method, action) {
+        const permission = this.permissions && this.permissions[method];
+        if (!permission) {
+            return true;
+        }
+        const user = req.user || req.token;
+        if (!user) {
+            sendError(req, res, new UnauthorizedError('Authentication is required'));
+            return false;
+        }
+        const { username, roles } = user;
+        const userRoles = requestContext.parseRoles(roles);
+        if (authorization.hasPermission(userRoles, permission)) {
+            return true;
+        }
+        logger.warn(`User ${username || 'anonymous'} (roles: ${userRoles.join(',') || 'none'}) lacks permission '${permission}' for ${action} ${this.modelName}`);
+        sendError(req, res, new ForbiddenError(`'${permission}' permission is required for ${action} ${this.modelName}`));
+        return false;
+    }
+
+    /**
+     * Obtiene los datos del usuario de la petición.
+     * `authClient` los deja en `req.token`; se admite también `req.user` (otros middlewares de autenticación).
+     * No se usa el contexto de la petición: solo cuentan los datos fijados por un paso de autenticación verificado.
+     * @param {object} req - The Express request object.
+     * @returns {{companyId?: string, userId?: string, username?: string, roles?: string[]}} Los datos del usuario.
+     * @private
+     */
+    _getUser(req) {
+        return req.user || req.token || {};
+    }
+
     /**
      * Centralized error handler for the controller.
+     * Services throw typed errors (`lib/errors`) and Mongoose errors are mapped to them,
+     * so the response always has the shape produced by `sendError`.
+     * @param {object} req - The Express request object.
      * @param {object} res - The Express response object.
      * @param {Error} error - The error object caught.
      * @param {string} action - The action being performed (e.g., 'inserting', 'updating').
      * @param {string|null} [resourceId=null] - The ID of the resource, if applicable.
      * @private
      */
-    _handleError(res, error, action, resourceId = null) {
+    _handleError(req, res, error, action, resourceId = null) {
         const resourceInfo = resourceId ? ` with id ${resourceId}` : '';
-        const logMessage = `Error ${action} ${this.modelName}${resourceInfo}`;
-        const clientMessage = `Error ${action} ${this.modelName}: ${error.message}`;
-
-        // Manejo específico para métodos no implementados en clases hijas
-        if (error.message.includes('not implemented')) {
-            logger.error(`Method for action '${action}' is not implemented in the derived controller for ${this.modelName}.`, error);
-            return res.status(501).json({ message: `Functionality for '${action}' is not implemented.` });
-        }
-
-        logger.error(logMessage);
-        logger.debug(error.stack);
-
-        // The service layer throws an error containing "not found" for 404 cases
-        const isNotFound = error.message.toLowerCase().includes('not found');
-        const statusCode = isNotFound ? 404 : 500;
-
-        res.status(statusCode).json({ message: clientMessage });
+        logger.debug(`Error ${action} ${this.modelName}${resourceInfo}: ${error.message}`);
+        sendError(req, res, error);
     }
 
     /**
      * Inserta un nuevo recurso utilizando el servicio base.
      */
     async insert(req, res) {
-        const { companyId, username } = req.user;
+        const { companyId, username } = this._getUser(req);
         const newObject = await this.service.insert(companyId, username, req.body);
         res.status(201).json(newObject);
     }
@@ -82,7 +153,7 @@ class BaseController {
      * De lo contrario, devuelve una lista paginada.
      */
     async get(req, res) {
-        const companyId = req.user.companyId;
+        const { companyId } = this._getUser(req);
         const { id } = req.params;
         const queryParams = req.query;
 
@@ -91,6 +162,11 @@ class BaseController {
             // Si hay un id en los parámetros de la ruta, es una operación para un solo documento.
             // Pasamos el id dentro del objeto de consulta para que el servicio lo use.
             result = await this.service.selectOne(companyId, { ...queryParams, _id: id });
+            // El ETag permite al cliente enviar `If-Match` en update/delete (control de concurrencia optimista).
+            const etag = this.service.etagFor(result);
+            if (etag) {
+                res.set('ETag', etag);
+            }
         } else {
             // De lo contrario, es una operación para múltiples documentos.
             result = await this.service.selectAll(companyId, queryParams);
@@ -98,25 +174,145 @@ class BaseController {
         res.status(200).json(result);
     }
 
+    /**
+     * Obtiene métricas agregadas de los recursos (ej. conteo por estado o mensajes por día).
+     * Acepta los mismos filtros que el listado más `groupBy`, `metrics`, `interval` y `dateField`.
+     * La ruta debe registrarse antes que la de detalle: `router.get('/stats', controller.stats)`.
+     */
+    async stats(req, res) {
+        const { companyId } = this._getUser(req);
+        const result = await this.service.selectAggregate(companyId, req.query);
+        res.status(200).json(result);
+    }
+
     /**
      * Realiza un borrado lógico (soft delete) de un recurso.
+     * Si se envía la cabecera `If-Match`, solo se elimina si coincide con el ETag actual (412 en caso contrario).
      */
     async delete(req, res) {
-        const { companyId, username } = req.user;
+        const { companyId, username } = this._getUser(req);
         const { id } = req.params;
-        const result = await this.service.delete(companyId, username, id);
+        const result = await this.service.delete(companyId, username, id, { ifMatch: req.get('If-Match') });
         res.status(200).json(result);
     }
 
     /**
      * Actualiza un recurso existente.
+     * Si se envía la cabecera `If-Match`, solo se actualiza si coincide con el ETag actual (412 en caso contrario).
+     * La respuesta incluye el nuevo ETag.
      */
     async update(req, res) {
-        const { companyId, username } = req.user;
+        const { companyId, username } = this._getUser(req);
         const { id } = req.params;
-        const result = await this.service.update(companyId, username, id, req.body);
+        const result = await this.service.update(companyId, username, id, req.body, { ifMatch: req.get('If-Match') });
+        if (result.etag) {
+            res.set('ETag', result.etag);
+        }
+        res.status(200).json(result);
+    }
+
+    /**
+     * Modifica parcialmente un recurso con un parche (ver `BaseService.patch`).
+     * El formato se toma del Content-Type: `application/json-patch+json` (RFC 6902) o
+     * `application/merge-patch+json` (RFC 7396); con `application/json` se deduce del cuerpo.
+     * El parser de JSON debe aceptar esos tipos: `express.json({ type: ['application/json', 'application/*+json'] })`.
+     * Ruta sugerida: `router.patch('/:id', controller.patch)`.
+     */
+    async patch(req, res) {
+        const { companyId, username } = this._getUser(req);
+        const { id } = req.params;
+        let format;
+        if (req.is('application/json-patch+json')) {
+            format = 'json-patch';
+        } else if (req.is('application/merge-patch+json')) {
+            format = 'merge';
+        }
+        const result = await this.service.patch(companyId, username, id, req.body, { format, ifMatch: req.get('If-Match') });
+        if (result.etag) {
+            res.set('ETag', result.etag);
+        }
         res.status(200).json(result);
     }
+
+    /**
+     * Restaura un recurso eliminado lógicamente.
+     * Ruta sugerida: `router.post('/:id/restore', controller.restore)`.
+     * La papelera se consulta con el listado normal: `GET /?onlyDeleted=true`.
+     */
+    async restore(req, res) {
+        const { companyId, username } = this._getUser(req);
+        const { id } = req.params;
+        const result = await this.service.restore(companyId, username, id);
+        res.status(200).json(result);
+    }
+
+    /**
+     * Elimina físicamente los recursos que llevan en la papelera más de `olderThanDays` días
+     * (por defecto, el periodo de retención configurado en el servicio).
+     * Ruta sugerida: `router.delete('/trash', controller.purge)`.
+     */
+    async purge(req, res) {
+        const { companyId } = this._getUser(req);
+        const result = await this.service.purge(companyId, { olderThanDays: req.query.olderThanDays });
+        res.status(200).json(result);
+    }
+
+    /**
+     * Obtiene el historial de cambios de un recurso (quién cambió qué campo, con su valor anterior y posterior).
+     * Ruta sugerida: `router.get('/:id/history', controller.history)`.
+     */
+    async history(req, res) {
+        const { companyId } = this._getUser(req);
+        const { id } = req.params;
+        const result = await this.service.selectHistory(companyId, id, req.query);
+        res.status(200).json(result);
+    }
+
+    /**
+     * Devuelve el código de estado de una operación masiva: 207 (Multi-Status) si algún elemento falló.
+     * @param {{failed: number}} summary - El resumen devuelto por el servicio.
+     * @param {number} successStatus - El código a usar si todos los elementos se procesaron correctamente.
+     * @returns {number} El código de estado HTTP.
+     * @private
+     */
+    _bulkStatus(summary, successStatus) {
+        return summary.failed > 0 ? 207 : successStatus;
+    }
+
+    /**
+     * Inserta varios recursos. El cuerpo es un array de documentos o `{ items: [...] }`.
+     * Sin cuerpo (o sin `items`) el servicio rechaza la petición con un `ValidationError` (400).
+     * Ruta sugerida: `router.post('/bulk', controller.bulkInsert)`.
+     */
+    async bulkInsert(req, res) {
+        const { companyId, username } = this._getUser(req);
+        const items = Array.isArray(req.body) ? req.body : (req.body || {}).items;
+        const result = await this.service.insertMany(companyId, username, items);
+        res.status(this._bulkStatus(result, 201)).json(result);
+    }
+
+    /**
+     * Actualiza varios recursos con los mismos cambios.
+     * El cuerpo es `{ ids: [...], data: {...} }` o `{ filter: {...}, data: {...} }`.
+     * Ruta sugerida: `router.patch('/bulk', controller.bulkUpdate)`.
+     */
+    async bulkUpdate(req, res) {
+        const { companyId, username } = this._getUser(req);
+        const { ids, filter, data } = req.body || {};
+        const result = await this.service.updateMany(companyId, username, { ids, filter }, data);
+        res.status(this._bulkStatus(result, 200)).json(result);
+    }
+
+    /**
+     * Realiza el borrado lógico de varios recursos. El cuerpo es `{ ids: [...] }` o `{ filter: {...} }`.
+     * Ruta sugerida: `router.delete('/bulk', controller.bulkDelete)`.
+     */
+    async bulkDelete(req, res) {
+        const { companyId, username } = this._getUser(req);
+        const { ids, filter } = req.body || {};
+        const result = await this.service.deleteMany(companyId, username, { ids, filter });
+        res.status(this._bulkStatus(result, 200)).json(result);
+    }
 };
 
 module.exports = BaseController;
\ No newline at end of file
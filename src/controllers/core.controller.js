@@ -1,5 +1,8 @@
-const logger = require('../../lib/logger');
+const logger = require('../../lib/logger').forModule('CoreController');
+const { redact } = require('../../lib/redaction');
 const CoreService = require('../services/core.service');
+const { NotFoundError } = require('../../lib/errors');
+const { sendError } = require('../middlewares/responseHandleError');
 
 class CoreController {
     /**
@@ -14,26 +17,17 @@ class CoreController {
         this.service = service;
     }
 
-    _handleError(error, res) {
-        logger.error(error);
-        let status = 500;
-        if (error.name === 'ValidationError') {
-            status = 400;
-        } else if (error.code === 11000) {
-            status = 409;
-        } else if (error.name === 'CastError') {
-            status = 400;
-        }
-
-        return res.status(status).json({
-            status: 'error',
-            message: error.message
-        });
+    /**
+     * Sends the error through the shared error response (see `sendError`), which maps
+     * Mongoose errors (ValidationError, CastError, duplicate key) to typed errors.
+     */
+    _handleError(req, res, error) {
+        return sendError(req, res, error);
     }
 
     _catchAsync(fn) {
         return (req, res, next) => {
-            Promise.resolve(fn(req, res, next)).catch((err) => this._handleError(err, res));
+            Promise.resolve(fn(req, res, next)).catch((err) => this._handleError(req, res, err));
         };
     }
 
@@ -45,12 +39,12 @@ class CoreController {
      * @param {Object} res - The response object.
      */
     get = this._catchAsync(async (req, res) => {
-        logger.debug(`[CoreController] Executing get with params: ${JSON.stringify(req.params)} and query: ${JSON.stringify(req.query)}`);
+        logger.debug({ params: redact(req.params), query: redact(req.query) }, '[CoreController] Executing get');
         const { id } = req.params;
         if (id) {
             const result = await this.service.findById(id);
             if (!result) {
-                return res.status(404).json({ status: 'error', message: 'Document not found' });
+                throw new NotFoundError('Document not found');
             }
             return res.status(200).json(result);
         }
@@ -61,16 +55,17 @@ class CoreController {
 
     /**
      * Creates a new resource.
-     * Injects `created_by` and `updated_by` if `req.user.username` is present.
+     * Injects `created_by` and `updated_by` if the request user (`req.user` or `req.token`) has a username.
      * @param {Object} req - The request object.
      * @param {Object} res - The response object.
      */
     post = this._catchAsync(async (req, res) => {
-        logger.debug(`[CoreController] Executing post with body: ${JSON.stringify(req.body)}`);
+        logger.debug({ body: redact(req.body) }, '[CoreController] Executing post');
         const body = req.body;
-        if (req.user && req.user.username) {
-            body.created_by = req.user.username;
-            body.updated_by = req.user.username;
+        const user = req.user || req.token;
+        if (user && user.username) {
+            body.created_by = user.username;
+            body.updated_by = user.username;
         }
         const result = await this.service.create(body);
         res.status(201).json(result);
@@ -78,23 +73,24 @@ class CoreController {
 
     /**
      * Updates an existing resource by ID.
-     * Injects `updated_by` if `req.user.username` is present and updates `updated_at`.
+     * Injects `updated_by` if the request user (`req.user` or `req.token`) has a username and updates `updated_at`.
      * @param {Object} req - The request object.
      * @param {Object} res - The response object.
      */
     put = this._catchAsync(async (req, res) => {
-        logger.debug(`[CoreController] Executing put with params: ${JSON.stringify(req.params)} and body: ${JSON.stringify(req.body)}`);
+        logger.debug({ params: redact(req.params), body: redact(req.body) }, '[CoreController] Executing put');
         const { id } = req.params;
         const body = req.body;
 
         body.updated_at = Date.now();
-        if (req.user && req.user.username) {
-            body.updated_by = req.user.username;
+        const user = req.user || req.token;
+        if (user && user.username) {
+            body.updated_by = user.username;
         }
 
         const result = await this.service.update(id, body);
         if (!result) {
-            return res.status(404).json({ status: 'error', message: 'Document not found' });
+            throw new NotFoundError('Document not found');
         }
         res.status(200).json(result);
     });
@@ -105,11 +101,11 @@ class CoreController {
      * @param {Object} res - The response object.
      */
     delete = this._catchAsync(async (req, res) => {
-        logger.debug(`[CoreController] Executing delete with params: ${JSON.stringify(req.params)}`);
+        logger.debug({ params: redact(req.params) }, '[CoreController] Executing delete');
         const { id } = req.params;
         const result = await this.service.delete(id);
         if (!result) {
-            return res.status(404).json({ status: 'error', message: 'Document not found' });
+            throw new NotFoundError('Document not found');
         }
         res.status(200).json(result);
     });
@@ -0,0 +1,118 @@
+const express = require('express');
+const { authClient, requireRoles, responseHandleError } = require('../middlewares');
+
+/**
+ * Rutas estándar de un recurso. `methods` indica, por orden de preferencia, el método del controlador
+ * que atiende la ruta: `BaseController` usa `insert`/`update`, `CoreController` usa `post`/`put`.
+ * Las rutas fijas (`/stats`, `/trash`, `/bulk`) van antes que `/:id` para que no se interpreten como un id.
+ */
+const ROUTES = Object.freeze([
+    { name: 'stats', verb: 'get', path: '/stats', methods: ['stats'] },
+    { name: 'purge', verb: 'delete', path: '/trash', methods: ['purge'] },
+    { name: 'bulkInsert', verb: 'post', path: '/bulk', methods: ['bulkInsert'] },
+    { name: 'bulkUpdate', verb: 'patch', path: '/bulk', methods: ['bulkUpdate'] },
+    { name: 'bulkDelete', verb: 'delete', path: '/bulk', methods: ['bulkDelete'] },
+    { name: 'list', verb: 'get', path: '/', methods: ['get'] },
+    { name: 'get', verb: 'get', path: '/:id', methods: ['get'] },
+    { name: 'create', verb: 'post', path: '/', methods: ['insert', 'post'] },
+    { name: 'update', verb: 'put', path: '/:id', methods: ['update', 'put'] },
+    { name: 'patch', verb: 'patch', path: '/:id', methods: ['patch'] },
+    { name: 'delete', verb: 'delete', path: '/:id', methods: ['delete'] },
+    { name: 'restore', verb: 'post', path: '/:id/restore', methods: ['restore'] },
+    { name: 'history', verb: 'get', path: '/:id/history', methods: ['history'] },
+]);
+
+const toArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+/**
+ * Obtiene los roles exigidos para una ruta: `roles` puede ser una lista común a todas las rutas
+ * o un mapa por nombre de ruta (ej. `{ purge: ['admin'] }`).
+ */
+const rolesFor = (roles, name) => {
+    if (!roles) return [];
+    if (Array.isArray(roles) || typeof roles === 'string') return toArray(roles);
+    return toArray(roles[name]);
+};
+
+/**
+ * Crea un `express.Router` con las rutas estándar de un recurso a partir de un controlador
+ * (`BaseController`, `CoreController` o cualquier objeto con métodos homónimos).
+ * Solo se registran las rutas cuyo método existe en el controlador: PATCH no recurre a `update`/`put`,
+ * que reemplazan el recurso completo en lugar de aplicar un cambio parcial.
+ *
+ * | Ruta          | Verbo y path           | Método del controlador |
+ * |---------------|------------------------|------------------------|
+ * | stats         | GET /stats             | stats                  |
+ * | purge         | DELETE /trash          | purge                  |
+ * | bulkInsert    | POST /bulk             | bulkInsert             |
+ * | bulkUpdate    | PATCH /bulk            | bulkUpdate             |
+ * | bulkDelete    | DELETE /bulk           | bulkDelete             |
+ * | list          | GET /                  | get                    |
+ * | get           | GET /:id               | get                    |
+ * | create        | POST /                 | insert / post          |
+ * | update        | PUT /:id               | update / put           |
+ * | patch         | PATCH /:id             | patch                  |
+ * | delete        | DELETE /:id            | delete                 |
+ * | restore       | POST /:id/restore      | restore                |
+ * | history       | GET /:id/history       | history                |
+ *
+ * @param {object} controller - La instancia del controlador.
+ * @param {object} [options]
+ * @param {Function|Function[]|false} [options.auth=authClient] - Middleware(s) de autenticación de todas las rutas. `false` lo desactiva.
+ * @param {string[]|Object<string, string[]>} [options.roles] - Roles exigidos (ver `requireRoles`), comunes o por nombre de ruta.
+ * @param {Object<string, false|Function|Function[]>} [options.routes] - Por nombre de ruta: `false` la desactiva;
+ * una función o lista de funciones reemplaza su handler (las funciones previas actúan como middlewares).
+ * @param {Function} [options.setup] - Recibe el router antes de las rutas estándar, para añadir rutas propias
+ * que deban evaluarse antes que `/:id`.
+ * @param {Function|false} [options.errorHandler=responseHandleError] - Middleware de errores (4 argumentos) del router,
+ * ej. `createErrorHandler({ problemJson: true })`. `false` lo desactiva. Atiende los errores que llegan con `next(err)`;
+ * `BaseController` y `CoreController` responden sus propios errores con `sendError`, cuyo formato se elige
+ * globalmente con `ERROR_RESPONSE_FORMAT=problem` o con la cabecera `Accept: application/problem+json`.
+ * @returns {import('express').Router}
+ *
+ * @example
+ * app.use('/products', createRouter(productController, {
+ *     roles: { purge: [rol.SYSTEM_ADMIN_ROLE] },
+ *     routes: { history: false, list: [cacheMiddleware, productController.get] },
+ * }));
+ */
+const createRouter = (controller, options = {}) => {
+    if (!controller) {
+        throw new Error('A controller instance must be provided to createRouter.');
+    }
+    const { auth = authClient, roles, routes = {}, setup, errorHandler = responseHandleError } = options;
+    const router = express.Router();
+
+    if (auth) {
+        router.use(...toArray(auth));
+    }
+    if (setup) {
+        setup(router);
+    }
+
+    ROUTES.forEach(({ name, verb, path, methods }) => {
+        const override = routes[name];
+        if (override === false) return;
+
+        let handlers;
+        if (override) {
+            handlers = toArray(override);
+        } else {
+            const method = methods.find(candidate => typeof controller[candidate] === 'function');
+            if (!method) return;
+            handlers = [controller[method]];
+        }
+
+        const routeRoles = rolesFor(roles, name);
+        const guards = routeRoles.length > 0 ? [requireRoles(...routeRoles)] : [];
+        router[verb](path, ...guards, ...handlers);
+    });
+
+    if (errorHandler) {
+        router.use(errorHandler);
+    }
+
+    return router;
+};
+
+module.exports = createRouter;
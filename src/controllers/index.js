@@ -1,5 +1,7 @@
 const BaseController = require('./BaseController');
+const createRouter = require('./createRouter');
 
 module.exports = {
-    BaseController
-};
\ No newline at end of file
+    BaseController,
+    createRouter
+};
@@ -1,5 +1,16 @@
-const logger = require('../../lib/logger');
+const logger = require('../../lib/logger').forModule('authClient');
+const requestContext = require('../../lib/requestContext');
+const internalAuth = require('../../lib/internalAuth');
+const metaWebhookAuth = require('./metaWebhookAuth');
+const { sendError } = require('./responseHandleError');
+const { UnauthorizedError } = require('../../lib/errors');
 const { headers, WEBHOOK_SOURCE_TYPE } = require('../../constants');
+
+let signatureWarningLogged = false;
+
+// Los webhooks de Meta se autentican con su propia firma; el canal se toma de `X-Service-Channel`.
+const verifyWebhook = metaWebhookAuth();
+
 /**
  * @module authClient
  * @description Middleware de Express para autenticar y autorizar peticiones internas entre servicios.
@@ -10,12 +21,18 @@ const { headers, WEBHOOK_SOURCE_TYPE } = require('../../constants');
 /**
  * Middleware para validar si una petición proviene de un servicio interno autorizado.
  *
- * 1.  Verifica la presencia y validez de una cabecera de autenticación interna (`X-Internal-Request`).
- * 2.  Si la petición no es de un Webhook, extrae y valida cabeceras con datos de usuario
- * (`X-User-Company`, `X-User-Name`, `X-User-Roles`).
- * 3.  Parsea los datos del usuario (compañía y roles) que vienen en formato JSON.
+ * 1.  Si la petición es de un Webhook (`X-Source-Type: webhook`) delega en `metaWebhookAuth`, que valida
+ * `X-Hub-Signature-256` con el App Secret del canal indicado en `X-Service-Channel`.
+ * 2.  En otro caso verifica la firma HMAC de la petición interna (`X-Internal-Request`, `X-Internal-Timestamp`,
+ * `X-Internal-Nonce`), su ventana de tiempo y que el nonce no se haya usado antes (ver `lib/internalAuth`).
+ * Si `INTERNAL_SIGNING_SECRET` no está configurado la petición se rechaza, salvo que la verificación se haya
+ * desactivado explícitamente con `INTERNAL_SIGNING_DISABLED=true` (se registra una advertencia).
+ * Luego extrae y valida cabeceras con datos de usuario (`X-User-Company`, `X-User-Name`, `X-User-Roles`).
+ * 3.  Parsea los roles del usuario (`X-User-Roles`, array JSON o lista separada por comas).
  * 4.  Inyecta un objeto `token` en el objeto `req` con la información del usuario para
  * su uso en los siguientes middlewares o controladores.
+ * 5.  Establece el contexto de la petición (`requestContext`) con esos datos, de modo que
+ * los plugins de auditoría puedan conocer el usuario sin recibirlo como parámetro.
  *
  * @async
  * @function authClient
@@ -31,15 +48,27 @@ const authClient = async (req, res, next) => {
     // Extraer datos de usuario desde headers personalizados    
     const sourceType = req.header(headers.SOURCE_TYPE);
     if (sourceType && sourceType === WEBHOOK_SOURCE_TYPE) {
-        logger.trace(`[authClient] sourceType: ${sourceType}, ignorando la validacion de seguridad de llamados internos `);
+        logger.trace(`[authClient] sourceType: ${sourceType}, se valida la firma del webhook en lugar de las cabeceras internas`);
+        return verifyWebhook(req, res, next);
     } else {
         logger.trace("[authClient] No sourceType presente por lo que se procesan cabeceras de llamados internos");
+        if (!internalAuth.isVerificationDisabled()) {
+            const verification = await internalAuth.verifyRequest(req);
+            if (!verification.valid) {
+                logger.warn(`[authClient] Petición interna rechazada: ${verification.error.message}`);
+                return sendError(req, res, verification.error);
+            }
+        } else if (!signatureWarningLogged) {
+            signatureWarningLogged = true;
+            logger.warn('[authClient] INTERNAL_SIGNING_DISABLED=true: las peticiones internas no se verifican');
+        }
+
         const companyId = req.header(headers.COMPANY_ID);
         const userId = req.header(headers.USER_ID);
         const username = req.header(headers.USER_NAME);
 
         if (!(companyId || userId || username)) {
-            return res.status(401).json({ error: 'Faltan Headers de datos del usuario' });
+            return sendError(req, res, new UnauthorizedError('Faltan Headers de datos del usuario'));
         }
 
         // Agregar objeto `token` al request
@@ -47,8 +76,17 @@ const authClient = async (req, res, next) => {
             companyId,
             userId,
             username,
+            roles: requestContext.parseRoles(req.header(headers.USER_ROLES)),
         };
         // logger.trace({file:'[authClient]',token:req.token});
+
+        // El resto de la cadena de middlewares se ejecuta dentro del contexto de la petición:
+        // si `requestContextMiddleware` ya lo creó se completa, si no se crea aquí.
+        // `authenticated` indica a `axiosClient` que puede propagar (y firmar) esta identidad.
+        const context = { ...req.token, authenticated: true };
+        if (!requestContext.setContext(context)) {
+            return requestContext.run(context, next);
+        }
     }
 
     next();
@@ -0,0 +1,61 @@
+const logger = require('../../lib/logger').forModule('authorize');
+const requestContext = require('../../lib/requestContext');
+const authorization = require('../../lib/authorization');
+const { ForbiddenError, UnauthorizedError } = require('../../lib/errors');
+const { sendError } = require('./responseHandleError');
+/**
+ * @module authorize
+ * @description Middlewares de Express para autorizar peticiones según los roles del usuario.
+ * Los roles se leen de `req.user.roles` o `req.token.roles` (ver `authClient`), nunca de cabeceras sin verificar,
+ * y se evalúan con la jerarquía de `lib/authorization` (un `admin` cumple `requireRoles('user')`).
+ *
+ * Deben registrarse después de `authClient`:
+ * @example router.delete('/trash', authClient, requireRoles(rol.CUSTOMER_ADMIN_ROLE), controller.purge);
+ */
+
+/**
+ * Obtiene los datos del usuario autenticado, o `null` si la petición no está autenticada.
+ */
+const getUser = (req) => req.user || req.token || null;
+
+/**
+ * Crea un middleware que rechaza la petición si la validación no se cumple:
+ * 401 si no hay usuario autenticado y 403 si el usuario no tiene acceso.
+ */
+const authorizeWith = (check, description) => (req, res, next) => {
+    const user = getUser(req);
+    if (!user) {
+        return sendError(req, res, new UnauthorizedError('Usuario no autenticado'));
+    }
+    const roles = requestContext.parseRoles(user.roles);
+    if (!check(roles)) {
+        logger.warn(`[authorize] Acceso denegado a ${user.username || user.userId} (roles: ${roles.join(',') || 'ninguno'}) en ${req.method} ${req.originalUrl}; requiere ${description}`);
+        return sendError(req, res, new ForbiddenError('No tiene permisos para realizar esta operación'));
+    }
+    next();
+};
+
+/**
+ * Exige que el usuario tenga alguno de los roles indicados (directamente o por herencia).
+ * @param {...string} roles - Los roles aceptados.
+ * @returns {Function} Middleware de Express.
+ */
+const requireRoles = (...roles) => authorizeWith(
+    userRoles => authorization.hasRole(userRoles, roles.flat()),
+    `rol ${roles.flat().join('|')}`
+);
+
+/**
+ * Exige que el usuario tenga un permiso (ver `setPermissions` en `lib/authorization`).
+ * @param {string} permission - El nombre del permiso (ej. 'write').
+ * @returns {Function} Middleware de Express.
+ */
+const requirePermission = (permission) => authorizeWith(
+    userRoles => authorization.hasPermission(userRoles, permission),
+    `permiso ${permission}`
+);
+
+module.exports = {
+    requirePermission,
+    requireRoles,
+};
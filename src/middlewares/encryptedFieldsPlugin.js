@@ -0,0 +1,247 @@
+const crypt = require('../../lib/crypt');
+const logger = require('../../lib/logger').forModule('encryptedFieldsPlugin');
+
+/**
+ * @module encryptedFieldsPlugin
+ * @description Plugin de Mongoose que encripta los campos marcados con `encrypted: true` al escribir
+ * (con `crypt.encrypt`) y los desencripta al leer, tanto en documentos como en resultados `lean`.
+ * Así los modelos con datos sensibles no necesitan getters de desencriptación ni `useLean: false`.
+ *
+ * Con `blindIndex: true` se guarda además un índice ciego (`crypt.blindIndex`) en el campo `<campo>_bidx`
+ * (oculto con `select: false`), que permite a `BaseService` filtrar por igualdad sobre el campo encriptado
+ * (ej. `?email=ana@example.com`). `blindIndex` admite `{ normalize: fn }` para normalizar el valor antes de indexarlo
+ * (por defecto se eliminan los espacios de los extremos); la misma normalización se aplica al filtrar.
+ *
+ * Se aplica a `save`, `updateOne`, `updateMany`, `findOneAndUpdate`, `replaceOne`, `findOneAndReplace`,
+ * `insertMany` y `bulkWrite`. Los resultados de `aggregate` no se desencriptan.
+ *
+ * El historial de `modelAuditPlugin` no registra los campos encriptados ni sus índices ciegos (`history: false`),
+ * ya que los compara desencriptados y los guardaría en claro en `audit_history`.
+ *
+ * @example
+ * const customerSchema = new Schema({
+ *     name: String,
+ *     email: { type: String, encrypted: true, blindIndex: { normalize: v => v.trim().toLowerCase() } },
+ *     phone: { type: String, encrypted: true, blindIndex: true },
+ *     notes: { type: String, encrypted: true },
+ * });
+ * customerSchema.plugin(encryptedFieldsPlugin);
+ */
+
+const BLIND_INDEX_SUFFIX = '_bidx';
+
+const defaultNormalize = (value) => String(value).trim();
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const setPath = (obj, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((current, key) => {
+        if (current[key] === null || typeof current[key] !== 'object') current[key] = {};
+        return current[key];
+    }, obj);
+    parent[last] = value;
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const encryptValue = (value) => (isEmpty(value) || crypt.isEncrypted(value) ? value : crypt.encrypt(String(value)));
+
+const decryptValue = (value) => (crypt.isEncrypted(value) ? crypt.decrypt(value) : value);
+
+/**
+ * Calcula el índice ciego de un valor en claro de un campo. Los valores vacíos no se indexan.
+ */
+const blindIndexOf = (field, value) => (isEmpty(value) ? null : crypt.blindIndex(field.normalize(value)));
+
+/**
+ * Encripta los campos de un objeto plano (documento a insertar, reemplazo o `$set`).
+ * Admite tanto claves con punto (`'contact.email'`) como objetos anidados.
+ */
+const encryptObject = (obj, fields) => {
+    if (!obj || typeof obj !== 'object') return;
+    fields.forEach(field => {
+        const flat = Object.prototype.hasOwnProperty.call(obj, field.path);
+        const value = flat ? obj[field.path] : getPath(obj, field.path);
+        if (value === undefined) return;
+
+        const write = (path, newValue) => (flat ? (obj[path] = newValue) : setPath(obj, path, newValue));
+        if (field.blindIndexPath && !crypt.isEncrypted(value)) {
+            write(field.blindIndexPath, blindIndexOf(field, value));
+        }
+        write(field.path, encryptValue(value));
+    });
+};
+
+/**
+ * Encripta los campos de un objeto de actualización. Las actualizaciones con pipeline no se modifican.
+ */
+const encryptUpdate = (update, fields) => {
+    if (!update || Array.isArray(update)) return update;
+    const hasOperators = Object.keys(update).some(key => key.startsWith('$'));
+    if (!hasOperators) {
+        encryptObject(update, fields);
+        return update;
+    }
+    encryptObject(update.$set, fields);
+    encryptObject(update.$setOnInsert, fields);
+    // Mongoose mueve a $set los campos sin operador que acompañan a otros operadores.
+    const loose = Object.fromEntries(Object.entries(update).filter(([key]) => !key.startsWith('$')));
+    encryptObject(loose, fields);
+    Object.assign(update, loose);
+    if (update.$unset) {
+        fields.filter(field => field.blindIndexPath && field.path in update.$unset)
+            .forEach(field => { update.$unset[field.blindIndexPath] = ''; });
+    }
+    return update;
+};
+
+/**
+ * Encripta un documento a insertar, sea un documento de Mongoose o un objeto plano.
+ */
+const encryptInsert = (doc, fields) => {
+    if (doc && typeof doc.get === 'function' && typeof doc.set === 'function') {
+        fields.forEach(field => {
+            const value = doc.get(field.path);
+            if (field.blindIndexPath && !crypt.isEncrypted(value)) {
+                doc.set(field.blindIndexPath, blindIndexOf(field, value));
+            }
+            doc.set(field.path, encryptValue(value));
+        });
+    } else {
+        encryptObject(doc, fields);
+    }
+};
+
+/**
+ * Desencripta en memoria los campos de un documento sin marcarlos como modificados.
+ */
+const decryptDocument = (doc, fields) => {
+    fields.forEach(field => {
+        const value = doc.get(field.path);
+        if (crypt.isEncrypted(value)) {
+            doc.set(field.path, crypt.decrypt(value));
+            doc.unmarkModified(field.path);
+        }
+    });
+};
+
+/**
+ * Desencripta los campos de un resultado `lean` (objeto plano).
+ */
+const decryptPlain = (obj, fields) => {
+    if (!obj || typeof obj !== 'object') return;
+    fields.forEach(field => {
+        const value = getPath(obj, field.path);
+        if (crypt.isEncrypted(value)) {
+            setPath(obj, field.path, decryptValue(value));
+        }
+    });
+};
+
+/**
+ * Plugin de Mongoose para campos encriptados.
+ * @param {mongoose.Schema} schema - El esquema al que se aplica.
+ * @param {object} [options]
+ * @param {string} [options.blindIndexSuffix='_bidx'] - Sufijo del campo que guarda el índice ciego.
+ */
+function encryptedFieldsPlugin(schema, options = {}) {
+    const suffix = options.blindIndexSuffix || BLIND_INDEX_SUFFIX;
+    const fields = [];
+    schema.eachPath((path, schemaType) => {
+        if (!schemaType.options || !schemaType.options.encrypted) return;
+        if (schemaType.instance !== 'String') {
+            throw new Error(`Encrypted field '${path}' must be of type String.`);
+        }
+        const { blindIndex } = schemaType.options;
+        fields.push({
+            path,
+            blindIndexPath: blindIndex ? `${path}${suffix}` : null,
+            normalize: blindIndex && typeof blindIndex.normalize === 'function' ? blindIndex.normalize : defaultNormalize,
+        });
+    });
+    if (fields.length === 0) {
+        logger.warn('[encryptedFieldsPlugin] El esquema no tiene campos con encrypted: true');
+        return;
+    }
+
+    fields.filter(field => field.blindIndexPath).forEach(field => {
+        schema.add({ [field.blindIndexPath]: { type: String, index: true, select: false, searchable: false, history: false } });
+    });
+
+    // --- Escritura ---
+
+    schema.pre('save', function () {
+        fields.forEach(field => {
+            if (!this.isModified(field.path)) return;
+            const value = this.get(field.path);
+            if (field.blindIndexPath && !crypt.isEncrypted(value)) {
+                this.set(field.blindIndexPath, blindIndexOf(field, value));
+            }
+            this.set(field.path, encryptValue(value));
+        });
+    });
+
+    // Tras guardar, el documento en memoria vuelve a tener los valores en claro.
+    schema.post('save', function (doc) {
+        decryptDocument(doc, fields);
+    });
+
+    schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function () {
+        this.setUpdate(encryptUpdate(this.getUpdate(), fields));
+    });
+
+    schema.pre('insertMany', function (docs) {
+        [].concat(docs || []).forEach(doc => encryptInsert(doc, fields));
+    });
+
+    schema.pre('bulkWrite', function (ops) {
+        (ops || []).forEach(op => {
+            if (op.insertOne) encryptInsert(op.insertOne.document, fields);
+            if (op.replaceOne) encryptObject(op.replaceOne.replacement, fields);
+            if (op.updateOne) op.updateOne.update = encryptUpdate(op.updateOne.update, fields);
+            if (op.updateMany) op.updateMany.update = encryptUpdate(op.updateMany.update, fields);
+        });
+    });
+
+    // --- Lectura ---
+
+    schema.post('init', function (doc) {
+        decryptDocument(doc, fields);
+    });
+
+    // Los documentos hidratados se desencriptan en `init`; aquí solo se tratan los resultados `lean`.
+    schema.post(['find', 'findOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'], function (result) {
+        if (!this.mongooseOptions().lean || !result) return;
+        [].concat(result).forEach(obj => decryptPlain(obj, fields));
+    });
+
+    // --- Búsqueda ---
+
+    /**
+     * Devuelve la configuración de un campo encriptado, o `null` si el campo no está encriptado.
+     * @param {string} path - La ruta del campo.
+     * @returns {{path: string, blindIndexPath: string|null} | null}
+     */
+    schema.static('encryptedField', function (path) {
+        const field = fields.find(candidate => candidate.path === path);
+        return field ? { path: field.path, blindIndexPath: field.blindIndexPath } : null;
+    });
+
+    /**
+     * Calcula el índice ciego de un valor en claro para filtrar por igualdad sobre un campo encriptado.
+     * @param {string} path - La ruta del campo.
+     * @param {*} value - El valor buscado.
+     * @returns {string|null} El valor a buscar en el campo del índice ciego.
+     */
+    schema.static('blindIndexFor', function (path, value) {
+        const field = fields.find(candidate => candidate.path === path);
+        if (!field || !field.blindIndexPath) {
+            throw new Error(`Field '${path}' has no blind index.`);
+        }
+        return blindIndexOf(field, value);
+    });
+}
+
+module.exports = encryptedFieldsPlugin;
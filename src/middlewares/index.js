@@ -1,9 +1,21 @@
 const authClient = require('./authClient');
+const { requireRoles, requirePermission } = require('./authorize');
 const responseHandleError = require('./responseHandleError');
+const { createErrorHandler, sendError } = require('./responseHandleError');
+const encryptedFieldsPlugin = require('./encryptedFieldsPlugin');
+const metaWebhookAuth = require('./metaWebhookAuth');
 const modelAuditPlugin = require('./modelAuditPlugin');
+const requestContextMiddleware = require('./requestContextMiddleware');
 
 module.exports = {
     authClient,
+    requireRoles,
+    requirePermission,
     responseHandleError,
-    modelAuditPlugin
+    createErrorHandler,
+    sendError,
+    encryptedFieldsPlugin,
+    metaWebhookAuth,
+    modelAuditPlugin,
+    requestContextMiddleware
 };
\ No newline at end of file
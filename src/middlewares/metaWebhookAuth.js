@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const logger = require('../../lib/logger').forModule('metaWebhookAuth');
+const requestContext = require('../../lib/requestContext');
+const { AppError, ForbiddenError, UnauthorizedError, ValidationError } = require('../../lib/errors');
+const { sendError } = require('./responseHandleError');
+const { headers, SUPPORTED_META_CHANNELS, WEBHOOK_SOURCE_TYPE } = require('../../constants');
+/**
+ * @module metaWebhookAuth
+ * @description Middleware de Express para autenticar los webhooks de Meta (WhatsApp, Messenger, Instagram).
+ *
+ * - `GET` con `hub.mode=subscribe`: responde el `hub.challenge` si `hub.verify_token` coincide con el token configurado.
+ * - Resto de peticiones: valida la cabecera `X-Hub-Signature-256` (`sha256=<hex>`), un HMAC-SHA256 del cuerpo
+ * original calculado con el App Secret del canal.
+ *
+ * El cuerpo original debe capturarse al parsear el JSON, ya que la firma se calcula sobre los bytes exactos
+ * que envía Meta: `app.use(express.json({ verify: captureRawBody }))` (ver `lib/internalAuth`).
+ *
+ * Los secretos se configuran por canal (ver `SUPPORTED_META_CHANNELS`) con variables de entorno:
+ * `META_APP_SECRET_<CANAL>` y `META_VERIFY_TOKEN_<CANAL>` (ej. `META_APP_SECRET_WHATSAPP`),
+ * con `META_APP_SECRET` y `META_VERIFY_TOKEN` como valores comunes por defecto.
+ */
+
+const SIGNATURE_HEADER = 'X-Hub-Signature-256';
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Obtiene un valor de configuración de un canal: primero de `overrides`, luego de la variable de entorno
+ * específica del canal y por último de la variable común.
+ */
+const resolveChannelSetting = (overrides, envPrefix, channel) =>
+    (overrides && overrides[channel]) || process.env[`${envPrefix}_${channel.toUpperCase()}`] || process.env[envPrefix];
+
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Crea el middleware de verificación de webhooks de Meta.
+ *
+ * @param {object} [options]
+ * @param {string} [options.channel] - Canal fijo. Si no se indica se toma de `req.params.channel` o de la cabecera `X-Service-Channel`.
+ * @param {object} [options.appSecrets] - App Secret por canal (ej. `{ whatsapp: '...' }`). Tiene prioridad sobre las variables de entorno.
+ * @param {object} [options.verifyTokens] - Token de verificación del handshake por canal.
+ * @returns {Function} Middleware de Express.
+ */
+const metaWebhookAuth = (options = {}) => async (req, res, next) => {
+    const channel = String(options.channel || req.params?.channel || req.header(headers.SERVICE_CHANNEL) || '').toLowerCase();
+    if (!SUPPORTED_META_CHANNELS.includes(channel)) {
+        logger.warn(`[metaWebhookAuth] Canal de webhook no soportado: '${channel}'`);
+        return sendError(req, res, new ValidationError(`Canal de webhook no soportado: '${channel}'`));
+    }
+
+    // Handshake de suscripción
+    if (req.method === 'GET' && req.query['hub.mode'] === 'subscribe') {
+        const verifyToken = resolveChannelSetting(options.verifyTokens, 'META_VERIFY_TOKEN', channel);
+        if (verifyToken && safeEqual(req.query['hub.verify_token'] || '', verifyToken)) {
+            logger.info(`[metaWebhookAuth] Suscripción de webhook verificada para el canal ${channel}`);
+            return res.status(200).type('text/plain').send(String(req.query['hub.challenge'] || ''));
+        }
+        logger.warn(`[metaWebhookAuth] Token de verificación inválido para el canal ${channel}`);
+        return sendError(req, res, new ForbiddenError('Token de verificación inválido'));
+    }
+
+    const appSecret = resolveChannelSetting(options.appSecrets, 'META_APP_SECRET', channel);
+    if (!appSecret) {
+        logger.error(`[metaWebhookAuth] No hay App Secret configurado para el canal ${channel}`);
+        return sendError(req, res, new AppError('Verificación de webhook no configurada'));
+    }
+    if (req.rawBody === undefined) {
+        logger.error('[metaWebhookAuth] req.rawBody no disponible: configure express.json({ verify: captureRawBody })');
+        return sendError(req, res, new AppError('Verificación de webhook no configurada'));
+    }
+
+    const signatureHeader = req.header(SIGNATURE_HEADER) || '';
+    if (!signatureHeader.startsWith(SIGNATURE_PREFIX)) {
+        logger.warn(`[metaWebhookAuth] Webhook sin firma para el canal ${channel}`);
+        return sendError(req, res, new UnauthorizedError('Firma del webhook ausente'));
+    }
+    const expected = crypto.createHmac('sha256', appSecret).update(req.rawBody).digest('hex');
+    if (!safeEqual(signatureHeader.slice(SIGNATURE_PREFIX.length).toLowerCase(), expected)) {
+        logger.warn(`[metaWebhookAuth] Firma de webhook inválida para el canal ${channel}`);
+        return sendError(req, res, new UnauthorizedError('Firma del webhook inválida'));
+    }
+
+    req.webhook = { channel };
+    // Un webhook no tiene usuario: se descarta cualquier identidad previa del contexto.
+    const context = {
+        sourceType: WEBHOOK_SOURCE_TYPE,
+        channel,
+        companyId: undefined,
+        userId: undefined,
+        username: undefined,
+        roles: [],
+        authenticated: false,
+    };
+    if (!requestContext.setContext(context)) {
+        return requestContext.run(context, next);
+    }
+    next();
+};
+
+module.exports = metaWebhookAuth;
@@ -1,4 +1,265 @@
 const mongoose = require('mongoose');
+const logger = require('../../lib/logger').forModule('modelAuditPlugin');
+const requestContext = require('../../lib/requestContext');
+const { getAuditHistoryModel } = require('../models/auditHistory');
+
+// Rutas que no se registran en el historial: identificadores, versión y los propios campos de auditoría.
+const HISTORY_IGNORED_PATHS = ['_id', '__v', 'created_at', 'created_by', 'updated_at', 'updated_by'];
+
+// Campos sensibles que nunca se registran en el historial, a cualquier profundidad (ej. `credentials.token`).
+// Se comparan sin distinguir mayúsculas ni separadores: `accessToken` y `access_token` son el mismo campo.
+const HISTORY_SENSITIVE_FIELDS = [
+  'password', 'passwordhash', 'secret', 'clientsecret', 'appsecret',
+  'token', 'accesstoken', 'refreshtoken', 'idtoken', 'verifytoken', 'apikey',
+];
+
+// Entradas máximas por página de `getHistory` (configurable con HISTORY_MAX_LIMIT).
+const HISTORY_MAX_LIMIT = parseInt(process.env.HISTORY_MAX_LIMIT, 10) || 100;
+
+const normalizeFieldName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Indica si alguna parte de una ruta es un campo sensible (ver `HISTORY_SENSITIVE_FIELDS`).
+ * @param {string} path - La ruta con puntos.
+ * @returns {boolean}
+ */
+const isSensitivePath = (path) => path.split('.').some(part => HISTORY_SENSITIVE_FIELDS.includes(normalizeFieldName(part)));
+
+/**
+ * Completa los campos de auditoría de un documento que se va a insertar (objeto plano o documento de Mongoose).
+ * Los valores que ya traiga el documento se respetan.
+ * @param {object} doc - El documento a insertar.
+ * @param {string} actor - Quién realiza la operación.
+ */
+const stampInsert = (doc, actor) => {
+  if (!doc) return;
+  if (!doc.created_by) doc.created_by = actor;
+  if (!doc.updated_by) doc.updated_by = actor;
+};
+
+/**
+ * Añade los campos de auditoría a un objeto de actualización (`updateOne`, `updateMany`, `findOneAndUpdate`, `bulkWrite`).
+ * Siempre fija `updated_at`; `updated_by` solo si la actualización no lo trae. En upserts añade
+ * `created_at`/`created_by` con `$setOnInsert`, para que el documento creado cumpla los campos requeridos.
+ * @param {object|Array} update - La actualización original. Las actualizaciones con pipeline no se modifican.
+ * @param {string} actor - Quién realiza la operación.
+ * @param {boolean} upsert - Si la operación puede insertar el documento.
+ * @returns {object|Array} La actualización con los campos de auditoría.
+ */
+const auditUpdate = (update, actor, upsert) => {
+  if (!update || Array.isArray(update)) return update;
+  const now = new Date();
+  // Una actualización sin operadores equivale a un $set de sus campos.
+  const hasOperators = Object.keys(update).some(key => key.startsWith('$'));
+  const result = hasOperators ? { ...update } : { $set: { ...update } };
+
+  const $set = { ...(result.$set || {}), updated_at: now };
+  // Mongoose mueve a $set los campos sin operador que acompañan a otros operadores.
+  if ($set.updated_by === undefined && result.updated_by === undefined) $set.updated_by = actor;
+  result.$set = $set;
+
+  if (upsert) {
+    const $setOnInsert = { created_at: now, created_by: actor, ...(result.$setOnInsert || {}) };
+    // Un mismo campo no puede aparecer en $set y $setOnInsert.
+    Object.keys($set).forEach(key => delete $setOnInsert[key]);
+    result.$setOnInsert = $setOnInsert;
+  }
+  return result;
+};
+
+/**
+ * Añade los campos de auditoría a un documento de reemplazo (`replaceOne`, `findOneAndReplace`).
+ * El reemplazo sustituye el documento completo, por lo que si no trae `created_at`/`created_by`
+ * se fijan con la fecha y el actor actuales.
+ * @param {object} replacement - El documento de reemplazo.
+ * @param {string} actor - Quién realiza la operación.
+ * @returns {object} El reemplazo con los campos de auditoría.
+ */
+const auditReplacement = (replacement, actor) => {
+  const now = new Date();
+  return {
+    created_at: now,
+    created_by: actor,
+    ...(replacement || {}),
+    updated_at: now,
+    updated_by: (replacement && replacement.updated_by) || actor,
+  };
+};
+
+/**
+ * Indica si un valor es un objeto que debe recorrerse campo a campo (no un Date, ObjectId, Buffer ni array).
+ * @param {*} value - El valor a evaluar.
+ * @returns {boolean} `true` si es un objeto plano.
+ */
+const isPlainObject = (value) => value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !Buffer.isBuffer(value) &&
+  value._bsontype === undefined;
+
+/**
+ * Aplana un objeto en rutas con puntos: `{ address: { city: 'X' } }` -> `{ 'address.city': 'X' }`.
+ * Los arrays se tratan como un único valor.
+ * @param {object} obj - El objeto a aplanar.
+ * @param {string} [prefix=''] - Prefijo de la ruta actual.
+ * @param {object} [out={}] - Acumulador del resultado.
+ * @returns {object} El objeto aplanado.
+ */
+const flatten = (obj, prefix = '', out = {}) => {
+  Object.keys(obj || {}).forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = obj[key];
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+  return out;
+};
+
+/**
+ * Indica si una ruta queda fuera del historial: es un campo sensible o está (o cuelga de) una ruta excluida.
+ * @param {string} path - La ruta con puntos.
+ * @param {string[]} ignoredPaths - Rutas excluidas.
+ * @returns {boolean}
+ */
+const isIgnoredPath = (path, ignoredPaths) => isSensitivePath(path) ||
+  ignoredPaths.some(ignored => path === ignored || path.startsWith(`${ignored}.`));
+
+/**
+ * Convierte una clave modificada en la ruta que registra el historial: se corta en el primer índice u operador
+ * posicional (ej. `items.0.qty` o `items.$.qty` -> `items`), ya que los arrays se tratan como un único valor.
+ * @param {string} key - La clave modificada.
+ * @returns {string} La ruta.
+ */
+const toHistoryPath = (key) => {
+  const parts = String(key).split('.');
+  const end = parts.findIndex(part => part.startsWith('$') || /^\d+$/.test(part));
+  return (end === -1 ? parts : parts.slice(0, end)).join('.');
+};
+
+/**
+ * Reduce las rutas modificadas a las que se registran: sin las excluidas y sin las que cuelgan de otra ya incluida
+ * (si cambia `address`, sobra `address.city`).
+ * @param {string[]} paths - Las rutas modificadas.
+ * @param {string[]} ignoredPaths - Rutas excluidas.
+ * @returns {string[]} Las rutas a comparar.
+ */
+const collapsePaths = (paths, ignoredPaths) => {
+  const unique = [...new Set(paths.map(toHistoryPath))].filter(path => path && !isIgnoredPath(path, ignoredPaths));
+  return unique.filter(path => !unique.some(other => other !== path && path.startsWith(`${other}.`)));
+};
+
+/**
+ * Obtiene las rutas que modifica una actualización por consulta (`{ $set: { a: 1 }, $inc: { b: 1 } }` -> `['a', 'b']`).
+ * @param {object|Array} update - La actualización.
+ * @returns {string[]|null} Las claves modificadas, o `null` si no se pueden determinar (pipeline de agregación).
+ */
+const getUpdatedKeys = (update) => {
+  if (Array.isArray(update)) return null;
+  return Object.keys(update || {}).flatMap(key => (key.startsWith('$') ? Object.keys(update[key] || {}) : [key]));
+};
+
+/**
+ * Devuelve una copia de un objeto con el valor de una ruta reemplazado (o eliminado si es `undefined`),
+ * copiando solo los objetos de la ruta.
+ * @param {object} obj - El objeto original.
+ * @param {string[]} parts - Las partes de la ruta.
+ * @param {*} value - El nuevo valor.
+ * @returns {object} La copia.
+ */
+const withPath = (obj, parts, value) => {
+  const [head, ...rest] = parts;
+  const copy = { ...(isPlainObject(obj) ? obj : {}) };
+  if (rest.length > 0) {
+    copy[head] = withPath(copy[head], rest, value);
+  } else if (value === undefined) {
+    delete copy[head];
+  } else {
+    copy[head] = value;
+  }
+  return copy;
+};
+
+/**
+ * Calcula el documento resultante de una actualización que solo usa `$set` y `$unset` sobre rutas sin índices,
+ * lo que evita volver a leerlo. Para el resto de operadores devuelve `null`.
+ * @param {object} before - El documento antes del cambio.
+ * @param {object} update - La actualización ya convertida a los tipos del esquema por Mongoose.
+ * @returns {object|null} El documento después del cambio, o `null` si hay que leerlo.
+ */
+const applySimpleUpdate = (before, update) => {
+  const operators = Object.keys(update || {});
+  const isSimple = operators.every(op => op === '$set' || op === '$unset') &&
+    operators.every(op => Object.keys(update[op] || {}).every(key => toHistoryPath(key) === key));
+  if (!isSimple) return null;
+
+  let after = before;
+  Object.entries(update.$set || {}).forEach(([key, value]) => { after = withPath(after, key.split('.'), value); });
+  Object.keys(update.$unset || {}).forEach(key => { after = withPath(after, key.split('.'), undefined); });
+  return after;
+};
+
+/**
+ * Construye la proyección que lee solo las rutas que se van a comparar (y la compañía, que se guarda en la entrada).
+ * @param {string[]|null} paths - Las rutas, o `null` para leer el documento completo.
+ * @returns {object|null} La proyección.
+ */
+const historyProjection = (paths) => (paths
+  ? { company: 1, ...Object.fromEntries(paths.filter(path => !path.startsWith('company.')).map(path => [path, 1])) }
+  : null);
+
+/**
+ * Calcula los cambios campo a campo entre dos versiones de un documento.
+ * @param {object} before - El documento antes del cambio (objeto plano).
+ * @param {object} after - El documento después del cambio (objeto plano).
+ * @param {string[]} ignoredPaths - Rutas (y sus subrutas) que no se comparan, además de los campos sensibles.
+ * @param {string[]|null} [paths=null] - Si se indica, solo se comparan estas rutas (y sus subrutas).
+ * @returns {Array<{path: string, before: *, after: *}>} Los campos modificados.
+ */
+const diffDocuments = (before, after, ignoredPaths, paths = null) => {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const keys = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  const isCompared = (key) => !paths || paths.some(path => key === path || key.startsWith(`${path}.`));
+
+  return [...keys]
+    .filter(key => isCompared(key) && !isIgnoredPath(key, ignoredPaths))
+    .filter(key => JSON.stringify(flatBefore[key]) !== JSON.stringify(flatAfter[key]))
+    .map(key => ({ path: key, before: flatBefore[key], after: flatAfter[key] }));
+};
+
+/**
+ * Guarda una entrada de historial. Un fallo al registrar no debe hacer fallar la escritura original,
+ * por lo que el error solo se registra en el log.
+ * @param {object} entry - Datos de la entrada.
+ * @param {string} entry.model - Nombre del modelo.
+ * @param {object} entry.before - El documento antes del cambio.
+ * @param {object} entry.after - El documento después del cambio.
+ * @param {string} entry.operation - 'create' o 'update'.
+ * @param {string|null} entry.user - Quién realizó el cambio.
+ * @param {string[]|null} [entry.paths] - Las rutas modificadas; si se indica, solo se comparan estas.
+ * @param {string[]} ignoredPaths - Rutas excluidas del historial.
+ * @returns {Promise<void>}
+ */
+const recordHistory = async ({ model, before, after, operation, user, paths = null }, ignoredPaths) => {
+  try {
+    const changes = diffDocuments(before, after, ignoredPaths, paths);
+    if (changes.length === 0) return;
+    await getAuditHistoryModel().create({
+      model,
+      document: after._id,
+      company: after.company || null,
+      user: user || null,
+      operation,
+      changes,
+    });
+  } catch (error) {
+    logger.error(`[modelAuditPlugin] Error registrando el historial de ${model} ${after && after._id} -> error:${error.message}`);
+  }
+};
 
 /**
  * Un plugin de Mongoose que añade campos de auditoría comunes y middleware a un esquema.
@@ -9,12 +270,40 @@ const mongoose = require('mongoose');
  * - created_by: {String} - Quién creó el documento.
  * - updated_at: {Date} - Fecha de la última modificación del documento.
  * - updated_by: {String} - Quién realizó la última modificación.
+ * - deleted_at: {Date} - Fecha del borrado lógico (null si el documento no está eliminado).
+ * - deleted_by: {String} - Quién realizó el borrado lógico.
+ *
+ * También añade hooks 'pre' para gestionar automáticamente las fechas de creación y modificación
+ * en todas las escrituras de Mongoose: `save`, `insertMany`, `updateOne`, `updateMany`, `findOneAndUpdate`,
+ * `replaceOne`, `findOneAndReplace` y `bulkWrite`.
  *
- * También añade hooks 'pre' para gestionar automáticamente las fechas de creación y modificación.
+ * Si la operación no indica `created_by`/`updated_by`, se toman del usuario del contexto de la petición
+ * (`requestContext`, establecido por `authClient`). Fuera de una petición (jobs, consumidores) se usa
+ * el actor de sistema: la opción `systemActor`, la variable AUDIT_SYSTEM_ACTOR o 'system'.
+ *
+ * Con la opción `history` registra además cada cambio en la colección `audit_history`
+ * (modelo, documento, compañía, usuario, fecha y campos modificados con su valor anterior y posterior)
+ * para las operaciones `save`, `findOneAndUpdate` y `updateOne`, y añade el estático `Model.getHistory(id)`
+ * para leer la línea de tiempo de un documento. Los campos sensibles (contraseñas, tokens, secretos y API keys),
+ * los campos encriptados (`encrypted: true`, ver `encryptedFieldsPlugin`) y los que declaran `history: false`
+ * en su definición nunca se registran. Como referencia del cambio se leen, antes de la escritura, solo las rutas
+ * que se modifican; las lecturas sin escritura no tienen coste adicional.
+ *
+ * @example
+ * schema.plugin(modelAuditPlugin, { history: true });
+ * schema.plugin(modelAuditPlugin, { history: { exclude: ['notes', 'billing.card'] } });
  *
  * @param {mongoose.Schema} schema El esquema de Mongoose al que se le aplicará el plugin.
+ * @param {object} [options={}] Opciones del plugin.
+ * @param {string} [options.systemActor] Nombre con el que se auditan las escrituras hechas fuera de una petición.
+ * @param {boolean|object} [options.history=false] Activa el historial de cambios. Si es un objeto admite
+ * `exclude`: rutas adicionales que no se registran.
  */
-const modelAuditPlugin = (schema) => {
+const modelAuditPlugin = (schema, options = {}) => {
+  const systemActor = options.systemActor || requestContext.SYSTEM_ACTOR;
+  // El usuario de la petición en curso o, en procesos en segundo plano, el actor de sistema.
+  const resolveActor = () => requestContext.getActor() || systemActor;
+
   // Añade los campos comunes de auditoría al esquema.
   schema.add({
     active: {
@@ -36,6 +325,41 @@ const modelAuditPlugin = (schema) => {
     updated_by: {
       type: String,
       required: [true, 'Modified by is required']
+    },
+    deleted_at: {
+      type: Date,
+      default: null
+    },
+    deleted_by: {
+      type: String,
+      default: null
+    }
+  });
+
+  /**
+   * Registra que 'updated_by' se asignó en el documento desde el último guardado.
+   * `isModified` no basta: asignar el mismo valor que ya tenía no marca la ruta como modificada.
+   * Los setters también se ejecutan al castear consultas, donde `this` no es un documento.
+   */
+  schema.path('updated_by').set(function (value) {
+    if (this instanceof mongoose.Document) {
+      this.$locals.auditUpdatedByAssigned = true;
+    }
+    return value;
+  });
+
+  /**
+   * Middleware que se ejecuta antes de validar un documento (y por tanto antes de 'save').
+   * Completa 'created_by' y 'updated_by' con el actor actual si el llamador no los indicó,
+   * ya que ambos campos son requeridos.
+   */
+  schema.pre('validate', function () {
+    const actor = resolveActor();
+    if (this.isNew && !this.created_by) {
+      this.created_by = actor;
+    }
+    if (this.isNew ? !this.updated_by : !this.$locals.auditUpdatedByAssigned) {
+      this.updated_by = actor;
     }
   });
 
@@ -57,15 +381,181 @@ const modelAuditPlugin = (schema) => {
   });
 
   /**
-   * Middleware que se ejecuta antes de las operaciones de actualización como 'updateOne' y 'findOneAndUpdate'.
-   * Establece el campo 'updated_at' con la fecha y hora actual para reflejar la modificación.
-   * @param {Function} next - Función callback para pasar al siguiente middleware.
+   * Tras guardar, el siguiente 'save' debe volver a completar 'updated_by' si no se asigna de nuevo.
+   */
+  schema.post('save', function () {
+    delete this.$locals.auditUpdatedByAssigned;
+  });
+
+  /**
+   * Middleware que se ejecuta antes de las operaciones de actualización como 'updateOne', 'updateMany' y 'findOneAndUpdate'.
+   * Establece el campo 'updated_at' con la fecha y hora actual para reflejar la modificación,
+   * y 'updated_by' (y en upserts 'created_at'/'created_by') con el actor actual.
    */
-  schema.pre(['updateOne', 'findOneAndUpdate'], function () {
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function () {
     // 'this' se refiere a la consulta (query), no al documento.
-    // Usamos 'this.set()' para añadir la actualización al objeto de consulta.
-    this.set({ updated_at: new Date() });
+    this.setUpdate(auditUpdate(this.getUpdate(), resolveActor(), !!this.getOptions().upsert));
+  });
+
+  /**
+   * Middleware que se ejecuta antes de los reemplazos completos ('replaceOne', 'findOneAndReplace').
+   */
+  schema.pre(['replaceOne', 'findOneAndReplace'], function () {
+    this.setUpdate(auditReplacement(this.getUpdate(), resolveActor()));
   });
+
+  /**
+   * Middleware que se ejecuta antes de 'insertMany'. Recibe el array de documentos a insertar.
+   */
+  schema.pre('insertMany', function (docs) {
+    const actor = resolveActor();
+    (Array.isArray(docs) ? docs : [docs]).forEach(doc => stampInsert(doc, actor));
+  });
+
+  /**
+   * Middleware que se ejecuta antes de 'bulkWrite'. Aplica la auditoría a cada operación del lote.
+   */
+  schema.pre('bulkWrite', function (ops) {
+    const actor = resolveActor();
+    (ops || []).forEach(op => {
+      if (op.insertOne) {
+        stampInsert(op.insertOne.document, actor);
+      }
+      ['updateOne', 'updateMany'].forEach(type => {
+        if (op[type]) {
+          op[type].update = auditUpdate(op[type].update, actor, !!op[type].upsert);
+        }
+      });
+      if (op.replaceOne) {
+        op.replaceOne.replacement = auditReplacement(op.replaceOne.replacement, actor);
+      }
+    });
+  });
+
+  if (options.history) {
+    addHistoryHooks(schema, typeof options.history === 'object' ? options.history : {});
+  }
+};
+
+/**
+ * Añade al esquema los hooks que registran el historial de cambios y el estático `getHistory`.
+ * @param {mongoose.Schema} schema El esquema de Mongoose.
+ * @param {object} historyOptions Opciones del historial.
+ * @param {string[]} [historyOptions.exclude=[]] Rutas que no se registran, además de los campos sensibles.
+ */
+const addHistoryHooks = (schema, historyOptions) => {
+  const excludedPaths = [...HISTORY_IGNORED_PATHS, ...(historyOptions.exclude || [])];
+  // Las rutas del esquema se leen en la primera escritura, cuando ya se han aplicado todos los plugins
+  // (ej. `encryptedFieldsPlugin` añade los índices ciegos después de este plugin).
+  let ignoredPaths = null;
+  const getIgnoredPaths = () => {
+    if (!ignoredPaths) {
+      const schemaExcluded = [];
+      schema.eachPath((path, schemaType) => {
+        const pathOptions = schemaType.options || {};
+        if (pathOptions.encrypted || pathOptions.history === false) schemaExcluded.push(path);
+      });
+      ignoredPaths = [...excludedPaths, ...schemaExcluded];
+    }
+    return ignoredPaths;
+  };
+
+  // No se guarda una copia de cada documento leído: al guardar un documento existente se leen de la base de datos
+  // solo las rutas que se van a escribir, que son la referencia del cambio.
+  schema.pre('save', async function () {
+    if (this.isNew) {
+      this.$locals.auditPending = { operation: 'create', before: {}, paths: null };
+      return;
+    }
+    const paths = collapsePaths(this.directModifiedPaths(), getIgnoredPaths());
+    if (paths.length === 0) return;
+
+    const before = await this.constructor.findOne({ _id: this._id }, historyProjection(paths))
+      .session(this.$session())
+      .lean();
+    // Sin referencia no se registra nada, en lugar de dar por cambiados todos los campos.
+    if (!before) return;
+    this.$locals.auditPending = { operation: 'update', before, paths };
+  });
+
+  schema.post('save', async function (doc) {
+    const pending = doc.$locals.auditPending;
+    if (!pending) return;
+    delete doc.$locals.auditPending;
+
+    await recordHistory({
+      model: doc.constructor.modelName,
+      before: pending.before,
+      after: doc.toObject({ depopulate: true }),
+      operation: pending.operation,
+      user: doc.updated_by,
+      paths: pending.paths,
+    }, getIgnoredPaths());
+  });
+
+  // En las actualizaciones por consulta se leen antes de la operación solo las rutas que modifica. El resultado se
+  // calcula a partir de la propia actualización cuando solo usa `$set`/`$unset`; con otros operadores se vuelve a leer.
+  schema.pre(['updateOne', 'findOneAndUpdate'], async function () {
+    this._auditBefore = null;
+    const keys = getUpdatedKeys(this.getUpdate());
+    const paths = keys && collapsePaths(keys, getIgnoredPaths());
+    if (paths && paths.length === 0) return;
+
+    this._auditPaths = paths;
+    this._auditBefore = await this.model.findOne(this.getFilter(), historyProjection(paths))
+      .session(this.getOptions().session || null)
+      .lean();
+  });
+
+  schema.post(['updateOne', 'findOneAndUpdate'], async function () {
+    const before = this._auditBefore;
+    if (!before) return; // Ningún documento coincidió (o es un upsert que lo acaba de crear).
+
+    const update = this.getUpdate() || {};
+    const after = applySimpleUpdate(before, update) ||
+      await this.model.findOne({ _id: before._id }, historyProjection(this._auditPaths)).lean();
+    if (!after) return;
+    await recordHistory({
+      model: this.model.modelName,
+      before,
+      after,
+      operation: 'update',
+      user: (update.$set && update.$set.updated_by) || update.updated_by,
+      paths: this._auditPaths,
+    }, getIgnoredPaths());
+  });
+
+  /**
+   * Obtiene la línea de tiempo de cambios de un documento, de la más reciente a la más antigua.
+   * @param {*} documentId - El ID del documento.
+   * @param {object} [params={}] - Opciones de la consulta.
+   * @param {number} [params.page=1] - El número de página.
+   * @param {number} [params.limit=20] - El número de entradas por página (como máximo `HISTORY_MAX_LIMIT`, 100 por defecto).
+   * @param {object} [params.filter={}] - Condiciones adicionales (ej. `{ company }` para restringir a una compañía).
+   * @returns {Promise<object>} Un objeto paginado con `docs`, `totalDocs`, `limit`, `page`, `totalPages`, `hasPrevPage` y `hasNextPage`.
+   */
+  schema.statics.getHistory = async function (documentId, params = {}) {
+    const page = Math.max(1, parseInt(params.page, 10) || 1);
+    const limit = Math.min(Math.max(1, parseInt(params.limit, 10) || 20), HISTORY_MAX_LIMIT);
+    const AuditHistory = getAuditHistoryModel();
+    const filter = { ...(params.filter || {}), model: this.modelName, document: documentId };
+
+    const [docs, totalDocs] = await Promise.all([
+      AuditHistory.find(filter).sort({ timestamp: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditHistory.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalDocs / limit);
+
+    return {
+      docs,
+      totalDocs,
+      limit,
+      page,
+      totalPages,
+      hasPrevPage: page > 1,
+      hasNextPage: page < totalPages,
+    };
+  };
 };
 
 module.exports = modelAuditPlugin;
\ No newline at end of file
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const requestContext = require('../../lib/requestContext');
+const { headers } = require('../../constants');
+
+/**
+ * @module requestContextMiddleware
+ * @description Middleware de Express que establece el contexto de la petición (`requestContext`)
+ * para todo el procesamiento posterior: las líneas de log, las escrituras auditadas y las llamadas
+ * salientes de `axiosClient` quedan asociadas a la petición de origen.
+ */
+
+/**
+ * Establece el contexto de la petición a partir de sus cabeceras.
+ *
+ * 1.  Toma el identificador de la petición de `X-Request-Id` o genera uno nuevo, y lo devuelve
+ * en la misma cabecera de la respuesta.
+ * 2.  Toma el origen de la cabecera `X-Source-Type`.
+ * 3.  Ejecuta el resto de la cadena de middlewares dentro de ese contexto.
+ *
+ * Los datos de identidad (compañía, usuario y roles) no se toman aquí: las cabeceras `X-Company-Id` y `X-User-*`
+ * no están verificadas en este punto. `authClient` (o `metaWebhookAuth`) los añade al contexto solo después
+ * de validar la firma de la petición.
+ *
+ * Debe registrarse antes que cualquier otro middleware: `app.use(requestContextMiddleware)`.
+ *
+ * @function requestContextMiddleware
+ * @param {import('express').Request} req - El objeto de la petición de Express.
+ * @param {import('express').Response} res - El objeto de la respuesta de Express.
+ * @param {import('express').NextFunction} next - La función para pasar al siguiente middleware.
+ * @returns {void}
+ */
+const requestContextMiddleware = (req, res, next) => {
+    const requestId = req.header(headers.REQUEST_ID) || crypto.randomUUID();
+    req.requestId = requestId;
+    res.set(headers.REQUEST_ID, requestId);
+
+    const context = {
+        requestId,
+        sourceType: req.header(headers.SOURCE_TYPE),
+    };
+
+    requestContext.run(context, next);
+};
+
+module.exports = requestContextMiddleware;
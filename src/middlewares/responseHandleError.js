@@ -1,31 +1,108 @@
-const logger = require('../../lib/logger'); // Ajusta la ruta si es necesario
+const { STATUS_CODES } = require('http');
+const logger = require('../../lib/logger').forModule('responseHandleError');
+const requestContext = require('../../lib/requestContext');
+const { toAppError } = require('../../lib/errors');
 
-const responseHandleError = (err, req, res) => {
-    const statusCode = err.status || err.statusCode || 500;
-    const environment = process.env.ENVIRONMENT || 'prd';
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+const GENERIC_SERVER_MESSAGE = 'Ocurrió un error inesperado en el servidor.';
 
-    // Loguear el error
-    if (environment === 'development' || environment === 'dev') {
-        logger.error('[ErrorHandler] Stack Trace:', err.stack);
+const isDevelopment = () => ['development', 'dev'].includes(process.env.ENVIRONMENT || 'prd');
+
+/**
+ * Indica si la respuesta debe usar el formato RFC 7807: por configuración (`problemJson` o
+ * `ERROR_RESPONSE_FORMAT=problem`) o porque el cliente lo pide en la cabecera `Accept`.
+ */
+const wantsProblemJson = (req, options) => {
+    if (options.problemJson !== undefined) return options.problemJson;
+    if (process.env.ERROR_RESPONSE_FORMAT === 'problem') return true;
+    return Boolean(req && req.get && req.get('Accept') && req.accepts(['application/json', PROBLEM_CONTENT_TYPE]) === PROBLEM_CONTENT_TYPE);
+};
+
+/**
+ * Envía la respuesta de error. Es el único punto que construye respuestas de error, de modo que
+ * controladores y middlewares devuelven siempre el mismo formato:
+ *
+ * - Por defecto: `{ status: 'error', code, message, details?, requestId? }`.
+ * - RFC 7807 (`application/problem+json`): `{ type, title, status, detail, instance, code, errors?, requestId? }`.
+ *
+ * En desarrollo (`ENVIRONMENT=dev|development`) se incluye además el `stack`. Fuera de desarrollo,
+ * los errores 500 no esperados no exponen su mensaje interno.
+ *
+ * @param {import('express').Request} req - La petición de Express.
+ * @param {import('express').Response} res - La respuesta de Express.
+ * @param {Error} err - El error (se normaliza con `toAppError`).
+ * @param {object} [options]
+ * @param {boolean} [options.problemJson] - Fuerza (o desactiva) el formato RFC 7807.
+ * @param {string} [options.problemTypeBaseUrl] - URL base de los `type` RFC 7807 (ej. `https://errors.example.com`).
+ * Sin ella se usa `about:blank`.
+ */
+const sendError = (req, res, err, options = {}) => {
+    const error = toAppError(err);
+    const { status, code, details } = error;
+    const development = isDevelopment();
+    const exposeMessage = status < 500 || error === err || development;
+    const message = (exposeMessage && error.message) || GENERIC_SERVER_MESSAGE;
+    const context = requestContext.getContext();
+    const requestId = (req && req.requestId) || (context && context.requestId);
+
+    // Loguear el error: los errores del cliente (4xx) como advertencia y los del servidor como error
+    const level = status >= 500 ? 'error' : 'warn';
+    if (development) {
+        logger[level]({ err: error.cause || error }, `[ErrorHandler] ${status} ${code}: ${error.message}`);
     } else {
-        logger.error(`[ErrorHandler] Status: ${statusCode}, Message: ${err.message}, Path: ${req.originalUrl}, Method: ${req.method}`);
+        logger[level](`[ErrorHandler] Status: ${status}, Code: ${code}, Message: ${error.message}, Path: ${req && req.originalUrl}, Method: ${req && req.method}`);
+    }
+
+    if (res.headersSent) {
+        return;
     }
 
-    // Construir la respuesta
-    const responseError = {
-        message: err.message || 'Ocurrió un error inesperado en el servidor.',
-        ...(environment === 'development' || environment === 'dev' ? { stack: err.stack, details: err.details || err.data } : {}),
-        ...(err.errorCode ? { errorCode: err.errorCode } : {}),
-    };
-    
-    // Lógica específica para errores de validación
-    if (Array.isArray(err.details) && err.message === 'ValidationFailed') {
-        responseError.message = 'Error de validación en la solicitud.';
-        responseError.validationErrors = err.details;
-        delete responseError.stack;
+    const stack = development ? { stack: (error.cause || error).stack } : {};
+    if (wantsProblemJson(req, options)) {
+        res.status(status).type(PROBLEM_CONTENT_TYPE).send(JSON.stringify({
+            type: options.problemTypeBaseUrl ? `${options.problemTypeBaseUrl.replace(/\/$/, '')}/${code.toLowerCase()}` : 'about:blank',
+            title: STATUS_CODES[status] || 'Error',
+            status,
+            detail: message,
+            instance: req && req.originalUrl,
+            code,
+            ...(details !== undefined ? { errors: details } : {}),
+            ...(requestId ? { requestId } : {}),
+            ...stack,
+        }));
+        return;
     }
-    
-    res.status(statusCode).json(responseError);
+
+    res.status(status).json({
+        status: 'error',
+        code,
+        message,
+        ...(details !== undefined ? { details } : {}),
+        ...(requestId ? { requestId } : {}),
+        ...stack,
+    });
 };
 
+/**
+ * Crea un middleware de errores de Express (4 argumentos) con opciones propias (ver `sendError`).
+ * @param {object} [options] - Las opciones de `sendError`.
+ * @returns {Function} El middleware de errores.
+ *
+ * @example app.use(createErrorHandler({ problemJson: true }));
+ */
+const createErrorHandler = (options = {}) => (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+    sendError(req, res, err, options);
+};
+
+/**
+ * Middleware de errores de Express con la configuración por defecto. Debe registrarse después de las rutas:
+ * `app.use(responseHandleError)`.
+ */
+const responseHandleError = createErrorHandler();
+
 module.exports = responseHandleError;
+module.exports.createErrorHandler = createErrorHandler;
+module.exports.sendError = sendError;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * @module auditHistory
+ * @description Modelo de la colección `audit_history`, donde `modelAuditPlugin` (con la opción `history`)
+ * registra cada cambio de un documento: qué campos cambiaron, sus valores anterior y posterior, quién y cuándo.
+ */
+
+const changeSchema = new mongoose.Schema({
+    path: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+}, { _id: false });
+
+const auditHistorySchema = new mongoose.Schema({
+    model: { type: String, required: true },
+    document: { type: mongoose.Schema.Types.Mixed, required: true },
+    company: { type: mongoose.Schema.Types.ObjectId, default: null },
+    user: { type: String, default: null },
+    operation: { type: String, enum: ['create', 'update'], required: true },
+    timestamp: { type: Date, default: Date.now },
+    changes: { type: [changeSchema], default: [] },
+}, { versionKey: false, collection: 'audit_history' });
+
+// Índice para leer la línea de tiempo de un documento, de la más reciente a la más antigua.
+auditHistorySchema.index({ model: 1, document: 1, timestamp: -1 });
+
+/**
+ * Obtiene el modelo de historial, registrándolo en la conexión por defecto la primera vez que se usa.
+ * Así la colección solo se declara en los servicios que activan el historial.
+ * @returns {mongoose.Model} El modelo `AuditHistory`.
+ */
+const getAuditHistoryModel = () => mongoose.models.AuditHistory || mongoose.model('AuditHistory', auditHistorySchema);
+
+module.exports = { getAuditHistoryModel };
@@ -0,0 +1,5 @@
+const { getAuditHistoryModel } = require('./auditHistory');
+
+module.exports = {
+    getAuditHistoryModel
+};
@@ -1,4 +1,114 @@
-const logger = require("../../lib/logger");
+const { isDeepStrictEqual } = require('util');
+const logger = require("../../lib/logger").forModule("BaseService");
+const { applyJsonPatch, applyMergePatch } = require("../../lib/jsonPatch");
+const { NotFoundError, NotImplementedError, PreconditionFailedError, ValidationError } = require("../../lib/errors");
+const readCache = require("../../lib/readCache");
+
+/**
+ * Operadores admitidos en los filtros de listado, con la sintaxis `campo[operador]=valor`.
+ * La clave es el nombre usado en el query string y el valor el operador de MongoDB equivalente.
+ * Ejemplos:
+ * - `price[gte]=10` -> `{ price: { $gte: 10 } }`
+ * - `status[in]=DRAFT,SCHEDULED` -> `{ status: { $in: ['DRAFT', 'SCHEDULED'] } }`
+ * - `email[exists]=false` -> `{ email: { $exists: false } }`
+ * - `name[ne]=x` -> `{ name: { $ne: 'x' } }`
+ * Cualquier operador fuera de esta lista se rechaza con un error 400.
+ */
+const FILTER_OPERATORS = Object.freeze({
+    eq: '$eq',
+    ne: '$ne',
+    gt: '$gt',
+    gte: '$gte',
+    lt: '$lt',
+    lte: '$lte',
+    in: '$in',
+    nin: '$nin',
+    exists: '$exists',
+});
+
+// Operadores cuyo valor es una lista separada por comas (ej. `status[in]=A,B`).
+const LIST_OPERATORS = ['in', 'nin'];
+
+// Parámetros de control del query string que no forman parte del filtro del modelo.
+const CONTROL_KEYS = [
+    'fields', 'page', 'limit', 'sort', 'populate', 'search', 'pagination', 'after', 'before', 'count',
+    'groupBy', 'metrics', 'interval', 'dateField', 'timezone', 'includeDeleted', 'onlyDeleted',
+];
+
+// Documentos por página de los listados: por defecto y máximo (configurable con LIST_MAX_LIMIT).
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = parseInt(process.env.LIST_MAX_LIMIT, 10) || 100;
+
+// Días que se conservan los documentos eliminados lógicamente antes de poder purgarlos (configurable con SOFT_DELETE_RETENTION_DAYS).
+const SOFT_DELETE_RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS, 10) || 30;
+
+// Proyección por defecto: se excluyen los campos de auditoría.
+const DEFAULT_EXCLUDED_FIELDS = ['created_by', 'created_at', 'updated_by', 'updated_at', 'deleted_at', 'deleted_by'];
+
+// Métricas admitidas en `selectAggregate` (`metrics=count,sum:qty,avg:price`) y su acumulador de MongoDB.
+const AGGREGATE_METRICS = Object.freeze({
+    count: '$sum',
+    sum: '$sum',
+    avg: '$avg',
+    min: '$min',
+    max: '$max',
+});
+
+// Intervalos admitidos para agrupar por fecha en `selectAggregate`.
+const AGGREGATE_INTERVALS = ['day', 'week', 'month'];
+
+// Desplazamiento UTC admitido como zona horaria por `$dateTrunc` (ej. '+05:00', '-0300').
+const UTC_OFFSET_REGEX = /^[+-]\d{2}(:?\d{2})?$/;
+
+// Número máximo de elementos por operación masiva (configurable con BULK_MAX_ITEMS).
+const BULK_MAX_ITEMS = parseInt(process.env.BULK_MAX_ITEMS, 10) || 500;
+
+// Campos que no se pueden modificar con una actualización masiva ni con un PATCH (en este caso ampliables con la
+// opción de esquema `protectedPaths`): identidad, compañía, campos de auditoría y el estado del borrado lógico,
+// que solo cambian con `delete` y `restore`.
+const PROTECTED_PATHS = ['_id', 'company', 'created_at', 'created_by', 'updated_at', 'updated_by', 'active', 'deleted_at', 'deleted_by'];
+
+// Campos que nunca participan en la búsqueda de texto libre por defecto (auditoría/relación).
+const NON_SEARCHABLE_FIELDS = ['company', 'created_by', 'updated_by'];
+
+// Formatos de parche admitidos por `patch`: JSON Merge Patch (RFC 7396) y JSON Patch (RFC 6902).
+const PATCH_FORMATS = ['merge', 'json-patch'];
+
+// Reconoce la forma plana `campo[operador]` que produce el parser de query simple de Express.
+const OPERATOR_PARAM_REGEX = /^([^[\]]+)\[([^[\]]*)\]$/;
+
+/**
+ * Interpreta el tamaño de página de un listado, acotado entre 1 y `MAX_LIMIT`.
+ * @param {*} value - El valor de `query.limit`.
+ * @returns {number}
+ * @private
+ */
+const parseLimit = (value) => Math.min(Math.max(1, parseInt(value, 10) || DEFAULT_LIMIT), MAX_LIMIT);
+
+/**
+ * Escapa los caracteres especiales de una expresión regular para buscar el texto de forma literal.
+ * @param {string} text - El texto introducido por el usuario.
+ * @returns {string} El texto escapado.
+ * @private
+ */
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Indica si una zona horaria es válida para `$dateTrunc`: un identificador IANA (ej. 'America/Lima') o un desplazamiento UTC.
+ * @param {string} timezone - La zona horaria pedida.
+ * @returns {boolean}
+ * @private
+ */
+const isValidTimezone = (timezone) => {
+    if (UTC_OFFSET_REGEX.test(timezone)) return true;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
 class BaseService {
     /**
      * Crea una instancia de BaseService.
@@ -12,18 +122,251 @@ class BaseService {
     }
 
     /**
-     * Normaliza los valores de un objeto de filtro.
+     * Declara en un esquema el índice de texto que usa la búsqueda con `searchMode: 'text'`,
+     * a partir de la opción `searchFields` del propio esquema (con sus pesos, si es un objeto).
+     * Debe llamarse antes de compilar el modelo.
+     *
+     * @example
+     * const schema = new Schema({ name: String, sku: String }, { searchMode: 'text', searchFields: { name: 10, sku: 5 } });
+     * CompanyScopedService.applySearchIndex(schema);
+     *
+     * @param {mongoose.Schema} schema - El esquema al que se añadirá el índice.
+     * @returns {mongoose.Schema} El mismo esquema, para encadenar.
+     * @throws {Error} Si el esquema no define `searchFields`.
+     */
+    static applySearchIndex(schema) {
+        const searchFields = (schema.options || {}).searchFields;
+        if (!searchFields) {
+            throw new Error('The schema must define the searchFields option to build a text index.');
+        }
+        const weights = Array.isArray(searchFields)
+            ? Object.fromEntries(searchFields.map(field => [field, 1]))
+            : { ...searchFields };
+        const indexSpec = Object.fromEntries(Object.keys(weights).map(field => [field, 'text']));
+        schema.index(indexSpec, { weights, name: 'search_text_index' });
+        return schema;
+    }
+
+    /**
+     * Normaliza un valor de filtro proveniente del query string.
      * Convierte los strings 'true' y 'false' a sus equivalentes booleanos.
-     * @param {object} match - El objeto de filtro a normalizar.
-     * @returns {object} El objeto de filtro con los valores normalizados.
+     * Se usa para campos sin tipo conocido en el esquema (Mixed o fuera del esquema).
+     * @param {*} value - El valor a normalizar.
+     * @returns {*} El valor normalizado.
      * @private
      */
-    _normalizeMatch(match) {
-        for (let key in match) {
-            if (match[key] === 'true') match[key] = true;
-            if (match[key] === 'false') match[key] = false;
+    _normalizeValue(value) {
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        return value;
+    }
+
+    /**
+     * Busca la definición de un campo de filtro en el esquema del modelo.
+     * Soporta rutas anidadas (`address.city`), subcampos de arrays de subdocumentos (`items.qty`)
+     * y subcampos arbitrarios de campos `Mixed`.
+     * @param {string} field - La ruta del campo.
+     * @returns {{exists: boolean, schemaType: mongoose.SchemaType | null}} Si el campo existe y su SchemaType (null si no tiene tipo concreto).
+     * @private
+     */
+    _resolveFilterPath(field) {
+        const schema = this.model.schema;
+        const schemaType = schema.path(field);
+        if (schemaType) {
+            return { exists: true, schemaType };
+        }
+        if (schema.pathType(field) === 'nested') {
+            return { exists: true, schemaType: null };
+        }
+        // Un subcampo solo es válido si algún ancestro es de tipo Mixed.
+        const parts = field.split('.');
+        for (let i = parts.length - 1; i > 0; i--) {
+            const parent = schema.path(parts.slice(0, i).join('.'));
+            if (parent) {
+                return { exists: parent.instance === 'Mixed', schemaType: null };
+            }
+        }
+        return { exists: false, schemaType: null };
+    }
+
+    /**
+     * Valida que un campo pueda usarse como filtro.
+     * Rechaza nombres que empiezan por `$` y, si el esquema define la opción `strictFilters: true`,
+     * los campos que no existen en el esquema.
+     * @param {string} field - La ruta del campo.
+     * @throws {ValidationError} Si el campo no es válido.
+     * @private
+     */
+    _assertFilterField(field) {
+        if (field.startsWith('$')) {
+            throw new ValidationError(`Invalid filter field '${field}'.`);
+        }
+        const schemaOptions = this.model.schema.options || {};
+        if (schemaOptions.strictFilters === true && !this._resolveFilterPath(field).exists) {
+            throw new ValidationError(`Unknown filter field '${field}' for ${this.model.modelName}.`);
         }
-        return match;
+    }
+
+    /**
+     * Convierte un valor de filtro al tipo declarado en el esquema para ese campo
+     * (Number, Date, ObjectId, Boolean, String o arrays de estos), usando el cast de Mongoose.
+     * Los campos sin tipo concreto solo normalizan 'true'/'false'.
+     * @param {string} field - La ruta del campo.
+     * @param {*} value - El valor recibido en el query string. Si es un array, se convierte cada elemento.
+     * @returns {*} El valor convertido.
+     * @throws {ValidationError} Si el valor no se puede convertir al tipo del campo.
+     * @private
+     */
+    _castFilterValue(field, value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this._castFilterValue(field, item));
+        }
+
+        const { schemaType } = this._resolveFilterPath(field);
+        // Para arrays se convierte al tipo de sus elementos: `tags=a` busca elementos iguales a 'a'.
+        const caster = schemaType && schemaType.instance === 'Array' ? schemaType.embeddedSchemaType : schemaType;
+        if (!caster || typeof caster.cast !== 'function' || caster.instance === 'Mixed' || caster.$isSingleNested || caster.$isMongooseDocumentArray) {
+            return this._normalizeValue(value);
+        }
+
+        try {
+            return caster.cast(value);
+        } catch (error) {
+            throw new ValidationError(`Invalid value '${value}' for filter field '${field}': expected ${caster.instance}.`);
+        }
+    }
+
+    /**
+     * Traduce un operador del query string a su condición de MongoDB.
+     * @param {string} field - El campo sobre el que se aplica el operador.
+     * @param {string} operator - El nombre del operador (ej. 'gte', 'in').
+     * @param {*} value - El valor recibido para el operador.
+     * @returns {object} La condición de Mongo (ej. `{ $gte: 10 }`).
+     * @throws {ValidationError} Si el operador no está permitido o su valor no es válido.
+     * @private
+     */
+    _buildOperatorCondition(field, operator, value) {
+        if (!Object.prototype.hasOwnProperty.call(FILTER_OPERATORS, operator)) {
+            throw new ValidationError(`Unsupported filter operator '${operator}' on field '${field}'. Allowed operators: ${Object.keys(FILTER_OPERATORS).join(', ')}.`);
+        }
+        const mongoOperator = FILTER_OPERATORS[operator];
+
+        if (LIST_OPERATORS.includes(operator)) {
+            const values = Array.isArray(value) ? value : String(value).split(',');
+            return { [mongoOperator]: values.map(v => this._castFilterValue(field, typeof v === 'string' ? v.trim() : v)) };
+        }
+
+        if (operator === 'exists') {
+            const exists = this._normalizeValue(value);
+            if (typeof exists !== 'boolean') {
+                throw new ValidationError(`Operator 'exists' on field '${field}' expects 'true' or 'false'.`);
+            }
+            return { [mongoOperator]: exists };
+        }
+
+        if (typeof value === 'object' && value !== null) {
+            throw new ValidationError(`Operator '${operator}' on field '${field}' expects a single value.`);
+        }
+        return { [mongoOperator]: this._castFilterValue(field, value) };
+    }
+
+    /**
+     * Construye el filtro por campos a partir de los parámetros restantes del query.
+     * Admite igualdad simple (`status=OPEN`) y la sintaxis de operadores descrita en `FILTER_OPERATORS`,
+     * tanto en su forma plana (`price[gte]=10`) como anidada (`{ price: { gte: '10' } }`, parser extendido).
+     * Varias condiciones sobre el mismo campo se combinan (ej. `price[gte]=10&price[lte]=20`).
+     * Los valores se convierten según el tipo del campo en el esquema (ver `_castFilterValue`).
+     * @param {object} filter - El objeto de filtro sin claves de control.
+     * @returns {object} El filtro para Mongoose.
+     * @throws {ValidationError} Si algún campo u operador no es válido.
+     * @private
+     */
+    _normalizeMatch(filter) {
+        const match = {};
+        const addConditions = (field, conditions) => {
+            const current = match[field];
+            if (current === undefined) {
+                match[field] = conditions;
+            } else if (current !== null && typeof current === 'object' && !Array.isArray(current)) {
+                match[field] = { ...current, ...conditions };
+            } else {
+                // El campo ya tenía una igualdad simple: se conserva como $eq junto a los nuevos operadores.
+                match[field] = { $eq: current, ...conditions };
+            }
+        };
+
+        for (const key of Object.keys(filter)) {
+            const value = filter[key];
+            const bracketMatch = key.match(OPERATOR_PARAM_REGEX);
+
+            if (bracketMatch) {
+                const [, field, operator] = bracketMatch;
+                this._assertFilterField(field);
+                addConditions(field, this._buildOperatorCondition(field, operator, value));
+            } else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                // Forma anidada generada por el parser extendido (qs): { price: { gte: '10' } }
+                this._assertFilterField(key);
+                const conditions = {};
+                for (const operator of Object.keys(value)) {
+                    Object.assign(conditions, this._buildOperatorCondition(key, operator, value[operator]));
+                }
+                addConditions(key, conditions);
+            } else {
+                this._assertFilterField(key);
+                const castValue = this._castFilterValue(key, value);
+                if (match[key] !== undefined) {
+                    // Ya existen operadores para este campo: la igualdad se expresa como $eq.
+                    addConditions(key, { $eq: castValue });
+                } else {
+                    match[key] = castValue;
+                }
+            }
+        }
+        return this._applyBlindIndexes(match);
+    }
+
+    /**
+     * Traduce las condiciones sobre campos encriptados (ver `encryptedFieldsPlugin`) a condiciones sobre su índice ciego.
+     * Solo se admite igualdad (`campo=valor`, `eq`, `ne`, `in`, `nin`) y `exists`, ya que el índice no conserva el orden.
+     * @param {object} match - El filtro por campos.
+     * @returns {object} El filtro con los campos encriptados sustituidos por su índice ciego.
+     * @throws {ValidationError} Si el campo encriptado no tiene índice ciego o se usa otro operador.
+     * @private
+     */
+    _applyBlindIndexes(match) {
+        if (typeof this.model.encryptedField !== 'function') {
+            return match;
+        }
+        const result = {};
+        Object.entries(match).forEach(([field, condition]) => {
+            const encrypted = this.model.encryptedField(field);
+            if (!encrypted) {
+                result[field] = condition;
+                return;
+            }
+            if (!encrypted.blindIndexPath) {
+                throw new ValidationError(`Field '${field}' is encrypted and cannot be used as a filter.`);
+            }
+            const hash = value => (value === null || value === undefined ? value : this.model.blindIndexFor(field, value));
+            if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+                result[encrypted.blindIndexPath] = Array.isArray(condition) ? condition.map(hash) : hash(condition);
+                return;
+            }
+            const mapped = {};
+            Object.entries(condition).forEach(([operator, value]) => {
+                if (operator === '$exists') {
+                    mapped.$exists = value;
+                } else if (operator === '$eq' || operator === '$ne') {
+                    mapped[operator] = hash(value);
+                } else if (operator === '$in' || operator === '$nin') {
+                    mapped[operator] = value.map(hash);
+                } else {
+                    throw new ValidationError(`Field '${field}' is encrypted: only equality operators (eq, ne, in, nin, exists) are supported.`);
+                }
+            });
+            result[encrypted.blindIndexPath] = mapped;
+        });
+        return result;
     }
 
     /**
@@ -38,18 +381,15 @@ class BaseService {
         const filter = { ...query }; // Clonar para no mutar el original
         // 1. Extraer términos de control y búsqueda
         const searchTerm = filter.search;
+        const deletedFilter = this._buildDeletedFilter(filter);
 
         // 2. Eliminar claves de control que no son parte del filtro del modelo
-        delete filter.fields;
-        delete filter.page;
-        delete filter.limit;
-        delete filter.sort;
-        delete filter.populate; // Eliminar clave de populate para que no sea parte del filtro
-        delete filter.search; // Importante eliminar 'search' para que no sea tratado como un campo de filtro
+        // (incluye 'search', para que no sea tratado como un campo de filtro)
+        CONTROL_KEYS.forEach(key => delete filter[key]);
 
         // Llama a los métodos auxiliares para construir las partes del filtro.
         const dateFilter = this._buildDateFilter(filter);
-        const baseFilter = this._normalizeMatch(filter);
+        const baseFilter = { ...deletedFilter, ...this._normalizeMatch(filter) };
 
         // 3. Si no hay término de búsqueda, combina el filtro base y el de fecha.
         if (!searchTerm) {
@@ -72,6 +412,38 @@ class BaseService {
         return { $and: andClauses };
     }
 
+    /**
+     * Indica si el modelo admite borrado lógico (tiene el campo `active` de `modelAuditPlugin`).
+     * @returns {boolean} `true` si el esquema define `active`.
+     * @private
+     */
+    _isSoftDeletable() {
+        return !!this.model.schema.path('active');
+    }
+
+    /**
+     * Construye la condición que oculta los documentos eliminados lógicamente.
+     * - Por defecto solo se devuelven documentos no eliminados (`active` distinto de `false`).
+     * - `includeDeleted=true` devuelve también los eliminados.
+     * - `onlyDeleted=true` devuelve solo los eliminados (papelera).
+     * Si el query filtra explícitamente por `active`, se respeta ese filtro.
+     * @param {object} filter - El objeto de filtro (clon del query). No se modifica; las claves se eliminan como claves de control.
+     * @returns {object} La condición sobre `active`, o un objeto vacío.
+     * @private
+     */
+    _buildDeletedFilter(filter) {
+        if (!this._isSoftDeletable() || filter.active !== undefined) {
+            return {};
+        }
+        if (this._normalizeValue(filter.onlyDeleted) === true) {
+            return { active: false };
+        }
+        if (this._normalizeValue(filter.includeDeleted) === true) {
+            return {};
+        }
+        return { active: { $ne: false } };
+    }
+
     /**
      * Construye el objeto de filtro para el rango de fechas a partir del query.
      * Modifica el objeto `filter` eliminando las claves de fecha.
@@ -93,12 +465,22 @@ class BaseService {
             return {};
         }
 
+        this._assertFilterField(dateFilterColumn);
+
+        const toDate = (value, name) => {
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                throw new ValidationError(`Invalid value '${value}' for '${name}': expected a date.`);
+            }
+            return date;
+        };
+
         const dateConditions = {};
         if (startDate) {
-            dateConditions.$gte = new Date(startDate);
+            dateConditions.$gte = toDate(startDate, 'startDate');
         }
         if (endDate) {
-            const endOfDay = new Date(endDate);
+            const endOfDay = toDate(endDate, 'endDate');
             endOfDay.setUTCHours(23, 59, 59, 999);
             dateConditions.$lte = endOfDay;
         }
@@ -106,32 +488,114 @@ class BaseService {
         return Object.keys(dateConditions).length > 0 ? { [dateFilterColumn]: dateConditions } : {};
     }
 
+    /**
+     * Obtiene la configuración de búsqueda de texto libre a partir de las opciones del esquema:
+     * - `searchMode`: 'regex' (por defecto) busca coincidencias parciales sin distinguir mayúsculas;
+     *   'text' usa el índice de texto de MongoDB con puntuación de relevancia.
+     * - `searchFields`: lista de campos buscables (`['name', 'sku']`) o un objeto con sus pesos
+     *   (`{ name: 10, sku: 5 }`). Los pesos se aplican al índice de texto (ver `applySearchIndex`).
+     *   Si no se define, se buscan todos los campos String salvo los de auditoría y los marcados con `searchable: false`.
+     * @returns {{mode: string, fields: string[]}} El modo y los campos de búsqueda.
+     * @private
+     */
+    _getSearchConfig() {
+        const schema = this.model.schema;
+        const schemaOptions = schema.options || {};
+        const mode = schemaOptions.searchMode === 'text' ? 'text' : 'regex';
+
+        let fields;
+        if (Array.isArray(schemaOptions.searchFields)) {
+            fields = schemaOptions.searchFields;
+        } else if (schemaOptions.searchFields && typeof schemaOptions.searchFields === 'object') {
+            fields = Object.keys(schemaOptions.searchFields);
+        } else {
+            const schemaPaths = schema.paths;
+            fields = Object.keys(schemaPaths).filter(path =>
+                schemaPaths[path].instance === 'String' &&
+                schemaPaths[path].options.searchable !== false &&
+                !schemaPaths[path].options.encrypted && // Los campos encriptados no admiten búsqueda parcial
+                !path.startsWith('_') && // Excluir __v, etc.
+                !NON_SEARCHABLE_FIELDS.includes(path) // Excluir campos de auditoría/relación
+            );
+        }
+        return { mode, fields };
+    }
+
+    /**
+     * Indica si la consulta usa la búsqueda por índice de texto (y por tanto puede ordenarse por relevancia).
+     * @param {object} query - El objeto de consulta original.
+     * @returns {boolean} `true` si hay término de búsqueda y el modelo usa `searchMode: 'text'`.
+     * @private
+     */
+    _isTextSearch(query) {
+        return !!query.search && this._getSearchConfig().mode === 'text';
+    }
+
     /**
      * Construye el objeto de filtro para la búsqueda de texto libre.
+     * En modo 'regex' el término se escapa, por lo que se busca de forma literal
+     * (los caracteres especiales no rompen la consulta ni permiten expresiones costosas).
      * @param {string} searchTerm - El término a buscar.
-     * @returns {object} Un objeto de filtro con una cláusula $or, o un objeto vacío si no hay campos donde buscar.
+     * @returns {object} Un objeto de filtro con una cláusula $or o $text, o un objeto vacío si no hay campos donde buscar.
      * @private
      */
     _buildSearchFilter(searchTerm) {
-        const schemaPaths = this.model.schema.paths;
-        const fieldsToSearch = Object.keys(schemaPaths).filter(path =>
-            schemaPaths[path].instance === 'String' &&
-            !path.startsWith('_') && // Excluir __v, etc.
-            !['company', 'created_by', 'updated_by'].includes(path) // Excluir campos de auditoría/relación
-        );
+        const { mode, fields: fieldsToSearch } = this._getSearchConfig();
+
+        if (mode === 'text') {
+            return { $text: { $search: String(searchTerm) } };
+        }
 
         if (fieldsToSearch.length === 0) {
             logger.warn(`Se proporcionó el parámetro 'search' pero no se encontraron campos de tipo String para buscar en el modelo ${this.model.modelName}.`);
             return {};
         }
 
+        const pattern = new RegExp(escapeRegExp(searchTerm), 'i');
         const orConditions = fieldsToSearch.map(field => ({
-            [field]: { $regex: new RegExp(searchTerm, 'i') }
+            [field]: { $regex: pattern }
         }));
 
         return { $or: orConditions };
     }
 
+    /**
+     * Construye el objeto de proyección de Mongoose.
+     * @param {string} [fields] - Campos separados por comas pedidos por el usuario (ej. 'name,email' o '-notes').
+     * @param {string[]} [requiredFields=[]] - Campos que siempre deben devolverse.
+     * @returns {object} La proyección (ej. `{ name: 1, email: 1 }` o `{ created_by: 0 }`).
+     * @private
+     */
+    _buildProjection(fields, requiredFields = []) {
+        const projection = {};
+        if (fields) {
+            // Si el usuario especifica campos, se respeta su selección.
+            const selected = fields.split(',').map(f => f.trim()).filter(Boolean);
+            const isExclusion = selected.every(f => f.startsWith('-'));
+            if (isExclusion) {
+                selected
+                    .map(f => f.slice(1))
+                    .filter(f => !requiredFields.includes(f))
+                    .forEach(f => { projection[f] = 0; });
+            } else {
+                // `_id` es el único campo que se puede excluir en una proyección de inclusión (ej. 'name,-_id').
+                [...selected, ...requiredFields].forEach(f => {
+                    if (f === '-_id') {
+                        projection._id = 0;
+                    } else {
+                        projection[f] = 1;
+                    }
+                });
+            }
+            return projection;
+        }
+        // Por defecto, se excluyen los campos de auditoría y estado.
+        DEFAULT_EXCLUDED_FIELDS
+            .filter(f => !requiredFields.includes(f))
+            .forEach(f => { projection[f] = 0; });
+        return projection;
+    }
+
     /**
      * Construye una consulta de Mongoose basada en los parámetros de filtrado y proyección.
      * Este método centraliza la lógica común para `selectAll` y `selectOne`.
@@ -141,23 +605,20 @@ class BaseService {
      * @param {string} methodName - El nombre del método de Mongoose a utilizar ('find' o 'findOne').
      * @returns {{query: mongoose.Query, filter: object}} Un objeto con la consulta de Mongoose y el filtro utilizado.
      * @param {object} [prebuiltFilter=null] - Un filtro opcional pre-construido. Si se proporciona, se usa en lugar de construir uno nuevo.
+     * @param {string[]} [requiredFields=[]] - Campos que deben incluirse en la proyección aunque el usuario no los pida (ej. claves del cursor).
      * @private
      */
-    _buildQuery(query, methodName, prebuiltFilter = null) {
+    _buildQuery(query, methodName, prebuiltFilter = null, requiredFields = []) {
         // Usa el filtro pre-construido si se proporciona; de lo contrario, construye uno.
         const filter = prebuiltFilter || this._buildFilter(query);
 
         // Construye la consulta base usando el método especificado ('find' o 'findOne')
         let sql = this.model[methodName](filter);
 
-        // Define la proyección
-        let projection;
-        if (query.fields) {
-            // Si el usuario especifica campos, se respeta su selección.
-            projection = query.fields.replace(/,/g, ' ');
-        } else {
-            // Por defecto, se excluyen los campos de auditoría y estado.
-            projection = '-created_by -created_at -updated_by -updated_at';
+        // Define la proyección. En búsquedas por índice de texto se añade la puntuación de relevancia.
+        const projection = this._buildProjection(query.fields, requiredFields);
+        if (this._isTextSearch(query)) {
+            projection.score = { $meta: 'textScore' };
         }
         sql = sql.select(projection);
 
@@ -198,6 +659,191 @@ class BaseService {
         return { query: sql, filter };
     }
 
+    /**
+     * Decide si usar .lean() basado en una opción personalizada del esquema.
+     * Por defecto se usa .lean() para mejor rendimiento.
+     * Modelos como Customer y User pueden desactivarlo con `useLean: false` en sus opciones de esquema
+     * para asegurar que los getters (ej. desencriptación) se apliquen. Con `encryptedFieldsPlugin` no es necesario,
+     * ya que el plugin desencripta también los resultados `lean`.
+     * @returns {boolean} `true` si las consultas deben devolver objetos planos.
+     * @private
+     */
+    _shouldUseLean() {
+        const schemaOptions = this.model.schema.options || {};
+        return schemaOptions.useLean !== false;
+    }
+
+    /**
+     * Convierte el parámetro `sort` en una lista de claves para la paginación por cursor.
+     * Siempre termina en `_id` para que el orden sea total y el cursor no salte ni repita documentos.
+     * @param {string} [sort] - El orden pedido (ej. 'name,-age'). Por defecto '-created_at'.
+     * @returns {Array<{field: string, direction: number}>} Las claves de orden con su dirección (1 o -1).
+     * @private
+     */
+    _parseCursorSort(sort) {
+        const keys = (sort || '-created_at')
+            .split(/[,\s]+/)
+            .filter(Boolean)
+            .map(token => token.startsWith('-')
+                ? { field: token.slice(1), direction: -1 }
+                : { field: token.replace(/^\+/, ''), direction: 1 });
+
+        if (!keys.some(key => key.field === '_id')) {
+            const lastDirection = keys.length > 0 ? keys[keys.length - 1].direction : 1;
+            keys.push({ field: '_id', direction: lastDirection });
+        }
+        return keys;
+    }
+
+    /**
+     * Genera el token opaco de cursor a partir de un documento.
+     * @param {object} doc - El documento límite de la página.
+     * @param {Array<{field: string, direction: number}>} sortKeys - Las claves de orden.
+     * @returns {string} El token en base64url.
+     * @private
+     */
+    _encodeCursor(doc, sortKeys) {
+        const values = sortKeys.map(({ field }) => {
+            const value = typeof doc.get === 'function' ? doc.get(field) : field.split('.').reduce((obj, part) => (obj == null ? obj : obj[part]), doc);
+            return value === undefined ? null : value;
+        });
+        const payload = { s: sortKeys.map(({ field, direction }) => `${direction < 0 ? '-' : ''}${field}`).join(','), v: values };
+        return Buffer.from(JSON.stringify(payload)).toString('base64url');
+    }
+
+    /**
+     * Decodifica un token de cursor y restaura el tipo de sus valores según el esquema.
+     * @param {string} token - El token recibido en `after` o `before`.
+     * @param {Array<{field: string, direction: number}>} sortKeys - Las claves de orden de la petición actual.
+     * @returns {Array<*>} Los valores de las claves de orden del documento límite.
+     * @throws {ValidationError} Si el token no es válido o corresponde a otro orden.
+     * @private
+     */
+    _decodeCursor(token, sortKeys) {
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new ValidationError('Invalid pagination cursor.');
+        }
+        const signature = sortKeys.map(({ field, direction }) => `${direction < 0 ? '-' : ''}${field}`).join(',');
+        if (!payload || payload.s !== signature || !Array.isArray(payload.v) || payload.v.length !== sortKeys.length) {
+            throw new ValidationError('Pagination cursor does not match the requested sort order.');
+        }
+        return sortKeys.map(({ field }, i) => (payload.v[i] === null ? null : this._castFilterValue(field, payload.v[i])));
+    }
+
+    /**
+     * Construye la condición que selecciona los documentos posteriores (o anteriores) al cursor.
+     * Para las claves (k1, k2, ..., _id) genera: k1 > v1 OR (k1 = v1 AND k2 > v2) OR ...
+     * MongoDB ordena los valores `null` y ausentes antes que cualquier otro valor, pero `$gt`/`$lt` no los comparan:
+     * en orden ascendente los documentos posteriores a un `null` son los que tienen valor, y en orden descendente
+     * los posteriores a un valor incluyen los `null`, mientras que después de un `null` no hay ninguno.
+     * @param {Array<{field: string, direction: number}>} sortKeys - Las claves de orden.
+     * @param {Array<*>} values - Los valores del documento límite.
+     * @param {boolean} backwards - `true` para navegar hacia atrás (`before`).
+     * @returns {object} La condición `$or` para Mongoose.
+     * @private
+     */
+    _buildCursorFilter(sortKeys, values, backwards) {
+        const orConditions = sortKeys.map(({ field, direction }, i) => {
+            const ascending = (direction > 0) !== backwards;
+            const condition = {};
+            for (let j = 0; j < i; j++) {
+                condition[sortKeys[j].field] = values[j];
+            }
+            const value = values[i];
+            if (value === null || value === undefined) {
+                if (!ascending) {
+                    return null;
+                }
+                condition[field] = { $ne: null };
+            } else if (ascending || field === '_id') {
+                condition[field] = { [ascending ? '$gt' : '$lt']: value };
+            } else {
+                condition.$or = [{ [field]: { $lt: value } }, { [field]: null }];
+            }
+            return condition;
+        }).filter(Boolean);
+        // La última clave es siempre `_id`, que nunca es nula, así que queda al menos una condición.
+        return { $or: orConditions };
+    }
+
+    /**
+     * Obtiene una página de documentos con paginación por cursor (keyset).
+     * En lugar de `skip`, filtra por la clave de orden más `_id` del último (o primer) documento visto,
+     * lo que mantiene el coste constante en colecciones grandes.
+     *
+     * @param {object} query - El objeto de consulta. Además de los filtros admite:
+     * @param {string} [query.after] - Token para obtener la página siguiente (`nextCursor` de la respuesta anterior).
+     * @param {string} [query.before] - Token para obtener la página anterior (`prevCursor` de la respuesta anterior).
+     * @param {number} [query.limit=10] - El número de documentos por página (entre 1 y `LIST_MAX_LIMIT`, 100 por defecto).
+     * @param {string} [query.sort='-created_at'] - El orden; debe ser el mismo en todas las páginas.
+     * @param {string} [query.count] - 'false' para omitir `countDocuments` y no devolver `totalDocs`.
+     * @param {object} [prebuiltFilter=null] - Un filtro opcional pre-construido.
+     * @returns {Promise<object>} Un objeto con `docs`, `limit`, `nextCursor`, `prevCursor`, `hasNextPage`, `hasPrevPage` y opcionalmente `totalDocs`.
+     * @private
+     */
+    async _selectAllByCursor(query, prebuiltFilter = null) {
+        const limit = parseLimit(query.limit);
+        const withCount = query.count !== 'false';
+        const sortKeys = this._parseCursorSort(query.sort);
+        const backwards = !query.after && !!query.before;
+        const token = query.after || query.before;
+
+        // Las claves de orden deben venir en los documentos para poder generar los cursores.
+        const { query: findQuery, filter } = this._buildQuery(query, 'find', prebuiltFilter, sortKeys.map(k => k.field));
+
+        let queryToExecute = findQuery;
+        if (token) {
+            const values = this._decodeCursor(token, sortKeys);
+            queryToExecute = queryToExecute.and([this._buildCursorFilter(sortKeys, values, backwards)]);
+        }
+
+        // Hacia atrás se invierte el orden y luego se restaura el orden natural de la página.
+        const sort = {};
+        sortKeys.forEach(({ field, direction }) => { sort[field] = backwards ? -direction : direction; });
+        queryToExecute = queryToExecute.sort(sort).limit(limit + 1);
+
+        if (this._shouldUseLean()) {
+            queryToExecute = queryToExecute.lean();
+        }
+
+        const [results, totalDocs] = await Promise.all([
+            queryToExecute.exec(),
+            withCount ? this.model.countDocuments(filter) : null
+        ]);
+
+        // Se pide un documento de más para saber si hay otra página en la dirección de navegación.
+        const hasMore = results.length > limit;
+        const docs = results.slice(0, limit);
+        if (backwards) docs.reverse();
+
+        const first = docs[0];
+        const last = docs[docs.length - 1];
+        const hasNextPage = backwards ? true : hasMore;
+        const hasPrevPage = backwards ? hasMore : !!query.after;
+
+        logger.trace({
+            file: '[BaseService]._selectAllByCursor',
+            message: `Found ${docs.length} documents${withCount ? ` of ${totalDocs} total` : ''}.`,
+            pagination: { limit, hasNextPage, hasPrevPage }
+        });
+
+        const result = {
+            docs,
+            limit,
+            nextCursor: hasNextPage && last ? this._encodeCursor(last, sortKeys) : null,
+            prevCursor: hasPrevPage && first ? this._encodeCursor(first, sortKeys) : null,
+            hasPrevPage,
+            hasNextPage,
+        };
+        if (withCount) {
+            result.totalDocs = totalDocs;
+        }
+        return result;
+    }
+
     /**
      * Obtiene una lista paginada de documentos de la base de datos.
      * Permite filtrar, ordenar, paginar y seleccionar campos específicos (proyección).
@@ -205,49 +851,73 @@ class BaseService {
      * @param {string | undefined | null} companyId - El ID de la compañía para filtrar los resultados. Si es `undefined` o `null`, no se aplica filtro por compañía.
      * @param {object} query - Objeto de consulta que puede contener:
      * @param {object} query - ...filtros adicionales para la consulta de Mongoose (ej. `{ active: true }`).
+     * Admite operadores con la sintaxis `campo[operador]=valor` (ej. `price[gte]=10`, ver `FILTER_OPERATORS`).
      * @param {string} [query.fields] - Una cadena de campos separados por comas para la proyección (ej. 'name,email').
      * @param {number} [query.page=1] - El número de página a recuperar.
-     * @param {number} [query.limit=10] - El número de documentos por página.
+     * @param {number} [query.limit=10] - El número de documentos por página (entre 1 y `LIST_MAX_LIMIT`, 100 por defecto).
      * @param {string} [query.sort='-created_at'] - El campo y orden para ordenar (ej. 'name,-age').
+     * @param {string} [query.count] - 'false' para omitir el conteo total (no se devuelven `totalDocs` ni `totalPages`).
+     * @param {string} [query.pagination] - 'cursor' para usar paginación por cursor (ver `_selectAllByCursor`).
+     * También se activa al recibir `after` o `before`.
      * @returns {Promise<object>} Devuelve un objeto con los resultados paginados y metadatos.
      * @throws {Error} Lanza una excepción si ocurre un error durante la consulta a la base de datos.
      * @param {object} [prebuiltFilter=null] - Un filtro opcional pre-construido.
      * El llamador es responsable de capturar y manejar esta excepción.
+     * Si el modelo tiene la opción de esquema `cache`, el resultado se sirve desde Redis (ver `lib/readCache`).
      */
     async selectAll(query, prebuiltFilter = null) {
+        return this._cachedRead('selectAll', query, prebuiltFilter, () => this._fetchAll(query, prebuiltFilter));
+    }
+
+    /**
+     * Ejecuta la consulta de `selectAll` contra la base de datos.
+     * @private
+     */
+    async _fetchAll(query, prebuiltFilter = null) {
+        // El modo cursor se activa explícitamente o al recibir un token de navegación.
+        if (query.pagination === 'cursor' || query.after || query.before) {
+            return this._selectAllByCursor(query, prebuiltFilter);
+        }
+
         // 1. Opciones de paginación y ordenamiento
-        const page = parseInt(query.page, 10) || 1;
-        const limit = parseInt(query.limit, 10) || 10;
+        const page = Math.max(1, parseInt(query.page, 10) || 1);
+        const limit = parseLimit(query.limit);
         const skip = (page - 1) * limit;
-        const sortOrder = query.sort ? query.sort.replace(/,/g, ' ') : '-created_at';
+        // Sin orden explícito, las búsquedas por índice de texto se ordenan por relevancia.
+        const defaultSort = this._isTextSearch(query) ? { score: { $meta: 'textScore' } } : '-created_at';
+        const sortOrder = query.sort ? query.sort.replace(/,/g, ' ') : defaultSort;
+        const withCount = query.count !== 'false';
 
 
         // 2. Construir la consulta principal y la de conteo
         const { query: findQuery, filter } = this._buildQuery(query, 'find', prebuiltFilter);
 
-        // Decide si usar .lean() basado en una opción personalizada del esquema.
-        // Por defecto se usa .lean() para mejor rendimiento.
-        // Modelos como Customer y User pueden desactivarlo con `useLean: false` en sus opciones de esquema
-        // para asegurar que los getters (ej. desencriptación) se apliquen.
-        const schemaOptions = this.model.schema.options || {};
-        const shouldUseLean = schemaOptions.useLean !== false;
-
         let queryToExecute = findQuery
             .sort(sortOrder)
             .skip(skip)
             .limit(limit);
 
-        if (shouldUseLean) {
+        if (this._shouldUseLean()) {
             queryToExecute = queryToExecute.lean();
         }
 
         // 3. Ejecutar consultas en paralelo para eficiencia
         const [docs, totalDocs] = await Promise.all([
             queryToExecute.exec(),
-            this.model.countDocuments(filter)
+            withCount ? this.model.countDocuments(filter) : null
         ]);
 
         // 4. Calcular metadatos de paginación
+        // Sin conteo no se conoce el total: se infiere si hay página siguiente por el tamaño de la página actual.
+        if (!withCount) {
+            return {
+                docs,
+                limit,
+                page,
+                hasPrevPage: page > 1,
+                hasNextPage: docs.length === limit,
+            };
+        }
         const totalPages = Math.ceil(totalDocs / limit);
 
         // Reemplaza el bucle por un resumen más eficiente y útil.
@@ -269,6 +939,151 @@ class BaseService {
         };
     }
 
+    /**
+     * Valida que un campo pueda usarse para agrupar o calcular métricas en `selectAggregate`.
+     * Además de las reglas de `_assertFilterField`, rechaza los campos encriptados (`encrypted: true`) y los objetos
+     * que los contienen: se agruparía por el texto cifrado, con un grupo por documento y los valores cifrados en la respuesta.
+     * @param {string} field - La ruta del campo.
+     * @throws {ValidationError} Si el campo no es válido o está encriptado.
+     * @private
+     */
+    _assertAggregateField(field) {
+        this._assertFilterField(field);
+        const encryptedPaths = [];
+        this.model.schema.eachPath((path, schemaType) => {
+            if (schemaType.options && schemaType.options.encrypted) encryptedPaths.push(path);
+        });
+        if (encryptedPaths.some(path => path === field || path.startsWith(`${field}.`))) {
+            throw new ValidationError(`Field '${field}' is encrypted and cannot be used in an aggregation.`);
+        }
+    }
+
+    /**
+     * Convierte el parámetro `metrics` en los acumuladores del `$group`.
+     * @param {string} [metrics='count'] - Métricas separadas por comas (ej. 'count,sum:qty,avg:price').
+     * @returns {object} Los acumuladores por nombre de salida (ej. `{ count: { $sum: 1 }, sum_qty: { $sum: '$qty' } }`).
+     * @throws {ValidationError} Si alguna métrica o campo no es válido.
+     * @private
+     */
+    _buildAggregateMetrics(metrics = 'count') {
+        const accumulators = {};
+        String(metrics).split(',').map(m => m.trim()).filter(Boolean).forEach(metric => {
+            const [name, field] = metric.split(':');
+            if (!Object.prototype.hasOwnProperty.call(AGGREGATE_METRICS, name)) {
+                throw new ValidationError(`Unsupported metric '${name}'. Allowed metrics: ${Object.keys(AGGREGATE_METRICS).join(', ')}.`);
+            }
+            if (name === 'count') {
+                accumulators.count = { $sum: 1 };
+                return;
+            }
+            if (!field) {
+                throw new ValidationError(`Metric '${name}' requires a field (ej. '${name}:price').`);
+            }
+            this._assertAggregateField(field);
+            accumulators[`${name}_${field.replace(/\./g, '_')}`] = { [AGGREGATE_METRICS[name]]: `$${field}` };
+        });
+        return accumulators;
+    }
+
+    /**
+     * Obtiene métricas agregadas (conteos, sumas, promedios...) agrupadas por campos y/o por periodo de fecha.
+     * Usa el mismo constructor de filtros que `selectAll`, por lo que admite los mismos filtros, operadores y búsqueda.
+     *
+     * @example
+     * // Conversaciones por estado:       ?groupBy=status
+     * // Stock por almacén:               ?groupBy=warehouse&metrics=sum:qty
+     * // Mensajes por día:                ?interval=day&dateField=created_at
+     *
+     * @param {object} query - Objeto de consulta con los filtros y las opciones de agregación:
+     * @param {string} [query.groupBy] - Campos de agrupación separados por comas (ej. 'status' o 'warehouse,status'). No admite campos encriptados.
+     * @param {string} [query.metrics='count'] - Métricas separadas por comas: `count`, `sum:campo`, `avg:campo`, `min:campo`, `max:campo`.
+     * @param {string} [query.interval] - Agrupa además por periodo: 'day', 'week' o 'month'.
+     * @param {string} [query.dateField='created_at'] - El campo de fecha usado por `interval`.
+     * @param {string} [query.timezone='UTC'] - Zona horaria para calcular los periodos: IANA (ej. 'America/Lima') o desplazamiento UTC (ej. '-05:00').
+     * @param {string} [query.sort] - Orden de los grupos por campos de salida: claves de agrupación, `period` o métricas (ej. '-count').
+     * Por defecto, por periodo o por conteo descendente.
+     * @param {number} [query.limit] - Número máximo de grupos a devolver.
+     * @param {object} [prebuiltFilter=null] - Un filtro opcional pre-construido.
+     * @returns {Promise<{docs: object[], groupBy: string[], interval: string|null, metrics: string[]}>}
+     * Los grupos con sus campos de agrupación (`period` si hay intervalo) y métricas.
+     * @throws {ValidationError} Si los parámetros de agregación no son válidos.
+     */
+    async selectAggregate(query, prebuiltFilter = null) {
+        const filter = prebuiltFilter || this._buildFilter(query);
+
+        const groupBy = query.groupBy ? String(query.groupBy).split(',').map(f => f.trim()).filter(Boolean) : [];
+        groupBy.forEach(field => this._assertAggregateField(field));
+
+        const interval = query.interval || null;
+        if (interval && !AGGREGATE_INTERVALS.includes(interval)) {
+            throw new ValidationError(`Unsupported interval '${interval}'. Allowed intervals: ${AGGREGATE_INTERVALS.join(', ')}.`);
+        }
+        const dateField = query.dateField || 'created_at';
+        if (interval) this._assertAggregateField(dateField);
+        const timezone = query.timezone ? String(query.timezone) : 'UTC';
+        if (interval && !isValidTimezone(timezone)) {
+            throw new ValidationError(`Invalid timezone '${timezone}'. Use an IANA time zone (ej. 'America/Lima') or a UTC offset (ej. '-05:00').`);
+        }
+
+        const accumulators = this._buildAggregateMetrics(query.metrics);
+
+        // 1. Clave de agrupación: un campo por cada groupBy más el periodo truncado.
+        const groupId = {};
+        groupBy.forEach(field => { groupId[field.replace(/\./g, '_')] = `$${field}`; });
+        if (interval) {
+            groupId.period = {
+                $dateTrunc: {
+                    date: `$${dateField}`,
+                    unit: interval,
+                    timezone,
+                    ...(interval === 'week' ? { startOfWeek: 'monday' } : {}),
+                },
+            };
+        }
+
+        // 2. Proyección de salida: aplana la clave de agrupación junto a las métricas.
+        const project = { _id: 0 };
+        Object.keys(groupId).forEach(key => { project[key] = `$_id.${key}`; });
+        Object.keys(accumulators).forEach(key => { project[key] = 1; });
+
+        // 3. Orden: el pedido por el usuario (solo por campos de salida), o cronológico con intervalo, o por conteo descendente.
+        let sort;
+        if (query.sort) {
+            sort = {};
+            String(query.sort).split(',').map(token => token.trim()).filter(Boolean).forEach(token => {
+                const field = token.replace(/^[-+]/, '');
+                if (field === '_id' || !Object.prototype.hasOwnProperty.call(project, field)) {
+                    throw new ValidationError(`Invalid sort field '${field}'. Allowed fields: ${Object.keys(project).filter(key => key !== '_id').join(', ')}.`);
+                }
+                sort[field] = token.startsWith('-') ? -1 : 1;
+            });
+        } else if (interval) {
+            sort = { period: 1 };
+        } else if (accumulators.count) {
+            sort = { count: -1 };
+        }
+
+        const pipeline = [
+            { $match: filter },
+            { $group: { _id: Object.keys(groupId).length > 0 ? groupId : null, ...accumulators } },
+            { $project: project },
+        ];
+        if (sort) pipeline.push({ $sort: sort });
+        const limit = parseInt(query.limit, 10);
+        if (limit > 0) pipeline.push({ $limit: limit });
+
+        const docs = await this.model.aggregate(pipeline).exec();
+
+        logger.trace({
+            file: '[BaseService].selectAggregate',
+            message: `Aggregated ${docs.length} groups for ${this.model.modelName}.`,
+            groupBy,
+            interval,
+        });
+
+        return { docs, groupBy, interval, metrics: Object.keys(accumulators) };
+    }
+
     /**
      * Obtiene un único documento de la base de datos.
      * Se utiliza para consultas que se espera que devuelvan un solo resultado.
@@ -280,17 +1095,24 @@ class BaseService {
      * @throws {Error} Lanza una excepción si ocurre un error en la base de datos.
      * @param {object} [prebuiltFilter=null] - Un filtro opcional pre-construido.
      * El llamador es responsable de capturar y manejar esta excepción.
+     * Si el modelo tiene la opción de esquema `cache`, el resultado se sirve desde Redis (ver `lib/readCache`).
      */
     async selectOne(query, prebuiltFilter = null) {
-        const { query: findOneQuery } = this._buildQuery(query, 'findOne', prebuiltFilter);
+        return this._cachedRead('selectOne', query, prebuiltFilter, () => this._fetchOne(query, prebuiltFilter));
+    }
 
-        // Decide si usar .lean() basado en una opción personalizada del esquema.
-        const schemaOptions = this.model.schema.options || {};
-        const shouldUseLean = schemaOptions.useLean !== false;
+    /**
+     * Ejecuta la consulta de `selectOne` contra la base de datos.
+     * @private
+     */
+    async _fetchOne(query, prebuiltFilter = null) {
+        // La versión siempre se incluye para poder calcular el ETag del documento.
+        const versionKey = this.model.schema.options.versionKey;
+        const { query: findOneQuery } = this._buildQuery(query, 'findOne', prebuiltFilter, versionKey ? [versionKey] : []);
 
         let queryToExecute = findOneQuery;
 
-        if (shouldUseLean) {
+        if (this._shouldUseLean()) {
             queryToExecute = queryToExecute.lean();
         }
 
@@ -321,10 +1143,82 @@ class BaseService {
         const doc = new this.model(payload);
 
         const saved = await doc.save();
+        await this._invalidateCache([this._cacheScopeOf(saved)]);
         return { status: 'saved', _id: saved._id };
 
     }
 
+    /**
+     * Calcula el ETag de un documento a partir de su versión (`__v` o la `versionKey` del esquema).
+     * Cada escritura realizada a través del servicio incrementa la versión, por lo que el ETag cambia con cada modificación.
+     * @param {object | null} doc - El documento (hidratado o plano).
+     * @returns {string | null} El ETag entre comillas (ej. `"3"`), o `null` si el documento no tiene versión.
+     */
+    etagFor(doc) {
+        const versionKey = this.model.schema.options.versionKey;
+        if (!doc || !versionKey) return null;
+        const version = typeof doc.get === 'function' ? doc.get(versionKey) : doc[versionKey];
+        return version === undefined || version === null ? null : `"${version}"`;
+    }
+
+    /**
+     * Comprueba la cabecera `If-Match` contra la versión actual del documento.
+     * Admite `*` y varias etiquetas separadas por comas.
+     * @param {mongoose.Document} doc - El documento cargado.
+     * @param {string} [ifMatch] - El valor de la cabecera `If-Match`. Si no se envía, no se comprueba nada.
+     * @throws {PreconditionFailedError} Si ninguna etiqueta coincide con la versión actual.
+     * @private
+     */
+    _assertVersion(doc, ifMatch) {
+        if (!ifMatch) return;
+        const tags = String(ifMatch).split(',').map(tag => tag.trim());
+        if (tags.includes('*')) return;
+        const current = this.etagFor(doc);
+        if (!current || !tags.includes(current)) {
+            throw new PreconditionFailedError(`${this.model.modelName} has been modified by another request (current version ${current}).`);
+        }
+    }
+
+    /**
+     * Guarda un documento incrementando su versión.
+     * Mongoose incluye la versión leída en la condición del guardado, de modo que si otra petición
+     * lo modificó entretanto el guardado falla y se informa como precondición fallida.
+     * @param {mongoose.Document} doc - El documento a guardar.
+     * @returns {Promise<mongoose.Document>} El documento guardado.
+     * @throws {PreconditionFailedError} Si el documento cambió desde que se leyó.
+     * @private
+     */
+    async _saveVersioned(doc) {
+        if (this.model.schema.options.versionKey) {
+            doc.increment();
+        }
+        try {
+            return await doc.save(); // Dispara hooks como pre('save')
+        } catch (error) {
+            if (error.name === 'VersionError') {
+                throw new PreconditionFailedError(`${this.model.modelName} has been modified by another request.`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Busca un documento no eliminado para modificarlo, restringido al ámbito del servicio (ver `_scopeFilter`).
+     * @param {string | undefined | null} companyId - El ID de la compañía.
+     * @param {string} id - El ID del documento.
+     * @returns {Promise<mongoose.Document>} El documento encontrado.
+     * @throws {NotFoundError} Si el documento no existe (o pertenece a otra compañía).
+     * @private
+     */
+    async _findForWrite(companyId, id) {
+        const filter = this._notDeleted(this._scopeFilter(companyId, { _id: id }));
+        const doc = await this.model.findOne(filter);
+        if (!doc) {
+            throw new NotFoundError(`${this.model.modelName} not found`);
+        }
+        return doc;
+    }
+
     /**
      * Actualiza un documento existente en la base de datos.
      *
@@ -334,50 +1228,492 @@ class BaseService {
      * @param {string} username - El nombre de usuario que realiza la actualización, para auditoría.
      * @param {string} id - El ID del documento a actualizar.
      * @param {object} body - Un objeto con los campos y valores a actualizar.
-     * @returns {Promise<{status: string, updated: any}>} Un objeto indicando el éxito y el ID del documento actualizado.
-     * @throws {Error} Lanza una excepción si el documento no se encuentra o si ocurre un error durante el guardado (ej. validación).
+     * @param {object} [options={}] - Opciones de la operación.
+     * @param {string} [options.ifMatch] - El ETag esperado (cabecera `If-Match`). Si no coincide con la versión actual se rechaza la actualización.
+     * @returns {Promise<{status: string, updated: any, etag: string|null}>} Un objeto indicando el éxito, el ID del documento actualizado y su nuevo ETag.
+     * @throws {Error} Lanza una excepción si el documento no se encuentra, si la versión no coincide (412)
+     * o si ocurre un error durante el guardado (ej. validación).
      * El llamador es responsable de capturar y manejar esta excepción.
      */
-    async update(companyId, username, id, body) {
+    async update(companyId, username, id, body, options = {}) {
         const updates = { ...body };
 
-        const filter = { _id: id }; // El filtrado por compañía se hará en la subclase
-        const doc = await this.model.findOne(filter);
-        if (!doc) {
-            throw new Error(`${this.model.modelName} not found`);
-        }
+        const doc = await this._findForWrite(companyId, id);
+        this._assertVersion(doc, options.ifMatch);
+        // Si la actualización mueve el documento a otra compañía, se invalida también la de origen.
+        const previousScope = this._cacheScopeOf(doc);
         Object.assign(doc, updates);
         doc.updated_by = username;
-        const saved = await doc.save(); // Dispara hooks como pre('save')
+        const saved = await this._saveVersioned(doc);
+        await this._invalidateCache([previousScope, this._cacheScopeOf(saved)]);
         logger.info({ status: 'updated', updated: saved._id });
-        return { status: 'updated', updated: saved._id };
+        return { status: 'updated', updated: saved._id, etag: this.etagFor(saved) };
+
+    }
+
+    /**
+     * Aplica un parche parcial sobre un documento existente.
+     *
+     * - JSON Merge Patch (RFC 7396, `application/merge-patch+json`): un objeto con los cambios; `null` elimina el campo
+     * y los objetos anidados se combinan en lugar de reemplazarse.
+     * - JSON Patch (RFC 6902, `application/json-patch+json`): una lista de operaciones `add`, `remove`, `replace`,
+     * `move` y `test`, que permite editar un elemento concreto de un array o un campo anidado.
+     *
+     * El parche se aplica sobre la representación JSON del documento; los campos protegidos (`_id`, `company`,
+     * los de auditoría y borrado lógico, la versión y los indicados en la opción de esquema `protectedPaths`)
+     * no pueden cambiar.
+     *
+     * @param {string | undefined | null} companyId - El ID de la compañía (ver `update`).
+     * @param {string} username - El nombre de usuario que realiza la actualización, para auditoría.
+     * @param {string} id - El ID del documento a modificar.
+     * @param {object | Array<object>} patch - El parche.
+     * @param {object} [options={}] - Opciones de la operación.
+     * @param {'merge'|'json-patch'} [options.format] - El formato del parche. Por defecto `json-patch` si es un array y `merge` en otro caso.
+     * @param {string} [options.ifMatch] - El ETag esperado (cabecera `If-Match`).
+     * @returns {Promise<{status: string, updated: any, etag: string|null}>} Igual que `update`.
+     * @throws {ValidationError} Si el parche no es válido o modifica un campo protegido.
+     * @throws {ConflictError} Si falla una operación `test`.
+     * @throws {PreconditionFailedError} Si la versión no coincide.
+     * @throws {NotFoundError} Si el documento no se encuentra.
+     */
+    async patch(companyId, username, id, patch, options = {}) {
+        const format = options.format || (Array.isArray(patch) ? 'json-patch' : 'merge');
+        if (!PATCH_FORMATS.includes(format)) {
+            throw new ValidationError(`Unsupported patch format '${format}'. Allowed: ${PATCH_FORMATS.join(', ')}.`);
+        }
+        if (format === 'merge' && (!patch || typeof patch !== 'object' || Array.isArray(patch))) {
+            throw new ValidationError('A JSON Merge Patch must be an object.');
+        }
+
+        const doc = await this._findForWrite(companyId, id);
+        this._assertVersion(doc, options.ifMatch);
+
+        // Representación JSON del documento: ObjectId y fechas como texto, igual que los recibe el cliente.
+        const current = JSON.parse(JSON.stringify(doc.toObject({ depopulate: true, virtuals: false })));
+        const patched = format === 'merge' ? applyMergePatch(current, patch) : applyJsonPatch(current, patch);
+        if (!patched || typeof patched !== 'object' || Array.isArray(patched)) {
+            throw new ValidationError('The patch must produce an object.');
+        }
+        this._assertProtectedPaths(current, patched);
+
+        const keys = new Set([...Object.keys(current), ...Object.keys(patched)]);
+        keys.forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(patched, key)) {
+                doc.set(key, undefined);
+            } else if (!isDeepStrictEqual(current[key], patched[key])) {
+                doc.set(key, patched[key]);
+            }
+        });
+        doc.updated_by = username;
+        const saved = await this._saveVersioned(doc);
+        await this._invalidateCache([this._cacheScopeOf(saved)]);
+        logger.info({ status: 'patched', updated: saved._id });
+        return { status: 'updated', updated: saved._id, etag: this.etagFor(saved) };
+    }
 
+    /**
+     * Comprueba que un parche no haya modificado los campos protegidos.
+     * @param {object} before - El documento antes del parche.
+     * @param {object} after - El documento después del parche.
+     * @throws {ValidationError} Indicando el primer campo protegido modificado.
+     * @private
+     */
+    _assertProtectedPaths(before, after) {
+        const { versionKey, protectedPaths = [] } = this.model.schema.options;
+        const paths = [...PROTECTED_PATHS, ...(versionKey ? [versionKey] : []), ...protectedPaths];
+        const valueAt = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+        const changed = paths.find(path => !isDeepStrictEqual(valueAt(before, path), valueAt(after, path)));
+        if (changed) {
+            throw new ValidationError(`Field '${changed}' cannot be modified.`);
+        }
     }
 
     /**
-     * Realiza un borrado lógico (soft delete) de un documento, estableciendo su campo `active` a `false`.
+     * Realiza un borrado lógico (soft delete) de un documento, estableciendo su campo `active` a `false`
+     * y registrando `deleted_at` y `deleted_by`. El documento deja de aparecer en las lecturas por defecto.
      *
      * @param {string | undefined | null} companyId - El ID de la compañía. Si se proporciona, la operación solo
      * afectará a documentos que pertenezcan a esa compañía, añadiendo una capa de seguridad en un entorno multi-tenant.
      * Si es `undefined` o `null`, el documento se buscará solo por su `id`, lo cual es útil para recursos que no están ligados a una compañía.
      * @param {string} username - El nombre de usuario que realiza la operación, para auditoría.
      * @param {string} id - El ID del documento a eliminar.
+     * @param {object} [options={}] - Opciones de la operación.
+     * @param {string} [options.ifMatch] - El ETag esperado (cabecera `If-Match`).
      * @returns {Promise<{status: string, deleted: any}>} Un objeto indicando el éxito y el ID del documento eliminado.
-     * @throws {Error} Lanza una excepción si el documento no se encuentra o si ocurre un error durante el guardado.
+     * @throws {Error} Lanza una excepción si el documento no se encuentra, si la versión no coincide (412)
+     * o si ocurre un error durante el guardado.
      * El llamador es responsable de capturar y manejar esta excepción.
      */
-    async delete(companyId, username, id) {
+    async delete(companyId, username, id, options = {}) {
+        const doc = await this._findForWrite(companyId, id);
+        this._assertVersion(doc, options.ifMatch);
+
+        this._markDeleted(doc, username);
+        const saved = await this._saveVersioned(doc); // Dispara los hooks
+        await this._invalidateCache([this._cacheScopeOf(saved)]);
+        logger.info({ status: 'deleted', deleted: saved._id });
+        return { status: 'deleted', deleted: saved._id };
+    }
+
+    /**
+     * Aplica el borrado lógico sobre un documento cargado, sin guardarlo.
+     * @param {mongoose.Document} doc - El documento a marcar como eliminado.
+     * @param {string} username - El nombre de usuario que realiza la operación, para auditoría.
+     * @private
+     */
+    _markDeleted(doc, username) {
+        doc.active = false;
+        doc.deleted_at = new Date();
+        doc.deleted_by = username;
+        doc.updated_by = username;
+    }
 
-        const filter = { _id: id }; // El filtrado por compañía se hará en la subclase
+    /**
+     * Añade a un filtro de escritura la condición de documento no eliminado, si el modelo admite borrado lógico.
+     * @param {object} filter - El filtro a completar.
+     * @returns {object} El filtro con la condición sobre `active`.
+     * @private
+     */
+    _notDeleted(filter) {
+        return this._isSoftDeletable() ? { ...filter, active: { $ne: false } } : filter;
+    }
+
+    /**
+     * Obtiene el historial de cambios de un documento (requiere `modelAuditPlugin` con la opción `history`).
+     *
+     * @param {string | undefined | null} companyId - El ID de la compañía. Restringe las entradas a esa compañía.
+     * @param {string} id - El ID del documento.
+     * @param {object} [query={}] - Opciones de paginación.
+     * @param {number} [query.page=1] - El número de página.
+     * @param {number} [query.limit=20] - El número de entradas por página (máximo 100, ver `HISTORY_MAX_LIMIT`).
+     * @returns {Promise<object>} Un objeto paginado con las entradas del historial, de la más reciente a la más antigua.
+     * @throws {NotImplementedError} Si el modelo no tiene el historial activado.
+     * @throws {ValidationError} Si el ID no es válido.
+     */
+    async selectHistory(companyId, id, query = {}) {
+        if (typeof this.model.getHistory !== 'function') {
+            throw new NotImplementedError(`History is not implemented for ${this.model.modelName}. Enable it with modelAuditPlugin's history option.`);
+        }
+        const documentId = this._castFilterValue('_id', id);
+        return this.model.getHistory(documentId, {
+            page: query.page,
+            limit: query.limit,
+            filter: this._scopeFilter(companyId, {}),
+        });
+    }
 
+    /**
+     * Restaura un documento eliminado lógicamente, limpiando `deleted_at` y `deleted_by`.
+     *
+     * @param {string | undefined | null} companyId - El ID de la compañía. Restringe la búsqueda del documento.
+     * @param {string} username - El nombre de usuario que realiza la operación, para auditoría.
+     * @param {string} id - El ID del documento a restaurar.
+     * @returns {Promise<{status: string, restored: any}>} Un objeto indicando el éxito y el ID del documento restaurado.
+     * @throws {NotFoundError} Si no existe un documento eliminado con ese ID.
+     * El llamador es responsable de capturar y manejar esta excepción.
+     */
+    async restore(companyId, username, id) {
+        const filter = this._scopeFilter(companyId, { _id: id, active: false });
         const doc = await this.model.findOne(filter);
-        if (!doc) throw new Error(`${this.model.modelName} not found`);
+        if (!doc) throw new NotFoundError(`Deleted ${this.model.modelName} not found`);
 
-        doc.isActive = false;
+        doc.active = true;
+        doc.deleted_at = null;
+        doc.deleted_by = null;
         doc.updated_by = username;
-        const saved = await doc.save(); // Dispara los hooks
-        logger.info({ status: 'deleted', deleted: saved._id });
-        return { status: 'deleted', deleted: saved._id };
+        const saved = await this._saveVersioned(doc);
+        await this._invalidateCache([this._cacheScopeOf(saved)]);
+        logger.info({ status: 'restored', restored: saved._id });
+        return { status: 'restored', restored: saved._id };
+    }
+
+    /**
+     * Elimina físicamente los documentos que llevan eliminados lógicamente más tiempo que el periodo de retención.
+     * Los documentos eliminados antes de existir `deleted_at` se evalúan por su `updated_at`.
+     *
+     * @param {string | undefined | null} companyId - El ID de la compañía. Restringe los documentos purgados.
+     * @param {object} [options={}] - Opciones de la purga.
+     * @param {number} [options.olderThanDays=SOFT_DELETE_RETENTION_DAYS] - Días mínimos desde el borrado lógico.
+     * @returns {Promise<{status: string, purged: number}>} Un objeto con el número de documentos eliminados.
+     * @throws {ValidationError} Si el periodo no es un número válido.
+     */
+    async purge(companyId, options = {}) {
+        const olderThanDays = options.olderThanDays !== undefined ? Number(options.olderThanDays) : SOFT_DELETE_RETENTION_DAYS;
+        if (!Number.isFinite(olderThanDays) || olderThanDays < 0) {
+            throw new ValidationError(`Invalid retention period '${options.olderThanDays}': expected a number of days.`);
+        }
+        const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+
+        const filter = this._scopeFilter(companyId, {
+            active: false,
+            $or: [
+                { deleted_at: { $lt: cutoff } },
+                { deleted_at: null, updated_at: { $lt: cutoff } },
+            ],
+        });
+        const result = await this.model.deleteMany(filter);
+        // Sin compañía, la purga puede afectar a cualquier ámbito.
+        await this._invalidateCache([companyId || undefined]);
+        logger.info({ status: 'purged', model: this.model.modelName, purged: result.deletedCount, olderThanDays });
+        return { status: 'purged', purged: result.deletedCount };
+    }
+
+    /**
+     * Ejecuta una lectura a través de la caché de Redis, si el modelo la tiene activada con la opción de esquema `cache`.
+     * Solo se cachean las consultas `lean` (ver `_shouldUseLean`), ya que el resultado se guarda como JSON.
+     * @param {string} method - El método de lectura, parte de la clave.
+     * @param {object} query - Los parámetros de la consulta.
+     * @param {object | null} filter - El filtro pre-construido (incluye la compañía en `CompanyScopedService`).
+     * @param {Function} loader - Obtiene el resultado de la base de datos.
+     * @returns {Promise<*>} El resultado.
+     * @private
+     */
+    _cachedRead(method, query, filter, loader) {
+        if (!this._shouldUseLean()) {
+            return loader();
+        }
+        return readCache.wrap(this.model, { method, scope: this._cacheScopeOfFilter(filter), query: { query, filter } }, loader);
+    }
+
+    /**
+     * Obtiene la compañía de un filtro de lectura, si filtra por una sola compañía.
+     * @param {object | null} filter - El filtro.
+     * @returns {string | null} El ID de la compañía, o `null` si el filtro no se limita a una compañía.
+     * @private
+     */
+    _cacheScopeOfFilter(filter) {
+        if (!filter) return null;
+        const clause = filter.company !== undefined ? filter : (filter.$and || []).find(c => c && c.company !== undefined);
+        const company = clause ? clause.company : null;
+        // Un objeto plano es una condición con operadores (ej. `$in`), que abarca varias compañías.
+        if (company === null || (typeof company === 'object' && Object.getPrototypeOf(company) === Object.prototype)) {
+            return null;
+        }
+        return String(company);
+    }
+
+    /**
+     * Obtiene la compañía de un documento modificado, para invalidar su ámbito de la caché.
+     * @param {mongoose.Document} doc - El documento.
+     * @returns {string | null} El ID de la compañía, o `null` si el documento no pertenece a una compañía.
+     * @private
+     */
+    _cacheScopeOf(doc) {
+        const company = this.model.schema.path('company') ? doc.get('company') : null;
+        return company === null || company === undefined ? null : String(company);
+    }
+
+    /**
+     * Invalida las lecturas cacheadas de las compañías indicadas (ver `lib/readCache`).
+     * No hace nada si el modelo no usa caché.
+     * @param {Array<string|null|undefined>} scopes - Las compañías afectadas; `undefined` si no se conocen.
+     * @returns {Promise<void>}
+     * @private
+     */
+    _invalidateCache(scopes) {
+        return readCache.invalidate(this.model, scopes);
+    }
+
+    /**
+     * Restringe un filtro de escritura al ámbito del servicio.
+     * En la base no añade condiciones; `CompanyScopedService` la sobrescribe para añadir la compañía.
+     * @param {string | undefined | null} companyId - El ID de la compañía.
+     * @param {object} filter - El filtro a restringir.
+     * @returns {object} El filtro restringido.
+     * @private
+     */
+    _scopeFilter(companyId, filter) {
+        return filter;
+    }
+
+    /**
+     * Valida la lista de elementos de una operación masiva.
+     * @param {Array} items - Los elementos recibidos.
+     * @param {string} name - Nombre del parámetro, para el mensaje de error.
+     * @throws {ValidationError} Si no es un array no vacío o supera `BULK_MAX_ITEMS`.
+     * @private
+     */
+    _assertBulkItems(items, name) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new ValidationError(`'${name}' must be a non-empty array.`);
+        }
+        if (items.length > BULK_MAX_ITEMS) {
+            throw new ValidationError(`'${name}' exceeds the maximum of ${BULK_MAX_ITEMS} items per bulk operation.`);
+        }
+    }
+
+    /**
+     * Comprueba que los cambios no modifiquen campos protegidos (ver `PROTECTED_PATHS`).
+     * @param {object} body - Los cambios recibidos.
+     * @throws {ValidationError} Si alguno de los campos está protegido.
+     * @private
+     */
+    _assertWritableFields(body) {
+        const protectedField = Object.keys(body).find(key => PROTECTED_PATHS.includes(key.split('.')[0]));
+        if (protectedField) {
+            throw new ValidationError(`Field '${protectedField}' cannot be modified.`);
+        }
+    }
+
+    /**
+     * Construye el resumen de una operación masiva.
+     * @param {Array<object>} results - El resultado de cada elemento.
+     * @returns {{total: number, succeeded: number, failed: number, results: Array<object>}} El resumen.
+     * @private
+     */
+    _bulkSummary(results) {
+        const failed = results.filter(r => r.status === 'error').length;
+        return { total: results.length, succeeded: results.length - failed, failed, results };
+    }
+
+    /**
+     * Obtiene los documentos afectados por una actualización o borrado masivo.
+     * @param {string | undefined | null} companyId - El ID de la compañía.
+     * @param {object} selector - `{ ids: [...] }` para una lista de IDs o `{ filter: {...} }` con filtros
+     * en el mismo formato que el query string de `selectAll`.
+     * @returns {Promise<{docs: mongoose.Document[], missing: Array<string>}>} Los documentos encontrados y los IDs pedidos que no existen.
+     * @throws {ValidationError} Si el selector no es válido o el filtro afecta a más de `BULK_MAX_ITEMS` documentos.
+     * @private
+     */
+    async _findBulkTargets(companyId, selector = {}) {
+        if (selector.ids !== undefined) {
+            this._assertBulkItems(selector.ids, 'ids');
+            const ids = selector.ids.map(id => this._castFilterValue('_id', id));
+            const docs = await this.model.find(this._notDeleted(this._scopeFilter(companyId, { _id: { $in: ids } })));
+            const found = new Set(docs.map(doc => String(doc._id)));
+            return { docs, missing: ids.map(String).filter(id => !found.has(id)) };
+        }
+
+        if (!selector.filter || typeof selector.filter !== 'object' || Object.keys(selector.filter).length === 0) {
+            throw new ValidationError("A bulk operation requires 'ids' or a non-empty 'filter'.");
+        }
+        // Se usa el constructor de filtros de la base: las subclases cambian la firma de _buildFilter
+        // y la restricción por compañía se aplica aquí con _scopeFilter.
+        const filter = this._scopeFilter(companyId, BaseService.prototype._buildFilter.call(this, selector.filter));
+        const docs = await this.model.find(filter).limit(BULK_MAX_ITEMS + 1);
+        if (docs.length > BULK_MAX_ITEMS) {
+            throw new ValidationError(`The filter matches more than ${BULK_MAX_ITEMS} documents; narrow it down or use ids.`);
+        }
+        return { docs, missing: [] };
+    }
+
+    /**
+     * Inserta varios documentos en una sola operación.
+     * Cada documento se valida por separado y los válidos se insertan con `insertMany` no ordenado,
+     * de modo que un elemento inválido o duplicado no impide insertar el resto.
+     *
+     * @param {string | undefined | null} companyId - El ID de la compañía a la que pertenecen los documentos.
+     * @param {string} username - El nombre de usuario que realiza la operación, usado para auditoría.
+     * @param {Array<object>} items - Los cuerpos de los documentos a crear.
+     * @returns {Promise<{total: number, succeeded: number, failed: number, results: Array<object>}>}
+     * El resumen con un resultado por elemento, en el mismo orden: `{ index, status: 'saved', _id }` o `{ index, status: 'error', error }`.
+     * @throws {ValidationError} Si `items` no es válido; otros errores de base de datos se relanzan.
+     */
+    async insertMany(companyId, username, items) {
+        this._assertBulkItems(items, 'items');
+        const results = new Array(items.length);
+
+        // 1. Validar cada documento por separado para reportar los errores por elemento.
+        const docs = items.map(body => new this.model({ ...body, created_by: username, updated_by: username }));
+        const validations = await Promise.allSettled(docs.map(doc => doc.validate()));
+        const toInsert = [];
+        validations.forEach((validation, index) => {
+            if (validation.status === 'rejected') {
+                results[index] = { index, status: 'error', error: validation.reason.message };
+            } else {
+                toInsert.push(index);
+            }
+        });
+
+        // 2. Insertar los válidos. Con ordered:false Mongo continúa tras un error (ej. clave duplicada).
+        if (toInsert.length > 0) {
+            const failedWrites = new Map();
+            try {
+                await this.model.insertMany(toInsert.map(index => docs[index]), { ordered: false });
+            } catch (error) {
+                if (!Array.isArray(error.writeErrors)) throw error;
+                error.writeErrors.forEach(writeError => {
+                    failedWrites.set(writeError.index, writeError.errmsg || writeError.message);
+                });
+            }
+            toInsert.forEach((index, position) => {
+                results[index] = failedWrites.has(position)
+                    ? { index, status: 'error', error: failedWrites.get(position) }
+                    : { index, status: 'saved', _id: docs[index]._id };
+            });
+        }
+
+        await this._invalidateCache(toInsert.map(index => this._cacheScopeOf(docs[index])));
+        const summary = this._bulkSummary(results);
+        logger.info({ status: 'bulk_saved', model: this.model.modelName, succeeded: summary.succeeded, failed: summary.failed });
+        return summary;
+    }
+
+    /**
+     * Actualiza varios documentos con los mismos cambios.
+     * Cada documento se carga y se guarda por separado, por lo que se ejecutan las validaciones y hooks de `save`.
+     *
+     * @param {string | undefined | null} companyId - El ID de la compañía. Restringe los documentos afectados.
+     * @param {string} username - El nombre de usuario que realiza la actualización, para auditoría.
+     * @param {object} selector - `{ ids: [...] }` o `{ filter: {...} }` (ver `_findBulkTargets`).
+     * @param {object} body - Los campos y valores a actualizar en todos los documentos. No puede incluir campos protegidos
+     * (`_id`, `company`, auditoría ni estado de borrado): el borrado y la restauración tienen sus propias operaciones.
+     * @returns {Promise<{total: number, succeeded: number, failed: number, results: Array<object>}>}
+     * El resumen con un resultado por documento: `{ _id, status: 'updated' }` o `{ _id, status: 'error', error }`.
+     * Los IDs pedidos que no existen se reportan como error.
+     * @throws {ValidationError} Si el selector o los cambios no son válidos.
+     */
+    async updateMany(companyId, username, selector, body) {
+        if (!body || typeof body !== 'object' || Object.keys(body).length === 0) {
+            throw new ValidationError('A bulk update requires a non-empty object with the changes.');
+        }
+        this._assertWritableFields(body);
+        const { docs, missing } = await this._findBulkTargets(companyId, selector);
+
+        const outcomes = await Promise.allSettled(docs.map(doc => {
+            Object.assign(doc, body);
+            doc.updated_by = username;
+            return this._saveVersioned(doc);
+        }));
+
+        const results = docs.map((doc, i) => (outcomes[i].status === 'fulfilled'
+            ? { _id: doc._id, status: 'updated' }
+            : { _id: doc._id, status: 'error', error: outcomes[i].reason.message }));
+        missing.forEach(id => results.push({ _id: id, status: 'error', error: `${this.model.modelName} not found` }));
+
+        await this._invalidateCache(docs.filter((doc, i) => outcomes[i].status === 'fulfilled').map(doc => this._cacheScopeOf(doc)));
+        const summary = this._bulkSummary(results);
+        logger.info({ status: 'bulk_updated', model: this.model.modelName, succeeded: summary.succeeded, failed: summary.failed });
+        return summary;
+    }
+
+    /**
+     * Realiza el borrado lógico de varios documentos.
+     *
+     * @param {string | undefined | null} companyId - El ID de la compañía. Restringe los documentos afectados.
+     * @param {string} username - El nombre de usuario que realiza la operación, para auditoría.
+     * @param {object} selector - `{ ids: [...] }` o `{ filter: {...} }` (ver `_findBulkTargets`).
+     * @returns {Promise<{total: number, succeeded: number, failed: number, results: Array<object>}>}
+     * El resumen con un resultado por documento: `{ _id, status: 'deleted' }` o `{ _id, status: 'error', error }`.
+     * @throws {ValidationError} Si el selector no es válido.
+     */
+    async deleteMany(companyId, username, selector) {
+        const { docs, missing } = await this._findBulkTargets(companyId, selector);
+
+        const outcomes = await Promise.allSettled(docs.map(doc => {
+            this._markDeleted(doc, username);
+            return this._saveVersioned(doc);
+        }));
+
+        const results = docs.map((doc, i) => (outcomes[i].status === 'fulfilled'
+            ? { _id: doc._id, status: 'deleted' }
+            : { _id: doc._id, status: 'error', error: outcomes[i].reason.message }));
+        missing.forEach(id => results.push({ _id: id, status: 'error', error: `${this.model.modelName} not found` }));
+
+        await this._invalidateCache(docs.filter((doc, i) => outcomes[i].status === 'fulfilled').map(doc => this._cacheScopeOf(doc)));
+        const summary = this._bulkSummary(results);
+        logger.info({ status: 'bulk_deleted', model: this.model.modelName, succeeded: summary.succeeded, failed: summary.failed });
+        return summary;
     }
 
 };
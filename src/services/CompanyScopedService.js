@@ -16,11 +16,13 @@ class CompanyScopedService extends BaseService {
 
         // Si el filtro base ya contiene $and, añadimos la cláusula de compañía ahí.
         // De lo contrario, la añadimos directamente al filtro.
+        // El companyId se convierte al tipo del esquema: las agregaciones no aplican el cast de Mongoose.
         if (companyId && !this.isCompanyModel) {
+            const company = this._castFilterValue('company', companyId);
             if (filter.$and) {
-                filter.$and.push({ company: companyId });
+                filter.$and.push({ company });
             } else {
-                filter.company = companyId;
+                filter.company = company;
             }
         }
         return filter;
@@ -42,6 +44,12 @@ class CompanyScopedService extends BaseService {
         return super.selectOne(query, filter);
     }
 
+    async selectAggregate(companyId, query) {
+        // Las agregaciones también quedan restringidas a la compañía.
+        const filter = this._buildFilter(companyId, query);
+        return super.selectAggregate(query, filter);
+    }
+
     // _buildQuery ya no necesita ser sobrescrito porque la lógica de filtrado
     // se maneja en los métodos públicos (selectAll, selectOne).
     // La versión de BaseService._buildQuery será utilizada directamente.
@@ -61,42 +69,30 @@ class CompanyScopedService extends BaseService {
         return super.insert(null, username, payload);
     }
 
-    async update(companyId, username, id, body) {
-        // Aseguramos que la búsqueda del documento esté restringida por la compañía.
-        const filter = { _id: id };
+    // update, patch, delete y restore no necesitan sobrescribirse: BaseService busca el documento
+    // con _scopeFilter, que aquí añade la compañía, por lo que la búsqueda ya es segura para multi-tenant.
+    // Además `patch` trata `company` como campo protegido, así que un parche no puede mover el documento de compañía.
+
+    /**
+     * Restringe los filtros de escritura (update, patch, delete, restore, purge y operaciones masivas) a la compañía.
+     * @override
+     */
+    _scopeFilter(companyId, filter) {
         if (companyId && !this.isCompanyModel) {
-            filter.company = companyId;
+            return { ...filter, company: this._castFilterValue('company', companyId) };
         }
-        // La lógica de BaseService.update no es segura para multi-tenant porque solo busca por _id.
-        // Por eso, aquí buscamos el documento con el filtro seguro y luego llamamos a la lógica de guardado.
-        const doc = await this.model.findOne(filter);
-        if (!doc) {
-            throw new Error(`${this.model.modelName} not found`);
-        }
-        // Ahora que tenemos el documento correcto, podemos usar la lógica de actualización de la base.
-        // Sin embargo, BaseService.update vuelve a buscar, así que replicamos la parte final.
-        Object.assign(doc, body);
-        doc.updated_by = username;
-        const saved = await doc.save();
-        return { status: 'updated', updated: saved._id };
+        return filter;
     }
 
-    async delete(companyId, username, id) {
-        // Similar a update, aseguramos que la búsqueda del documento esté restringida.
-        const filter = { _id: id };
-        if (companyId && !this.isCompanyModel) {
-            filter.company = companyId;
-        }
-        const doc = await this.model.findOne(filter);
-        if (!doc) {
-            throw new Error(`${this.model.modelName} not found`);
-        }
-        // Replicamos la lógica final de borrado lógico.
-        doc.isActive = false;
-        doc.updated_by = username;
-        const saved = await doc.save();
-        return { status: 'deleted', deleted: saved._id };
+    async insertMany(companyId, username, items) {
+        this._assertBulkItems(items, 'items');
+        // Cada elemento se asocia a la compañía, ignorando la que venga en el cuerpo.
+        const payloads = items.map(body => (companyId && !this.isCompanyModel ? { ...body, company: companyId } : body));
+        return super.insertMany(null, username, payloads);
     }
+
+    // updateMany no necesita sobrescribirse: la base restringe los documentos con _scopeFilter
+    // y rechaza los cambios sobre `company` (ver PROTECTED_PATHS).
 }
 
 module.exports = CompanyScopedService;
\ No newline at end of file
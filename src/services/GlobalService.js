@@ -31,6 +31,16 @@ class GlobalService extends BaseService {
     async selectOne(companyId, query) {
         return super.selectOne(query);
     }
+
+    /**
+     * Sobrescribe selectAggregate para alinear la firma del método con la llamada desde BaseController.
+     * Ignora el companyId y pasa los argumentos correctos a la clase base.
+     * @param {string | undefined | null} companyId - El ID de la compañía (ignorado).
+     * @param {object} query - El objeto de consulta.
+     */
+    async selectAggregate(companyId, query) {
+        return super.selectAggregate(query);
+    }
 }
 
 module.exports = GlobalService;
@@ -1,4 +1,5 @@
-const logger = require("../../lib/logger");
+const logger = require("../../lib/logger").forModule("CoreService");
+const { redact } = require("../../lib/redaction");
 const mongoose = require("mongoose");
 
 class CoreService {
@@ -10,7 +11,7 @@ class CoreService {
     }
 
     async _execute(fn, action, params) {
-        logger.debug(`[CoreService] ${action} params: ${JSON.stringify(params)}`);
+        logger.debug({ params: redact(params) }, `[CoreService] ${action} on ${this.model.modelName}`);
         try {
             return await fn();
         } catch (error) {
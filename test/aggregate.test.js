@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const BaseService = require('../src/services/BaseService');
+const CompanyScopedService = require('../src/services/CompanyScopedService');
+const { mockQuery } = require('./helpers');
+
+const Model = mongoose.model('AggregateTestItem', new mongoose.Schema({
+    company: mongoose.Schema.Types.ObjectId,
+    status: String,
+    warehouse: String,
+    qty: Number,
+    created_at: Date,
+}));
+
+describe('BaseService.selectAggregate', () => {
+    const service = new BaseService(Model);
+    let aggregate;
+
+    beforeEach(() => {
+        aggregate = jest.spyOn(Model, 'aggregate').mockReturnValue(mockQuery([{ status: 'OPEN', count: 2 }]));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const pipeline = () => aggregate.mock.calls[0][0];
+
+    test('agrupa por campos y ordena por conteo descendente por defecto', async () => {
+        const result = await service.selectAggregate({ groupBy: 'status', metrics: 'count,sum:qty', 'qty[gte]': '1' });
+
+        expect(pipeline()).toEqual([
+            { $match: { qty: { $gte: 1 } } },
+            { $group: { _id: { status: '$status' }, count: { $sum: 1 }, sum_qty: { $sum: '$qty' } } },
+            { $project: { _id: 0, status: '$_id.status', count: 1, sum_qty: 1 } },
+            { $sort: { count: -1 } },
+        ]);
+        expect(result).toEqual({ docs: [{ status: 'OPEN', count: 2 }], groupBy: ['status'], interval: null, metrics: ['count', 'sum_qty'] });
+    });
+
+    test('agrupa por periodo en la zona horaria pedida', async () => {
+        await service.selectAggregate({ interval: 'week', timezone: 'America/Lima', limit: '5' });
+
+        expect(pipeline()[1].$group._id).toEqual({
+            period: { $dateTrunc: { date: '$created_at', unit: 'week', timezone: 'America/Lima', startOfWeek: 'monday' } },
+        });
+        expect(pipeline().slice(3)).toEqual([{ $sort: { period: 1 } }, { $limit: 5 }]);
+    });
+
+    test('admite desplazamientos UTC como zona horaria', async () => {
+        await service.selectAggregate({ interval: 'day', timezone: '-05:00' });
+        expect(pipeline()[1].$group._id.period.$dateTrunc.timezone).toBe('-05:00');
+    });
+
+    test('ordena por las claves de agrupación y las métricas', async () => {
+        await service.selectAggregate({ groupBy: 'warehouse', metrics: 'avg:qty', sort: '-avg_qty,warehouse' });
+        expect(pipeline()[3]).toEqual({ $sort: { avg_qty: -1, warehouse: 1 } });
+    });
+
+    test.each([
+        ['una métrica no soportada', { metrics: 'median:qty' }],
+        ['una métrica sin campo', { metrics: 'sum' }],
+        ['un campo de agrupación que es un operador', { groupBy: '$where' }],
+        ['un intervalo no soportado', { interval: 'year' }],
+        ['una zona horaria inválida', { interval: 'day', timezone: 'Mars/Olympus' }],
+        ['un orden por un campo que no está en la salida', { groupBy: 'status', sort: 'qty' }],
+        ['un orden por un operador', { groupBy: 'status', sort: '$where' }],
+        ['un orden por _id', { groupBy: 'status', sort: '_id' }],
+    ])('rechaza %s con 400 sin consultar la base de datos', async (name, query) => {
+        await expect(service.selectAggregate(query)).rejects.toMatchObject({ status: 400 });
+        expect(aggregate).not.toHaveBeenCalled();
+    });
+
+    test('en servicios por compañía restringe la agregación a la compañía', async () => {
+        const companyId = new mongoose.Types.ObjectId();
+        await new CompanyScopedService(Model).selectAggregate(companyId.toString(), { groupBy: 'status' });
+
+        const { company } = pipeline()[0].$match;
+        expect(company).toBeInstanceOf(mongoose.Types.ObjectId);
+        expect(company.equals(companyId)).toBe(true);
+    });
+});
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const modelAuditPlugin = require('../src/middlewares/modelAuditPlugin');
+const requestContext = require('../lib/requestContext');
+
+const schema = new mongoose.Schema({ name: String, qty: Number });
+schema.plugin(modelAuditPlugin, { systemActor: 'scheduler' });
+const Model = mongoose.model('AuditContextTestItem', schema);
+
+const asUser = (fn) => requestContext.run({ username: 'ana' }, fn);
+
+describe('modelAuditPlugin audit fields', () => {
+    let collection;
+
+    beforeEach(() => {
+        collection = {
+            insertOne: jest.spyOn(Model.collection, 'insertOne').mockResolvedValue({ acknowledged: true }),
+            insertMany: jest.spyOn(Model.collection, 'insertMany').mockImplementation(async (docs) => ({ insertedCount: docs.length })),
+            updateOne: jest.spyOn(Model.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }),
+            updateMany: jest.spyOn(Model.collection, 'updateMany').mockResolvedValue({ acknowledged: true, matchedCount: 2, modifiedCount: 2 }),
+            replaceOne: jest.spyOn(Model.collection, 'replaceOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }),
+            bulkWrite: jest.spyOn(Model.collection, 'bulkWrite').mockResolvedValue({ insertedCount: 1, modifiedCount: 1 }),
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('save', () => {
+        test('toma created_by y updated_by del usuario de la petición', async () => {
+            const doc = await asUser(() => new Model({ name: 'a' }).save());
+            expect(doc).toMatchObject({ created_by: 'ana', updated_by: 'ana' });
+            expect(doc.created_at).toBeInstanceOf(Date);
+        });
+
+        test('fuera de una petición usa el actor de sistema', async () => {
+            const doc = await new Model({ name: 'a' }).save();
+            expect(doc).toMatchObject({ created_by: 'scheduler', updated_by: 'scheduler' });
+        });
+
+        test('runAsSystem audita con el nombre del proceso', async () => {
+            const doc = await asUser(() => requestContext.runAsSystem(() => new Model({ name: 'a' }).save(), 'importer'));
+            expect(doc).toMatchObject({ created_by: 'importer', updated_by: 'importer' });
+        });
+
+        test('respeta los valores que indica el llamador', async () => {
+            const doc = await asUser(() => new Model({ name: 'a', created_by: 'import', updated_by: 'import' }).save());
+            expect(doc).toMatchObject({ created_by: 'import', updated_by: 'import' });
+        });
+
+        test('al modificar actualiza updated_by salvo que se asigne, aunque sea el mismo valor', async () => {
+            const doc = Model.hydrate({ _id: new mongoose.Types.ObjectId(), name: 'a', created_by: 'eva', updated_by: 'eva' });
+
+            doc.name = 'b';
+            await asUser(() => doc.save());
+            expect(doc).toMatchObject({ created_by: 'eva', updated_by: 'ana' });
+
+            doc.set({ name: 'c', updated_by: 'ana' });
+            await requestContext.run({ username: 'eva' }, () => doc.save());
+            expect(doc.updated_by).toBe('ana');
+
+            doc.name = 'd';
+            await requestContext.run({ username: 'eva' }, () => doc.save());
+            expect(doc.updated_by).toBe('eva');
+        });
+    });
+
+    describe('actualizaciones por consulta', () => {
+        test('updateOne y updateMany fijan updated_at y updated_by', async () => {
+            await asUser(() => Model.updateOne({ name: 'a' }, { qty: 1 }).exec());
+            await asUser(() => Model.updateMany({ name: 'a' }, { $inc: { qty: 1 } }).exec());
+
+            const [, one] = collection.updateOne.mock.calls[0];
+            expect(one.$set).toMatchObject({ qty: 1, updated_by: 'ana' });
+            expect(one.$set.updated_at).toBeInstanceOf(Date);
+            const [, many] = collection.updateMany.mock.calls[0];
+            expect(many).toMatchObject({ $inc: { qty: 1 }, $set: { updated_by: 'ana' } });
+        });
+
+        test('respeta un updated_by explícito', async () => {
+            await asUser(() => Model.updateOne({ name: 'a' }, { qty: 1, updated_by: 'import' }).exec());
+            expect(collection.updateOne.mock.calls[0][1].$set.updated_by).toBe('import');
+        });
+
+        test('en upserts completa los campos de creación con $setOnInsert', async () => {
+            await asUser(() => Model.updateOne({ name: 'a' }, { qty: 1 }, { upsert: true }).exec());
+
+            const [, update] = collection.updateOne.mock.calls[0];
+            expect(update.$setOnInsert).toMatchObject({ created_by: 'ana' });
+            expect(update.$setOnInsert.created_at).toBeInstanceOf(Date);
+            expect(update.$setOnInsert).not.toHaveProperty('updated_by');
+        });
+
+        test('los reemplazos conservan los campos de auditoría', async () => {
+            await asUser(() => Model.replaceOne({ name: 'a' }, { name: 'b' }).exec());
+            expect(collection.replaceOne.mock.calls[0][1]).toMatchObject({ name: 'b', created_by: 'ana', updated_by: 'ana' });
+        });
+    });
+
+    describe('escrituras masivas', () => {
+        test('insertMany completa los campos de cada documento', async () => {
+            await asUser(() => Model.insertMany([{ name: 'a' }, { name: 'b', created_by: 'import' }]));
+
+            const docs = collection.insertMany.mock.calls[0][0];
+            expect(docs.map(doc => [doc.created_by, doc.updated_by])).toEqual([['ana', 'ana'], ['import', 'ana']]);
+        });
+
+        test('bulkWrite aplica la auditoría a cada operación', async () => {
+            await asUser(() => Model.bulkWrite([
+                { insertOne: { document: { name: 'a' } } },
+                { updateOne: { filter: { name: 'b' }, update: { $set: { qty: 2 } } } },
+            ]));
+
+            const [insert, update] = collection.bulkWrite.mock.calls[0][0];
+            expect(insert.insertOne.document).toMatchObject({ created_by: 'ana', updated_by: 'ana' });
+            expect(update.updateOne.update.$set).toMatchObject({ qty: 2, updated_by: 'ana' });
+        });
+    });
+});
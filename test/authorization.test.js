@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const authorization = require('../lib/authorization');
+const requestContext = require('../lib/requestContext');
+const { requirePermission, requireRoles } = require('../src/middlewares/authorize');
+const BaseController = require('../src/controllers/BaseController');
+const BaseService = require('../src/services/BaseService');
+const { rol } = require('../constants');
+const { mockRequest, mockResponse } = require('./helpers');
+
+describe('authorization', () => {
+    afterEach(() => {
+        authorization.setRoleHierarchy(authorization.DEFAULT_ROLE_HIERARCHY);
+    });
+
+    test('un rol hereda los roles inferiores de la jerarquía', () => {
+        expect([...authorization.expandRoles([rol.CUSTOMER_ADMIN_ROLE])].sort())
+            .toEqual([rol.CUSTOMER_ADMIN_ROLE, rol.USER_ROLE, rol.VIEWER_ROLE].sort());
+        expect(authorization.hasRole([rol.SYSTEM_ADMIN_ROLE], [rol.VIEWER_ROLE])).toBe(true);
+        expect(authorization.hasRole([rol.VIEWER_ROLE], [rol.USER_ROLE])).toBe(false);
+    });
+
+    test('los roles fuera de la jerarquía solo se representan a sí mismos', () => {
+        expect([...authorization.expandRoles([rol.MESSAGES_AGENT])]).toEqual([rol.MESSAGES_AGENT]);
+        expect(authorization.hasPermission([rol.MESSAGES_AGENT], 'read')).toBe(false);
+    });
+
+    test('los permisos por defecto', () => {
+        expect(authorization.hasPermission([rol.VIEWER_ROLE], 'read')).toBe(true);
+        expect(authorization.hasPermission([rol.VIEWER_ROLE], 'write')).toBe(false);
+        expect(authorization.hasPermission([rol.USER_ROLE], 'delete')).toBe(true);
+        expect(authorization.hasPermission([rol.USER_ROLE], 'manage')).toBe(false);
+        expect(authorization.hasPermission([rol.CUSTOMER_ADMIN_ROLE], 'manage')).toBe(true);
+    });
+
+    test('un permiso no definido no se concede a nadie', () => {
+        expect(authorization.hasPermission([rol.SYSTEM_ADMIN_ROLE], 'unknown')).toBe(false);
+    });
+
+    test('la jerarquía se puede reemplazar', () => {
+        authorization.setRoleHierarchy({ ...authorization.DEFAULT_ROLE_HIERARCHY, [rol.MESSAGES_ADMIN]: [rol.MESSAGES_AGENT] });
+        expect(authorization.hasRole([rol.MESSAGES_ADMIN], [rol.MESSAGES_AGENT])).toBe(true);
+    });
+});
+
+describe('authorize middlewares', () => {
+    const run = (middleware, req) => {
+        const res = mockResponse();
+        const next = jest.fn();
+        middleware(req, res, next);
+        return { res, next };
+    };
+
+    test('permiten el acceso con el rol requerido o uno superior', () => {
+        const { next } = run(requireRoles(rol.USER_ROLE), mockRequest({ token: { username: 'ana', roles: [rol.CUSTOMER_ADMIN_ROLE] } }));
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('responden 403 si el usuario no tiene el permiso', () => {
+        const { res, next } = run(requirePermission('manage'), mockRequest({ token: { username: 'ana', roles: [rol.USER_ROLE] } }));
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(403);
+    });
+
+    test('admiten los roles de req.user', () => {
+        const { next } = run(requirePermission('write'), mockRequest({ user: { username: 'ana', roles: 'user' } }));
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('responden 401 sin un usuario autenticado aunque el contexto tenga roles', () => {
+        const { res, next } = requestContext.run({ requestId: 'r-1', roles: [rol.SYSTEM_ADMIN_ROLE] },
+            () => run(requirePermission('manage'), mockRequest()));
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(401);
+    });
+
+    test('ignoran la cabecera X-User-Roles', () => {
+        const req = mockRequest({ headers: { 'X-User-Roles': '["system"]' } });
+        const { res, next } = run(requirePermission('manage'), req);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(401);
+    });
+});
+
+describe('BaseController permissions', () => {
+    const Model = mongoose.model('AuthorizationTestItem', new mongoose.Schema({ name: String }));
+
+    const createController = (options) => {
+        const service = new BaseService(Model);
+        service.purge = jest.fn(async () => ({ status: 'purged', deleted: 0 }));
+        return { controller: new BaseController(service, options), service };
+    };
+
+    const purge = async (controller, req) => {
+        const res = mockResponse();
+        controller.purge(req, res);
+        await new Promise(setImmediate);
+        return res;
+    };
+
+    test('sin la opción permissions no comprueba permisos', async () => {
+        const { controller, service } = createController();
+        const res = await purge(controller, mockRequest({ token: { username: 'ana', roles: [rol.MESSAGES_AGENT] } }));
+        expect(service.purge).toHaveBeenCalled();
+        expect(res.statusCode).toBe(200);
+    });
+
+    test('con permissions: true aplica los permisos por defecto', async () => {
+        const { controller, service } = createController({ permissions: true });
+        const res = await purge(controller, mockRequest({ token: { username: 'ana', roles: [rol.USER_ROLE] } }));
+        expect(service.purge).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(403);
+
+        const allowed = await purge(controller, mockRequest({ token: { username: 'eva', roles: [rol.CUSTOMER_ADMIN_ROLE] } }));
+        expect(allowed.statusCode).toBe(200);
+    });
+
+    test('los permisos indicados se combinan con los de por defecto', async () => {
+        const { controller } = createController({ permissions: { purge: null } });
+        const res = await purge(controller, mockRequest({ token: { username: 'ana', roles: [rol.VIEWER_ROLE] } }));
+        expect(res.statusCode).toBe(200);
+    });
+
+    test('responde 401 sin un usuario autenticado aunque el contexto tenga roles', async () => {
+        const { controller, service } = createController({ permissions: true });
+        const res = await requestContext.run({ roles: [rol.SYSTEM_ADMIN_ROLE] }, () => purge(controller, mockRequest()));
+        expect(service.purge).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(401);
+    });
+});
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const BaseService = require('../src/services/BaseService');
+const CompanyScopedService = require('../src/services/CompanyScopedService');
+const BaseController = require('../src/controllers/BaseController');
+const { mockQuery, mockRequest, mockResponse } = require('./helpers');
+
+const Model = mongoose.model('BulkTestItem', new mongoose.Schema({
+    company: mongoose.Schema.Types.ObjectId,
+    name: { type: String, required: true },
+    qty: Number,
+    active: Boolean,
+    created_by: String,
+    updated_by: String,
+}));
+
+const existing = (name, qty = 1) => {
+    const doc = Model.hydrate({ _id: new mongoose.Types.ObjectId(), name, qty, active: true });
+    jest.spyOn(doc, 'save').mockImplementation(async () => doc);
+    return doc;
+};
+
+describe('BaseService bulk operations', () => {
+    const service = new BaseService(Model);
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('insertMany', () => {
+        test('inserta los válidos e informa de cada fallo en su posición', async () => {
+            const insertMany = jest.spyOn(Model, 'insertMany').mockImplementation(async () => {
+                const error = new Error('E11000 duplicate key');
+                error.writeErrors = [{ index: 1, errmsg: 'E11000 duplicate key error' }];
+                throw error;
+            });
+
+            const result = await service.insertMany(null, 'ana', [{ name: 'a' }, { qty: 2 }, { name: 'b' }, { name: 'c' }]);
+
+            const inserted = insertMany.mock.calls[0][0];
+            expect(inserted.map(doc => doc.name)).toEqual(['a', 'b', 'c']);
+            expect(inserted.every(doc => doc.created_by === 'ana' && doc.updated_by === 'ana')).toBe(true);
+            expect(result).toMatchObject({ total: 4, succeeded: 2, failed: 2 });
+            expect(result.results.map(r => r.status)).toEqual(['saved', 'error', 'error', 'saved']);
+            expect(result.results[1].error).toMatch(/name/);
+            expect(result.results[2].error).toMatch(/duplicate/);
+        });
+
+        test('relanza los errores que no son de escritura', async () => {
+            jest.spyOn(Model, 'insertMany').mockRejectedValue(new Error('connection lost'));
+            await expect(service.insertMany(null, 'ana', [{ name: 'a' }])).rejects.toThrow('connection lost');
+        });
+
+        test.each([
+            ['sin elementos', undefined],
+            ['con un array vacío', []],
+            ['con demasiados elementos', new Array(501).fill({ name: 'a' })],
+        ])('rechaza una petición %s con 400', async (name, items) => {
+            await expect(service.insertMany(null, 'ana', items)).rejects.toMatchObject({ status: 400 });
+        });
+    });
+
+    describe('updateMany', () => {
+        test('guarda cada documento y reporta los fallos y los IDs inexistentes', async () => {
+            const ok = existing('a');
+            const invalid = existing('b');
+            invalid.save.mockRejectedValue(new Error('Validation failed'));
+            const missingId = new mongoose.Types.ObjectId().toString();
+            const find = jest.spyOn(Model, 'find').mockReturnValue(mockQuery([ok, invalid]));
+
+            const result = await service.updateMany(null, 'eva', { ids: [ok.id, invalid.id, missingId] }, { qty: 5 });
+
+            expect(find.mock.calls[0][0]._id.$in).toHaveLength(3);
+            expect(ok.qty).toBe(5);
+            expect(ok.updated_by).toBe('eva');
+            expect(result).toMatchObject({ total: 3, succeeded: 1, failed: 2 });
+            expect(result.results).toEqual([
+                { _id: ok._id, status: 'updated' },
+                { _id: invalid._id, status: 'error', error: 'Validation failed' },
+                { _id: missingId, status: 'error', error: 'BulkTestItem not found' },
+            ]);
+        });
+
+        test.each([
+            ['_id', { _id: new mongoose.Types.ObjectId() }],
+            ['company', { company: new mongoose.Types.ObjectId() }],
+            ['created_by', { created_by: 'mallory' }],
+            ['updated_by', { updated_by: 'mallory' }],
+            ['active', { active: false }],
+        ])('rechaza con 400 un cambio sobre %s', async (field, body) => {
+            const find = jest.spyOn(Model, 'find');
+            await expect(service.updateMany(null, 'eva', { ids: ['665f1b2c3d4e5f6a7b8c9d0e'] }, { qty: 1, ...body }))
+                .rejects.toMatchObject({ status: 400, message: `Field '${field}' cannot be modified.` });
+            expect(find).not.toHaveBeenCalled();
+        });
+
+        test('rechaza un filtro que afecta a demasiados documentos', async () => {
+            jest.spyOn(Model, 'find').mockReturnValue(mockQuery(new Array(501).fill(null).map(() => existing('x'))));
+            await expect(service.updateMany(null, 'eva', { filter: { qty: '1' } }, { qty: 2 }))
+                .rejects.toMatchObject({ status: 400 });
+        });
+
+        test('exige ids o un filtro no vacío', async () => {
+            await expect(service.updateMany(null, 'eva', {}, { qty: 2 })).rejects.toMatchObject({ status: 400 });
+            await expect(service.updateMany(null, 'eva', { filter: {} }, { qty: 2 })).rejects.toMatchObject({ status: 400 });
+        });
+    });
+
+    describe('en servicios por compañía', () => {
+        const scoped = new CompanyScopedService(Model);
+        const companyId = new mongoose.Types.ObjectId().toString();
+
+        test('restringe los documentos afectados a la compañía', async () => {
+            const find = jest.spyOn(Model, 'find').mockReturnValue(mockQuery([]));
+            await scoped.deleteMany(companyId, 'eva', { filter: { name: 'a' } });
+            expect(String(find.mock.calls[0][0].company)).toBe(companyId);
+        });
+
+        test('no permite mover documentos a otra compañía', async () => {
+            await expect(scoped.updateMany(companyId, 'eva', { ids: ['665f1b2c3d4e5f6a7b8c9d0e'] }, { company: 'other' }))
+                .rejects.toMatchObject({ status: 400 });
+        });
+
+        test('asocia los documentos insertados a la compañía', async () => {
+            const insertMany = jest.spyOn(Model, 'insertMany').mockResolvedValue([]);
+            await scoped.insertMany(companyId, 'eva', [{ name: 'a', company: new mongoose.Types.ObjectId() }]);
+            expect(String(insertMany.mock.calls[0][0][0].company)).toBe(companyId);
+        });
+    });
+});
+
+describe('BaseController bulk handlers', () => {
+    const service = new BaseService(Model);
+    const controller = new BaseController(service);
+    const user = { companyId: null, username: 'ana' };
+
+    const run = async (handler, body) => {
+        const res = mockResponse();
+        handler(mockRequest({ method: 'POST', user, body }), res);
+        await new Promise(setImmediate);
+        return res;
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test.each([
+        ['bulkInsert', controller.bulkInsert],
+        ['bulkUpdate', controller.bulkUpdate],
+        ['bulkDelete', controller.bulkDelete],
+    ])('%s sin cuerpo responde 400', async (name, handler) => {
+        expect((await run(handler, undefined)).statusCode).toBe(400);
+    });
+
+    test('responde 207 si algún elemento falla', async () => {
+        jest.spyOn(Model, 'insertMany').mockResolvedValue([]);
+        const res = await run(controller.bulkInsert, { items: [{ name: 'a' }, { qty: 1 }] });
+        expect(res.statusCode).toBe(207);
+        expect(res.body).toMatchObject({ succeeded: 1, failed: 1 });
+    });
+
+    test('responde 201 si todos se insertan', async () => {
+        jest.spyOn(Model, 'insertMany').mockResolvedValue([]);
+        const res = await run(controller.bulkInsert, [{ name: 'a' }]);
+        expect(res.statusCode).toBe(201);
+    });
+});
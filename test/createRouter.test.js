@@ -0,0 +1,100 @@
+const createRouter = require('../src/controllers/createRouter');
+const { mockRequest, mockResponse } = require('./helpers');
+
+/**
+ * Devuelve las rutas registradas en el router como `VERBO path`, en orden.
+ */
+const routesOf = (router) => router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(verb => `${verb.toUpperCase()} ${layer.route.path}`));
+
+const handlersOf = (router, route) => {
+    const layer = router.stack.find(l => l.route && routesOf({ stack: [l] }).includes(route));
+    return layer.route.stack.map(l => l.handle);
+};
+
+const handler = () => jest.fn((req, res) => res.status(200).json({}));
+
+const baseController = () => ({
+    get: handler(),
+    insert: handler(),
+    update: handler(),
+    delete: handler(),
+    stats: handler(),
+    restore: handler(),
+    purge: handler(),
+    history: handler(),
+    bulkInsert: handler(),
+    bulkUpdate: handler(),
+    bulkDelete: handler(),
+});
+
+describe('createRouter', () => {
+    test('registra las rutas fijas antes que /:id', () => {
+        const routes = routesOf(createRouter(baseController(), { auth: false }));
+        expect(routes).toEqual([
+            'GET /stats',
+            'DELETE /trash',
+            'POST /bulk',
+            'PATCH /bulk',
+            'DELETE /bulk',
+            'GET /',
+            'GET /:id',
+            'POST /',
+            'PUT /:id',
+            'DELETE /:id',
+            'POST /:id/restore',
+            'GET /:id/history',
+        ]);
+    });
+
+    test('sin método patch no registra PATCH /:id', () => {
+        const routes = routesOf(createRouter({ get: handler(), post: handler(), put: handler() }, { auth: false }));
+        expect(routes).toEqual(['GET /', 'GET /:id', 'POST /', 'PUT /:id']);
+    });
+
+    test('PATCH /:id usa el método patch del controlador', () => {
+        const controller = { ...baseController(), patch: handler() };
+        const router = createRouter(controller, { auth: false });
+        expect(handlersOf(router, 'PATCH /:id')).toEqual([controller.patch]);
+    });
+
+    test('usa post/put en un CoreController', () => {
+        const controller = { get: handler(), post: handler(), put: handler() };
+        const router = createRouter(controller, { auth: false });
+        expect(handlersOf(router, 'POST /')).toEqual([controller.post]);
+        expect(handlersOf(router, 'PUT /:id')).toEqual([controller.put]);
+    });
+
+    test('permite desactivar y reemplazar rutas', () => {
+        const middleware = jest.fn();
+        const custom = handler();
+        const router = createRouter(baseController(), { auth: false, routes: { history: false, list: [middleware, custom] } });
+
+        expect(routesOf(router)).not.toContain('GET /:id/history');
+        expect(handlersOf(router, 'GET /')).toEqual([middleware, custom]);
+    });
+
+    test('exige los roles indicados por ruta', async () => {
+        const controller = baseController();
+        const router = createRouter(controller, { auth: false, roles: { purge: ['admin'] } });
+        const [guard, purge] = handlersOf(router, 'DELETE /trash');
+        expect(purge).toBe(controller.purge);
+
+        const res = mockResponse();
+        const next = jest.fn();
+        guard(mockRequest({ token: { username: 'ana', roles: ['user'] } }), res, next);
+        expect(res.statusCode).toBe(403);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test('aplica la autenticación a todas las rutas', () => {
+        const auth = jest.fn();
+        const router = createRouter(baseController(), { auth });
+        expect(router.stack[0].handle).toBe(auth);
+    });
+
+    test('exige un controlador', () => {
+        expect(() => createRouter()).toThrow('controller');
+    });
+});
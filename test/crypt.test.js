@@ -0,0 +1,228 @@
+const crypt = require('../lib/crypt');
+
+const KEY_1 = 'a'.repeat(64);
+const KEY_2 = 'b'.repeat(64);
+
+// Parámetros de scrypt bajos para que las pruebas sean rápidas.
+const FAST_SCRYPT = { algorithm: 'scrypt', cost: 10 };
+
+/**
+ * Modelo mínimo con la parte de `model.collection` que usa `reEncryptCollection`.
+ */
+const mockModel = (docs, { matchedCount } = {}) => {
+    const pages = [docs, []];
+    return {
+        modelName: 'Channel',
+        collection: {
+            find: jest.fn(() => {
+                const page = pages.shift() || [];
+                const cursor = { sort: () => cursor, limit: () => cursor, toArray: async () => page };
+                return cursor;
+            }),
+            bulkWrite: jest.fn(async (operations) => ({ matchedCount: matchedCount ?? operations.length })),
+        },
+    };
+};
+
+describe('crypt', () => {
+    beforeEach(() => {
+        crypt.configure({ keys: { k1: KEY_1 } });
+    });
+
+    afterEach(() => {
+        delete process.env.BLIND_INDEX_KEY;
+    });
+
+    describe('encrypt / decrypt', () => {
+        test('desencripta lo que encripta, con un IV distinto en cada llamada', () => {
+            const first = crypt.encrypt('secreto');
+            const second = crypt.encrypt('secreto');
+            expect(first).not.toBe(second);
+            expect(first.startsWith('k1.')).toBe(true);
+            expect(crypt.decrypt(first)).toBe('secreto');
+            expect(crypt.decrypt(second)).toBe('secreto');
+        });
+
+        test('devuelve tal cual los valores vacíos', () => {
+            expect(crypt.encrypt('')).toBe('');
+            expect(crypt.encrypt(null)).toBeNull();
+            expect(crypt.decrypt(undefined)).toBeUndefined();
+        });
+
+        test('detecta un texto cifrado manipulado', () => {
+            const [keyId, iv, authTag, encrypted] = crypt.encrypt('secreto').split('.');
+            const tampered = `${keyId}.${iv}.${authTag}.${encrypted.startsWith('0') ? '1' : '0'}${encrypted.slice(1)}`;
+            expect(() => crypt.decrypt(tampered)).toThrow('Decryption failed');
+        });
+
+        test('falla si la clave del texto cifrado no está en el llavero', () => {
+            const encrypted = crypt.encrypt('secreto');
+            crypt.configure({ keys: { k2: KEY_2 } });
+            expect(() => crypt.decrypt(encrypted)).toThrow('Decryption failed');
+        });
+
+        test('no confunde textos en claro con puntos con textos cifrados', () => {
+            expect(crypt.isEncrypted('ana.perez@example.com')).toBe(false);
+            expect(crypt.isEncrypted('v1.2.3')).toBe(false);
+            expect(crypt.isEncrypted(crypt.encrypt('secreto'))).toBe(true);
+        });
+
+        test.each([
+            ['un texto en claro', 'secreto'],
+            ['un texto con puntos', 'ana.perez@example.com'],
+            ['un texto cifrado truncado', null],
+        ])('falla en lugar de devolver %s como texto desencriptado', (name, value) => {
+            const text = value ?? crypt.encrypt('secreto').split('.').slice(0, 3).join('.');
+            expect(() => crypt.decrypt(text)).toThrow('Decryption failed');
+        });
+
+        test('desencripta el formato heredado sin id de clave', () => {
+            const legacy = crypt.encrypt('secreto').split('.').slice(1).join('.');
+            expect(crypt.isEncrypted(legacy)).toBe(true);
+            expect(crypt.getKeyId(legacy)).toBeNull();
+            expect(crypt.decrypt(legacy)).toBe('secreto');
+        });
+
+        test('rechaza claves mal formadas', () => {
+            expect(() => crypt.configure({ keys: { k1: 'abc' } })).toThrow('64-character hex');
+            expect(() => crypt.configure({ keys: { 'k.1': KEY_1 } })).toThrow('Invalid encryption key id');
+            expect(() => crypt.configure({ keys: { k1: KEY_1 }, currentKeyId: 'k2' })).toThrow('not in the keyring');
+        });
+    });
+
+    describe('rotación de claves', () => {
+        test('re-encripta con la clave actual los textos cifrados con una anterior', () => {
+            const old = crypt.encrypt('secreto');
+            crypt.configure({ keys: { k1: KEY_1, k2: KEY_2 }, currentKeyId: 'k2' });
+
+            expect(crypt.getKeyId(old)).toBe('k1');
+            expect(crypt.needsReEncryption(old)).toBe(true);
+            const rotated = crypt.reEncrypt(old);
+            expect(crypt.getKeyId(rotated)).toBe('k2');
+            expect(crypt.needsReEncryption(rotated)).toBe(false);
+            expect(crypt.decrypt(rotated)).toBe('secreto');
+            expect(crypt.decrypt(old)).toBe('secreto');
+        });
+
+        test('no re-encripta valores que no son textos cifrados', () => {
+            expect(crypt.needsReEncryption('ana.perez@example.com')).toBe(false);
+            expect(crypt.reEncrypt('ana.perez@example.com')).toBe('ana.perez@example.com');
+        });
+    });
+
+    describe('reEncryptCollection', () => {
+        test('condiciona cada actualización al texto cifrado leído', async () => {
+            const old = crypt.encrypt('token-1');
+            crypt.configure({ keys: { k1: KEY_1, k2: KEY_2 }, currentKeyId: 'k2' });
+            const model = mockModel([{ _id: 1, accessToken: old, webhook: { secret: 'plain.text@example.com' } }]);
+
+            const totals = await crypt.reEncryptCollection(model, ['accessToken', 'webhook.secret']);
+
+            const [[operations]] = model.collection.bulkWrite.mock.calls;
+            expect(operations).toHaveLength(1);
+            const { filter, update } = operations[0].updateOne;
+            expect(filter).toEqual({ _id: 1, accessToken: old });
+            expect(Object.keys(update.$set)).toEqual(['accessToken']);
+            expect(crypt.getKeyId(update.$set.accessToken)).toBe('k2');
+            expect(crypt.decrypt(update.$set.accessToken)).toBe('token-1');
+            expect(totals).toEqual({ scanned: 1, updated: 1, skipped: 0, failed: 0 });
+        });
+
+        test('cuenta como omitidos los documentos modificados entre la lectura y la escritura', async () => {
+            const docs = [{ _id: 1, accessToken: crypt.encrypt('a') }, { _id: 2, accessToken: crypt.encrypt('b') }];
+            crypt.configure({ keys: { k1: KEY_1, k2: KEY_2 }, currentKeyId: 'k2' });
+
+            const totals = await crypt.reEncryptCollection(mockModel(docs, { matchedCount: 1 }), ['accessToken']);
+            expect(totals).toEqual({ scanned: 2, updated: 1, skipped: 1, failed: 0 });
+        });
+
+        test('registra los valores que no se pueden desencriptar y continúa', async () => {
+            const unknownKey = crypt.encrypt('a').replace(/^k1\./, 'k9.');
+            const docs = [{ _id: 1, accessToken: unknownKey }, { _id: 2, accessToken: crypt.encrypt('b') }];
+            crypt.configure({ keys: { k1: KEY_1, k2: KEY_2 }, currentKeyId: 'k2' });
+            const model = mockModel(docs);
+
+            const totals = await crypt.reEncryptCollection(model, ['accessToken']);
+            const [[operations]] = model.collection.bulkWrite.mock.calls;
+            expect(operations.map(op => op.updateOne.filter._id)).toEqual([2]);
+            expect(totals).toEqual({ scanned: 2, updated: 1, skipped: 0, failed: 1 });
+        });
+
+        test('no escribe nada si todos los campos usan ya la clave actual', async () => {
+            const model = mockModel([{ _id: 1, accessToken: crypt.encrypt('a') }]);
+            const totals = await crypt.reEncryptCollection(model, ['accessToken']);
+            expect(model.collection.bulkWrite).not.toHaveBeenCalled();
+            expect(totals).toEqual({ scanned: 1, updated: 0, skipped: 0, failed: 0 });
+        });
+    });
+
+    describe('contraseñas', () => {
+        test('verifica una contraseña hasheada con scrypt', async () => {
+            const stored = await crypt.hashPassword('correct horse', FAST_SCRYPT);
+            expect(stored.startsWith('$scrypt$ln=10,')).toBe(true);
+            await expect(crypt.verifyPassword('correct horse', stored)).resolves.toBe(true);
+            await expect(crypt.verifyPassword('wrong horse', stored)).resolves.toBe(false);
+        });
+
+        test('verifica una contraseña hasheada con bcrypt', async () => {
+            const stored = await crypt.hashPassword('correct horse', { algorithm: 'bcrypt', rounds: 4 });
+            expect(stored).toMatch(/^\$2[aby]\$04\$/);
+            await expect(crypt.verifyPassword('correct horse', stored)).resolves.toBe(true);
+            await expect(crypt.verifyPassword('wrong horse', stored)).resolves.toBe(false);
+            expect(crypt.needsRehash(stored, { algorithm: 'bcrypt', rounds: 4 })).toBe(false);
+            expect(crypt.needsRehash(stored, FAST_SCRYPT)).toBe(true);
+        });
+
+        test('usa una sal distinta en cada hash', async () => {
+            const first = await crypt.hashPassword('correct horse', FAST_SCRYPT);
+            const second = await crypt.hashPassword('correct horse', FAST_SCRYPT);
+            expect(first).not.toBe(second);
+        });
+
+        test('rechaza contraseñas vacías y hashes desconocidos', async () => {
+            await expect(crypt.hashPassword('', FAST_SCRYPT)).rejects.toThrow('non-empty');
+            await expect(crypt.verifyPassword('correct horse', 'not-a-hash')).resolves.toBe(false);
+            await expect(crypt.verifyPassword(undefined, crypt.hash('x'))).resolves.toBe(false);
+        });
+
+        test('actualiza un hash SHA-256 heredado tras una verificación correcta', async () => {
+            const legacy = crypt.hash('correct horse');
+            const onRehash = jest.fn();
+            await expect(crypt.verifyPassword('correct horse', legacy, { ...FAST_SCRYPT, onRehash })).resolves.toBe(true);
+
+            expect(onRehash).toHaveBeenCalledTimes(1);
+            const [newHash] = onRehash.mock.calls[0];
+            expect(crypt.needsRehash(newHash, FAST_SCRYPT)).toBe(false);
+            await expect(crypt.verifyPassword('correct horse', newHash)).resolves.toBe(true);
+        });
+
+        test('no regenera el hash si la contraseña es incorrecta', async () => {
+            const onRehash = jest.fn();
+            await expect(crypt.verifyPassword('wrong horse', crypt.hash('correct horse'), { ...FAST_SCRYPT, onRehash })).resolves.toBe(false);
+            expect(onRehash).not.toHaveBeenCalled();
+        });
+
+        test('needsRehash detecta un coste distinto del configurado', async () => {
+            const stored = await crypt.hashPassword('correct horse', FAST_SCRYPT);
+            expect(crypt.needsRehash(stored, FAST_SCRYPT)).toBe(false);
+            expect(crypt.needsRehash(stored, { algorithm: 'scrypt', cost: 11 })).toBe(true);
+            expect(crypt.needsRehash(crypt.hash('correct horse'), FAST_SCRYPT)).toBe(true);
+        });
+    });
+
+    describe('blindIndex', () => {
+        test('requiere BLIND_INDEX_KEY', () => {
+            expect(() => crypt.blindIndex('ana@example.com')).toThrow('BLIND_INDEX_KEY');
+        });
+
+        test('es determinista y depende de la clave', () => {
+            process.env.BLIND_INDEX_KEY = 'c'.repeat(64);
+            const index = crypt.blindIndex('ana@example.com');
+            expect(crypt.blindIndex('ana@example.com')).toBe(index);
+            expect(crypt.blindIndex('eva@example.com')).not.toBe(index);
+
+            process.env.BLIND_INDEX_KEY = 'd'.repeat(64);
+            expect(crypt.blindIndex('ana@example.com')).not.toBe(index);
+        });
+    });
+});
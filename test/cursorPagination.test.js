@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const BaseService = require('../src/services/BaseService');
+const { mockQuery } = require('./helpers');
+
+const Model = mongoose.model('CursorTestItem', new mongoose.Schema({ name: String, score: Number, created_at: Date }));
+
+const item = (name, score, created_at = new Date('2026-01-01T00:00:00.000Z')) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    score,
+    created_at,
+});
+
+describe('BaseService keyset pagination', () => {
+    const service = new BaseService(Model);
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('cursores', () => {
+        test('el orden termina siempre en _id con la dirección de la última clave', () => {
+            expect(service._parseCursorSort('-score')).toEqual([
+                { field: 'score', direction: -1 },
+                { field: '_id', direction: -1 },
+            ]);
+            expect(service._parseCursorSort()).toEqual([
+                { field: 'created_at', direction: -1 },
+                { field: '_id', direction: -1 },
+            ]);
+        });
+
+        test('el token restaura el tipo de los valores según el esquema', () => {
+            const sortKeys = service._parseCursorSort('created_at');
+            const doc = item('Ana', 10);
+            const values = service._decodeCursor(service._encodeCursor(doc, sortKeys), sortKeys);
+
+            expect(values[0]).toBeInstanceOf(Date);
+            expect(values[0].getTime()).toBe(doc.created_at.getTime());
+            expect(values[1]).toBeInstanceOf(mongoose.Types.ObjectId);
+            expect(values[1].equals(doc._id)).toBe(true);
+        });
+
+        test('conserva los valores nulos o ausentes', () => {
+            const sortKeys = service._parseCursorSort('score');
+            const doc = item('Ana', undefined);
+            expect(service._decodeCursor(service._encodeCursor(doc, sortKeys), sortKeys)[0]).toBeNull();
+        });
+
+        test('rechaza un token de otro orden o mal formado con 400', () => {
+            const token = service._encodeCursor(item('Ana', 10), service._parseCursorSort('score'));
+            expect(() => service._decodeCursor(token, service._parseCursorSort('-score')))
+                .toThrow(expect.objectContaining({ status: 400 }));
+            expect(() => service._decodeCursor('not-a-cursor', service._parseCursorSort('score')))
+                .toThrow(expect.objectContaining({ status: 400 }));
+        });
+    });
+
+    describe('_buildCursorFilter', () => {
+        const id = new mongoose.Types.ObjectId();
+
+        test('ascendente: k1 > v1 OR (k1 = v1 AND _id > id)', () => {
+            const sortKeys = service._parseCursorSort('score');
+            expect(service._buildCursorFilter(sortKeys, [10, id], false)).toEqual({
+                $or: [
+                    { score: { $gt: 10 } },
+                    { score: 10, _id: { $gt: id } },
+                ],
+            });
+        });
+
+        test('descendente: los posteriores a un valor incluyen los nulos', () => {
+            const sortKeys = service._parseCursorSort('-score');
+            expect(service._buildCursorFilter(sortKeys, [10, id], false)).toEqual({
+                $or: [
+                    { $or: [{ score: { $lt: 10 } }, { score: null }] },
+                    { score: 10, _id: { $lt: id } },
+                ],
+            });
+        });
+
+        test('ascendente desde un nulo: solo siguen los nulos con _id mayor y los que tienen valor', () => {
+            const sortKeys = service._parseCursorSort('score');
+            expect(service._buildCursorFilter(sortKeys, [null, id], false)).toEqual({
+                $or: [
+                    { score: { $ne: null } },
+                    { score: null, _id: { $gt: id } },
+                ],
+            });
+        });
+
+        test('descendente desde un nulo: solo siguen los nulos con _id menor', () => {
+            const sortKeys = service._parseCursorSort('-score');
+            expect(service._buildCursorFilter(sortKeys, [null, id], false)).toEqual({
+                $or: [{ score: null, _id: { $lt: id } }],
+            });
+        });
+
+        test('hacia atrás invierte las comparaciones', () => {
+            const sortKeys = service._parseCursorSort('score');
+            expect(service._buildCursorFilter(sortKeys, [10, id], true)).toEqual({
+                $or: [
+                    { $or: [{ score: { $lt: 10 } }, { score: null }] },
+                    { score: 10, _id: { $lt: id } },
+                ],
+            });
+        });
+    });
+
+    describe('selectAll en modo cursor', () => {
+        const run = (docs, query) => {
+            const findQuery = mockQuery(docs);
+            jest.spyOn(Model, 'find').mockReturnValue(findQuery);
+            jest.spyOn(Model, 'countDocuments').mockResolvedValue(7);
+            return { findQuery, result: service.selectAll({ pagination: 'cursor', sort: 'score', ...query }) };
+        };
+
+        test('pide un documento de más para saber si hay página siguiente', async () => {
+            const docs = [item('a', 1), item('b', 2), item('c', 3)];
+            const { findQuery, result } = run(docs, { limit: '2' });
+            const page = await result;
+
+            expect(findQuery.limit).toHaveBeenCalledWith(3);
+            expect(findQuery.sort).toHaveBeenCalledWith({ score: 1, _id: 1 });
+            expect(page.docs).toEqual(docs.slice(0, 2));
+            expect(page).toMatchObject({ limit: 2, hasNextPage: true, hasPrevPage: false, prevCursor: null, totalDocs: 7 });
+            expect(service._decodeCursor(page.nextCursor, service._parseCursorSort('score'))[0]).toBe(2);
+        });
+
+        test('hacia atrás invierte el orden y restaura el orden natural de la página', async () => {
+            const token = service._encodeCursor(item('c', 3), service._parseCursorSort('score'));
+            const docs = [item('b', 2), item('a', 1)];
+            const { findQuery, result } = run(docs, { before: token, limit: '5', count: 'false' });
+            const page = await result;
+
+            expect(findQuery.sort).toHaveBeenCalledWith({ score: -1, _id: -1 });
+            expect(findQuery.and).toHaveBeenCalled();
+            expect(page.docs.map(doc => doc.name)).toEqual(['a', 'b']);
+            expect(page).toMatchObject({ hasNextPage: true, hasPrevPage: false });
+            expect(page.totalDocs).toBeUndefined();
+        });
+
+        test.each([
+            ['-5', 1],
+            ['0', 10],
+            ['abc', 10],
+            ['1000000', 100],
+        ])('acota limit=%s a %i', async (limit, expected) => {
+            const { findQuery, result } = run([], { limit });
+            expect((await result).limit).toBe(expected);
+            expect(findQuery.limit).toHaveBeenCalledWith(expected + 1);
+        });
+    });
+
+    describe('selectAll en modo offset', () => {
+        test('acota limit y page', async () => {
+            const findQuery = mockQuery([]);
+            jest.spyOn(Model, 'find').mockReturnValue(findQuery);
+            jest.spyOn(Model, 'countDocuments').mockResolvedValue(0);
+
+            const page = await service.selectAll({ limit: '1000000', page: '-3' });
+            expect(page).toMatchObject({ limit: 100, page: 1 });
+            expect(findQuery.skip).toHaveBeenCalledWith(0);
+            expect(findQuery.limit).toHaveBeenCalledWith(100);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const crypt = require('../lib/crypt');
+const encryptedFieldsPlugin = require('../src/middlewares/encryptedFieldsPlugin');
+const modelAuditPlugin = require('../src/middlewares/modelAuditPlugin');
+const { getAuditHistoryModel } = require('../src/models/auditHistory');
+const BaseService = require('../src/services/BaseService');
+const { mockQuery } = require('./helpers');
+
+const schema = new mongoose.Schema({
+    name: String,
+    email: { type: String, encrypted: true, blindIndex: { normalize: v => String(v).trim().toLowerCase() } },
+    notes: { type: String, encrypted: true },
+    contact: { phone: { type: String, encrypted: true } },
+    qty: Number,
+});
+schema.plugin(modelAuditPlugin, { history: true });
+schema.plugin(encryptedFieldsPlugin);
+const Model = mongoose.model('EncryptedFieldsTestItem', schema);
+
+describe('encryptedFieldsPlugin', () => {
+    let collection;
+
+    beforeEach(() => {
+        crypt.configure({ keys: { k1: 'a'.repeat(64) } });
+        process.env.BLIND_INDEX_KEY = 'c'.repeat(64);
+        jest.spyOn(getAuditHistoryModel(), 'create').mockResolvedValue({});
+        collection = {
+            insertOne: jest.spyOn(Model.collection, 'insertOne').mockResolvedValue({ acknowledged: true }),
+            updateOne: jest.spyOn(Model.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }),
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.BLIND_INDEX_KEY;
+    });
+
+    test('al guardar escribe los campos encriptados y el índice ciego, y deja el documento en claro', async () => {
+        const doc = await new Model({ name: 'a', email: ' Ana@Example.com ', contact: { phone: '999' } }).save();
+
+        const [stored] = collection.insertOne.mock.calls[0];
+        expect(crypt.isEncrypted(stored.email)).toBe(true);
+        expect(crypt.decrypt(stored.email)).toBe(' Ana@Example.com ');
+        expect(crypt.isEncrypted(stored.contact.phone)).toBe(true);
+        expect(stored.email_bidx).toBe(crypt.blindIndex('ana@example.com'));
+        expect(doc.email).toBe(' Ana@Example.com ');
+        expect(doc.contact.phone).toBe('999');
+    });
+
+    test('desencripta al leer documentos y resultados lean', async () => {
+        const email = crypt.encrypt('ana@example.com');
+        expect(Model.hydrate({ _id: new mongoose.Types.ObjectId(), email }).email).toBe('ana@example.com');
+
+        jest.spyOn(Model.collection, 'findOne').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), email, notes: 'legacy plain text' });
+        const lean = await Model.findOne({}).lean();
+        expect(lean).toMatchObject({ email: 'ana@example.com', notes: 'legacy plain text' });
+    });
+
+    test('encripta las actualizaciones por consulta y mantiene el índice ciego', async () => {
+        jest.spyOn(Model, 'findOne').mockReturnValue(mockQuery(null));
+        await Model.updateOne({ name: 'a' }, { $set: { email: 'Eva@Example.com', notes: 'x' } });
+        await Model.updateOne({ name: 'b' }, { $unset: { email: 1 } });
+
+        const { $set } = collection.updateOne.mock.calls[0][1];
+        expect(crypt.decrypt($set.email)).toBe('Eva@Example.com');
+        expect(crypt.decrypt($set.notes)).toBe('x');
+        expect($set.email_bidx).toBe(crypt.blindIndex('eva@example.com'));
+        expect(collection.updateOne.mock.calls[1][1].$unset).toEqual({ email: 1, email_bidx: '' });
+    });
+
+    test('no encripta dos veces un valor ya cifrado', async () => {
+        const email = crypt.encrypt('ana@example.com');
+        await new Model({ email }).save();
+        expect(collection.insertOne.mock.calls[0][0].email).toBe(email);
+    });
+
+    test('el historial no registra los campos encriptados ni sus índices ciegos', async () => {
+        await new Model({ name: 'a', email: 'ana@example.com', notes: 'x', contact: { phone: '999' }, qty: 1 }).save();
+
+        const [entry] = getAuditHistoryModel().create.mock.calls[0];
+        const paths = entry.changes.map(change => change.path);
+        expect(paths).toEqual(expect.arrayContaining(['name', 'qty']));
+        expect(paths.filter(path => /email|notes|phone/.test(path))).toEqual([]);
+    });
+});
+
+describe('BaseService con campos encriptados', () => {
+    const service = new BaseService(Model);
+
+    beforeEach(() => {
+        crypt.configure({ keys: { k1: 'a'.repeat(64) } });
+        process.env.BLIND_INDEX_KEY = 'c'.repeat(64);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.BLIND_INDEX_KEY;
+    });
+
+    test('filtra por igualdad sobre el índice ciego con la misma normalización', () => {
+        const filter = service._buildFilter({ email: ' ANA@example.com ', 'name[ne]': 'x' });
+        expect(filter).toMatchObject({ email_bidx: crypt.blindIndex('ana@example.com'), name: { $ne: 'x' } });
+        expect(filter).not.toHaveProperty('email');
+
+        expect(service._buildFilter({ 'email[in]': 'a@x.com,b@x.com' }).email_bidx).toEqual({
+            $in: [crypt.blindIndex('a@x.com'), crypt.blindIndex('b@x.com')],
+        });
+    });
+
+    test.each([
+        ['un operador de rango', { 'email[gte]': 'a' }],
+        ['un campo sin índice ciego', { notes: 'x' }],
+    ])('rechaza filtrar con %s', (name, query) => {
+        expect(() => service._buildFilter(query)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test.each([
+        ['agrupar por un campo encriptado', { groupBy: 'email' }],
+        ['agrupar por un objeto con campos encriptados', { groupBy: 'contact' }],
+        ['una métrica sobre un campo encriptado', { metrics: 'max:notes' }],
+        ['un intervalo sobre un campo encriptado', { interval: 'day', dateField: 'contact.phone' }],
+    ])('rechaza %s en las agregaciones sin consultar la base de datos', async (name, query) => {
+        const aggregate = jest.spyOn(Model, 'aggregate');
+        await expect(service.selectAggregate(query)).rejects.toMatchObject({
+            status: 400,
+            message: expect.stringContaining('is encrypted'),
+        });
+        expect(aggregate).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const errors = require('../lib/errors');
+const responseHandleError = require('../src/middlewares/responseHandleError');
+const { sendError, createErrorHandler } = responseHandleError;
+const { mockRequest, mockResponse } = require('./helpers');
+
+const { AppError, ConflictError, NotFoundError, PreconditionFailedError, ValidationError, toAppError } = errors;
+
+describe('errors', () => {
+    test.each([
+        ['ValidationError', 400, 'VALIDATION_ERROR'],
+        ['UnauthorizedError', 401, 'UNAUTHORIZED'],
+        ['ForbiddenError', 403, 'FORBIDDEN'],
+        ['NotFoundError', 404, 'NOT_FOUND'],
+        ['ConflictError', 409, 'CONFLICT'],
+        ['PreconditionFailedError', 412, 'PRECONDITION_FAILED'],
+        ['NotImplementedError', 501, 'NOT_IMPLEMENTED'],
+    ])('%s tiene status %i y code %s', (name, status, code) => {
+        const error = new errors[name]('x');
+        expect(error).toBeInstanceOf(AppError);
+        expect(error).toMatchObject({ name, status, code, message: 'x' });
+    });
+
+    describe('toAppError', () => {
+        const Model = mongoose.model('ErrorsTestItem', new mongoose.Schema({ name: { type: String, required: true }, qty: Number }));
+
+        test('devuelve los AppError tal cual', () => {
+            const error = new NotFoundError('x');
+            expect(toAppError(error)).toBe(error);
+        });
+
+        test('convierte un ValidationError de Mongoose con los campos en details', () => {
+            const error = toAppError(new Model({ qty: 1 }).validateSync());
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.details).toEqual([expect.objectContaining({ path: 'name', kind: 'required' })]);
+        });
+
+        test('convierte un CastError en ValidationError', () => {
+            const error = toAppError(new Model({ name: 'a', qty: 'abc' }).validateSync().errors.qty);
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.message).toBe("Invalid value for 'qty': expected Number.");
+        });
+
+        test('convierte un VersionError en PreconditionFailedError', () => {
+            expect(toAppError(Object.assign(new Error('No matching document'), { name: 'VersionError' }))).toBeInstanceOf(PreconditionFailedError);
+        });
+
+        test('convierte una clave duplicada en ConflictError', () => {
+            const error = toAppError(Object.assign(new Error('E11000'), { code: 11000, keyValue: { sku: 'A1' } }));
+            expect(error).toBeInstanceOf(ConflictError);
+            expect(error).toMatchObject({ message: 'Duplicate value for sku.', details: { sku: 'A1' } });
+        });
+
+        test('conserva el status de otros errores HTTP', () => {
+            const error = toAppError(Object.assign(new Error('request entity too large'), { status: 413, type: 'entity.too.large' }));
+            expect(error).toMatchObject({ status: 413, code: 'REQUEST_ERROR' });
+        });
+
+        test('convierte el resto en un error 500', () => {
+            expect(toAppError(new Error('boom'))).toMatchObject({ status: 500, code: 'INTERNAL_ERROR', message: 'boom' });
+            expect(toAppError('boom')).toMatchObject({ status: 500, message: 'boom' });
+        });
+    });
+});
+
+describe('responseHandleError', () => {
+    afterEach(() => {
+        delete process.env.ENVIRONMENT;
+        delete process.env.ERROR_RESPONSE_FORMAT;
+    });
+
+    test('responde con el formato común y el requestId', () => {
+        const res = mockResponse();
+        sendError(mockRequest({ requestId: 'r1' }), res, new ValidationError('Invalid filter.', [{ path: 'qty' }]));
+        expect(res.statusCode).toBe(400);
+        expect(res.body).toEqual({ status: 'error', code: 'VALIDATION_ERROR', message: 'Invalid filter.', details: [{ path: 'qty' }], requestId: 'r1' });
+    });
+
+    test('no expone el mensaje de un error 500 inesperado', () => {
+        const res = mockResponse();
+        sendError(mockRequest(), res, new Error('connection string with password'));
+        expect(res.statusCode).toBe(500);
+        expect(res.body.message).toBe('Ocurrió un error inesperado en el servidor.');
+        expect(res.body).not.toHaveProperty('stack');
+    });
+
+    test('en desarrollo incluye el mensaje y el stack', () => {
+        process.env.ENVIRONMENT = 'dev';
+        const res = mockResponse();
+        sendError(mockRequest(), res, new Error('boom'));
+        expect(res.body).toMatchObject({ message: 'boom', stack: expect.stringContaining('boom') });
+    });
+
+    test('usa RFC 7807 si se configura', () => {
+        process.env.ERROR_RESPONSE_FORMAT = 'problem';
+        const res = mockResponse();
+        res.type = jest.fn(() => res);
+        sendError(mockRequest({ originalUrl: '/items/1' }), res, new NotFoundError('Item not found'), { problemTypeBaseUrl: 'https://errors.example.com/' });
+
+        expect(res.statusCode).toBe(404);
+        expect(res.type).toHaveBeenCalledWith('application/problem+json');
+        expect(JSON.parse(res.body)).toEqual({
+            type: 'https://errors.example.com/not_found',
+            title: 'Not Found',
+            status: 404,
+            detail: 'Item not found',
+            instance: '/items/1',
+            code: 'NOT_FOUND',
+        });
+    });
+
+    test('usa RFC 7807 si el cliente lo pide en Accept', () => {
+        const res = mockResponse();
+        const req = mockRequest({ headers: { Accept: 'application/problem+json' }, accepts: () => 'application/problem+json' });
+        sendError(req, res, new ConflictError('Duplicate.'));
+        expect(JSON.parse(res.body)).toMatchObject({ type: 'about:blank', status: 409, code: 'CONFLICT' });
+    });
+
+    test('si la respuesta ya se envió delega en el siguiente manejador', () => {
+        const res = mockResponse();
+        res.headersSent = true;
+        const next = jest.fn();
+        const error = new Error('late');
+        createErrorHandler()(error, mockRequest(), res, next);
+        expect(next).toHaveBeenCalledWith(error);
+        expect(res.statusCode).toBeNull();
+    });
+
+    test('es un middleware de errores de Express con la configuración por defecto', () => {
+        const res = mockResponse();
+        responseHandleError(new NotFoundError('x'), mockRequest(), res, jest.fn());
+        expect(res.statusCode).toBe(404);
+    });
+});
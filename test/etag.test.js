@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const BaseService = require('../src/services/BaseService');
+const GlobalService = require('../src/services/GlobalService');
+const BaseController = require('../src/controllers/BaseController');
+const { mockQuery, mockRequest, mockResponse } = require('./helpers');
+
+const Model = mongoose.model('EtagTestItem', new mongoose.Schema({ name: String, updated_by: String }));
+
+const hydrate = (version) => {
+    const doc = Model.hydrate({ _id: new mongoose.Types.ObjectId(), name: 'a', __v: version });
+    jest.spyOn(doc, 'save').mockImplementation(async () => {
+        doc.__v = version + 1;
+        return doc;
+    });
+    return doc;
+};
+
+describe('BaseService optimistic concurrency', () => {
+    const service = new BaseService(Model);
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('el ETag es la versión del documento entre comillas', () => {
+        expect(service.etagFor(hydrate(3))).toBe('"3"');
+        expect(service.etagFor({ __v: 0 })).toBe('"0"');
+        expect(service.etagFor({})).toBeNull();
+        expect(service.etagFor(null)).toBeNull();
+    });
+
+    test('sin versionKey no hay ETag', () => {
+        const unversioned = new BaseService(mongoose.model('EtagUnversionedItem', new mongoose.Schema({ name: String }, { versionKey: false })));
+        expect(unversioned.etagFor({ __v: 1 })).toBeNull();
+    });
+
+    test.each([
+        ['sin If-Match', undefined],
+        ['con el ETag actual', '"3"'],
+        ['con *', '*'],
+        ['con una lista que incluye el actual', '"1", "3"'],
+    ])('acepta la escritura %s', (name, ifMatch) => {
+        expect(() => service._assertVersion(hydrate(3), ifMatch)).not.toThrow();
+    });
+
+    test('rechaza con 412 un If-Match desactualizado', () => {
+        expect(() => service._assertVersion(hydrate(3), '"2"')).toThrow(expect.objectContaining({ status: 412 }));
+    });
+
+    test('update incrementa la versión y devuelve el nuevo ETag', async () => {
+        const doc = hydrate(3);
+        jest.spyOn(Model, 'findOne').mockResolvedValue(doc);
+
+        const result = await service.update(null, 'ana', doc.id, { name: 'b' }, { ifMatch: '"3"' });
+        expect(result).toEqual({ status: 'updated', updated: doc._id, etag: '"4"' });
+        expect(doc.name).toBe('b');
+    });
+
+    test('update con una versión distinta responde 412 sin guardar', async () => {
+        const doc = hydrate(3);
+        jest.spyOn(Model, 'findOne').mockResolvedValue(doc);
+
+        await expect(service.update(null, 'ana', doc.id, { name: 'b' }, { ifMatch: '"2"' })).rejects.toMatchObject({ status: 412 });
+        expect(doc.save).not.toHaveBeenCalled();
+    });
+
+    test('una escritura concurrente detectada al guardar responde 412', async () => {
+        const doc = hydrate(3);
+        const versionError = new Error('No matching document found');
+        versionError.name = 'VersionError';
+        doc.save.mockRejectedValue(versionError);
+        jest.spyOn(Model, 'findOne').mockResolvedValue(doc);
+
+        await expect(service.delete(null, 'ana', doc.id)).rejects.toMatchObject({ status: 412 });
+    });
+});
+
+describe('BaseController ETag headers', () => {
+    const controller = new BaseController(new GlobalService(Model));
+    const user = { companyId: null, username: 'ana' };
+
+    const run = async (handler, req) => {
+        const res = mockResponse();
+        handler(mockRequest({ user, params: { id: '665f1b2c3d4e5f6a7b8c9d0e' }, ...req }), res);
+        await new Promise(setImmediate);
+        return res;
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('get devuelve el ETag del documento', async () => {
+        jest.spyOn(Model, 'findOne').mockReturnValue(mockQuery({ _id: 'x', name: 'a', __v: 7 }));
+        const res = await run(controller.get, {});
+        expect(res.statusCode).toBe(200);
+        expect(res.headers.ETag).toBe('"7"');
+    });
+
+    test('update pasa If-Match al servicio y responde 412 si no coincide', async () => {
+        jest.spyOn(Model, 'findOne').mockResolvedValue(hydrate(3));
+        const res = await run(controller.update, { method: 'PUT', body: { name: 'b' }, headers: { 'If-Match': '"2"' } });
+        expect(res.statusCode).toBe(412);
+    });
+
+    test('update devuelve el nuevo ETag', async () => {
+        jest.spyOn(Model, 'findOne').mockResolvedValue(hydrate(3));
+        const res = await run(controller.update, { method: 'PUT', body: { name: 'b' }, headers: { 'If-Match': '"3"' } });
+        expect(res.statusCode).toBe(200);
+        expect(res.headers.ETag).toBe('"4"');
+    });
+});
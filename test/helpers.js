@@ -0,0 +1,125 @@
+/**
+ * Utilidades compartidas por las pruebas: peticiones y respuestas de Express, consultas de Mongoose
+ * y un cliente de Redis simulados.
+ */
+
+/**
+ * Crea una petición de Express mínima. Las cabeceras se buscan sin distinguir mayúsculas, como en Express.
+ * @param {object} [options]
+ * @param {object} [options.headers={}] - Las cabeceras.
+ * @returns {object} La petición.
+ */
+const mockRequest = ({ headers = {}, ...rest } = {}) => {
+    const normalized = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const header = (name) => normalized[name.toLowerCase()];
+    return {
+        method: 'GET',
+        originalUrl: '/',
+        params: {},
+        query: {},
+        headers: normalized,
+        header,
+        get: header,
+        ...rest,
+    };
+};
+
+/**
+ * Crea una respuesta de Express que registra el código de estado y el cuerpo enviados.
+ * @returns {object} La respuesta, con `statusCode` y `body`.
+ */
+const mockResponse = () => {
+    const res = {
+        statusCode: null,
+        body: undefined,
+        headersSent: false,
+        headers: {},
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            res.headersSent = true;
+            return res;
+        },
+        send(body) {
+            res.body = body;
+            res.headersSent = true;
+            return res;
+        },
+        sendStatus(code) {
+            res.statusCode = code;
+            res.headersSent = true;
+            return res;
+        },
+        type() {
+            return res;
+        },
+        set(name, value) {
+            res.headers[name] = value;
+            return res;
+        },
+    };
+    return res;
+};
+
+/**
+ * Crea una consulta de Mongoose encadenable que resuelve con el resultado indicado.
+ * Los métodos encadenables son `jest.fn`, de modo que se pueden comprobar sus argumentos.
+ * @param {*} result - El valor con el que resuelve `exec()` (o el `await` de la consulta).
+ * @returns {object} La consulta.
+ */
+const mockQuery = (result) => {
+    const query = {};
+    ['select', 'sort', 'skip', 'limit', 'lean', 'populate', 'and', 'setOptions', 'session'].forEach((method) => {
+        query[method] = jest.fn(() => query);
+    });
+    query.exec = jest.fn(async () => result);
+    query.then = (resolve, reject) => query.exec().then(resolve, reject);
+    return query;
+};
+
+/**
+ * Crea un cliente de Redis en memoria con los comandos de cadenas que usan los servicios
+ * (`get`, `set`, `mget`, `incr`, `del` y `multi`). Los comandos son `jest.fn`; `store` guarda los valores.
+ * @returns {object} El cliente, con `status: 'ready'`.
+ */
+const mockRedis = () => {
+    const store = new Map();
+    const client = {
+        status: 'ready',
+        store,
+        get: jest.fn(async key => (store.has(key) ? store.get(key) : null)),
+        mget: jest.fn(async (...keys) => keys.map(key => (store.has(key) ? store.get(key) : null))),
+        set: jest.fn(async (key, value) => {
+            store.set(key, String(value));
+            return 'OK';
+        }),
+        incr: jest.fn(async (key) => {
+            const value = parseInt(store.get(key) || '0', 10) + 1;
+            store.set(key, String(value));
+            return value;
+        }),
+        del: jest.fn(async (...keys) => keys.filter(key => store.delete(key)).length),
+        multi: jest.fn(() => {
+            const commands = [];
+            const pipeline = {
+                incr: (key) => {
+                    commands.push(() => client.incr(key));
+                    return pipeline;
+                },
+                exec: async () => Promise.all(commands.map(async command => [null, await command()])),
+            };
+            return pipeline;
+        }),
+    };
+    return client;
+};
+
+module.exports = {
+    mockQuery,
+    mockRedis,
+    mockRequest,
+    mockResponse,
+};
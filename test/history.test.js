@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const modelAuditPlugin = require('../src/middlewares/modelAuditPlugin');
+const { getAuditHistoryModel } = require('../src/models/auditHistory');
+const { mockQuery } = require('./helpers');
+
+const schema = new mongoose.Schema({
+    company: mongoose.Schema.Types.ObjectId,
+    name: String,
+    qty: Number,
+    notes: String,
+    password: String,
+    address: { city: String, zip: String },
+});
+schema.plugin(modelAuditPlugin, { history: { exclude: ['notes'] } });
+const Model = mongoose.model('HistoryTestItem', schema);
+
+const company = new mongoose.Types.ObjectId();
+
+const hydrate = (fields = {}) => Model.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    company,
+    name: 'a',
+    qty: 1,
+    created_by: 'ana',
+    updated_by: 'ana',
+    ...fields,
+});
+
+describe('modelAuditPlugin history', () => {
+    let create;
+
+    beforeEach(() => {
+        create = jest.spyOn(getAuditHistoryModel(), 'create').mockResolvedValue({});
+        jest.spyOn(Model.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+        jest.spyOn(Model.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const recorded = () => create.mock.calls[0][0];
+
+    describe('save', () => {
+        test('al crear registra todos los campos salvo los de auditoría y los excluidos', async () => {
+            const findOne = jest.spyOn(Model, 'findOne');
+            await new Model({ name: 'a', qty: 2, notes: 'x', password: 'secret', created_by: 'ana', updated_by: 'ana' }).save();
+
+            expect(findOne).not.toHaveBeenCalled();
+            expect(recorded()).toMatchObject({ model: 'HistoryTestItem', operation: 'create', user: 'ana' });
+            expect(recorded().changes.map(change => change.path).sort()).toEqual(['active', 'deleted_at', 'deleted_by', 'name', 'qty']);
+        });
+
+        test('al modificar lee solo las rutas modificadas y registra su diferencia', async () => {
+            const doc = hydrate({ address: { city: 'Lima', zip: '1' } });
+            const findOne = jest.spyOn(Model, 'findOne').mockReturnValue(mockQuery({ _id: doc._id, company, qty: 1, address: { city: 'Lima', zip: '1' } }));
+
+            doc.set({ qty: 5, 'address.city': 'Cusco', notes: 'x', updated_by: 'eva' });
+            await doc.save();
+
+            expect(findOne.mock.calls[0]).toEqual([{ _id: doc._id }, { company: 1, qty: 1, 'address.city': 1 }]);
+            expect(recorded()).toMatchObject({ document: doc._id, company, user: 'eva', operation: 'update' });
+            expect(recorded().changes).toEqual([
+                { path: 'qty', before: 1, after: 5 },
+                { path: 'address.city', before: 'Lima', after: 'Cusco' },
+            ]);
+        });
+
+        test('sin cambios en rutas registradas no lee ni registra nada', async () => {
+            const doc = hydrate();
+            const findOne = jest.spyOn(Model, 'findOne');
+
+            doc.set({ notes: 'x', password: 'secret', updated_by: 'eva' });
+            await doc.save();
+
+            expect(findOne).not.toHaveBeenCalled();
+            expect(create).not.toHaveBeenCalled();
+        });
+
+        test('sin documento de referencia no registra una diferencia falsa', async () => {
+            const doc = hydrate();
+            jest.spyOn(Model, 'findOne').mockReturnValue(mockQuery(null));
+
+            doc.qty = 5;
+            await doc.save();
+
+            expect(create).not.toHaveBeenCalled();
+        });
+
+        test('leer documentos no guarda copias', () => {
+            expect(hydrate().$locals).toEqual({});
+        });
+    });
+
+    describe('actualizaciones por consulta', () => {
+        test('calcula el resultado de un $set sin volver a leer', async () => {
+            const id = new mongoose.Types.ObjectId();
+            const findOne = jest.spyOn(Model, 'findOne').mockReturnValue(mockQuery({ _id: id, company, name: 'a', qty: 1 }));
+
+            await Model.updateOne({ _id: id }, { $set: { qty: '7', notes: 'x' }, updated_by: 'eva' });
+
+            expect(findOne).toHaveBeenCalledTimes(1);
+            expect(findOne.mock.calls[0][1]).toEqual({ company: 1, qty: 1 });
+            expect(recorded()).toMatchObject({ document: id, company, user: 'eva', changes: [{ path: 'qty', before: 1, after: 7 }] });
+        });
+
+        test('con otros operadores lee el resultado proyectado', async () => {
+            const id = new mongoose.Types.ObjectId();
+            const findOne = jest.spyOn(Model, 'findOne')
+                .mockReturnValueOnce(mockQuery({ _id: id, company, qty: 1 }))
+                .mockReturnValueOnce(mockQuery({ _id: id, company, qty: 3 }));
+
+            await Model.updateOne({ _id: id }, { $inc: { qty: 2 } });
+
+            expect(findOne).toHaveBeenCalledTimes(2);
+            expect(findOne.mock.calls[1]).toEqual([{ _id: id }, { company: 1, qty: 1 }]);
+            expect(recorded().changes).toEqual([{ path: 'qty', before: 1, after: 3 }]);
+        });
+
+        test('si solo cambian rutas no registradas no lee el documento', async () => {
+            const findOne = jest.spyOn(Model, 'findOne');
+            await Model.updateOne({ name: 'a' }, { $set: { notes: 'x', password: 'secret' } });
+
+            expect(findOne).not.toHaveBeenCalled();
+            expect(create).not.toHaveBeenCalled();
+        });
+
+        test('si ningún documento coincide no registra nada', async () => {
+            jest.spyOn(Model, 'findOne').mockReturnValue(mockQuery(null));
+            await Model.updateOne({ name: 'z' }, { $set: { qty: 2 } });
+            expect(create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getHistory', () => {
+        test('limita el tamaño de página y filtra por documento', async () => {
+            const AuditHistory = getAuditHistoryModel();
+            const query = mockQuery([]);
+            const find = jest.spyOn(AuditHistory, 'find').mockReturnValue(query);
+            jest.spyOn(AuditHistory, 'countDocuments').mockResolvedValue(250);
+
+            const result = await Model.getHistory('x', { limit: '5000', page: '2', filter: { company } });
+
+            expect(find).toHaveBeenCalledWith({ company, model: 'HistoryTestItem', document: 'x' });
+            expect(query.limit).toHaveBeenCalledWith(100);
+            expect(query.skip).toHaveBeenCalledWith(100);
+            expect(result).toMatchObject({ totalDocs: 250, limit: 100, page: 2, totalPages: 3, hasNextPage: true });
+        });
+    });
+});
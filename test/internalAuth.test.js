@@ -0,0 +1,239 @@
+const { Readable } = require('stream');
+const { AxiosHeaders } = require('axios');
+const internalAuth = require('../lib/internalAuth');
+const redisService = require('../lib/redisService');
+const requestContext = require('../lib/requestContext');
+const axiosClient = require('../lib/axiosClient');
+const authClient = require('../src/middlewares/authClient');
+const { headers } = require('../constants');
+const { mockRequest, mockResponse } = require('./helpers');
+
+const SECRET = 'test-internal-secret';
+
+const userHeaders = {
+    [headers.COMPANY_ID]: 'company-1',
+    [headers.USER_ID]: 'user-1',
+    [headers.USER_NAME]: 'ana',
+    [headers.USER_ROLES]: '["user"]',
+};
+
+/**
+ * Firma una petición como lo haría `axiosClient` y devuelve la petición de Express que recibiría el destino.
+ */
+const signedRequest = ({ method = 'POST', path = '/orders?page=2', body = '{"total":10}', extraHeaders = userHeaders } = {}) => {
+    const signature = internalAuth.signRequest({
+        method,
+        path,
+        body,
+        getHeader: name => extraHeaders[name],
+    });
+    return mockRequest({
+        method,
+        originalUrl: path,
+        rawBody: Buffer.from(body),
+        headers: { ...extraHeaders, ...signature },
+    });
+};
+
+const runInterceptor = (config) => axiosClient.interceptors.request.handlers[0].fulfilled({
+    method: 'post',
+    url: '/orders',
+    data: { total: 10 },
+    headers: new AxiosHeaders(),
+    ...config,
+});
+
+describe('internalAuth', () => {
+    let seenNonces;
+
+    beforeEach(() => {
+        process.env.INTERNAL_SIGNING_SECRET = SECRET;
+        delete process.env.INTERNAL_SIGNING_DISABLED;
+        seenNonces = new Set();
+        redisService.client = {
+            status: 'ready',
+            set: jest.fn(async (key) => {
+                if (seenNonces.has(key)) return null;
+                seenNonces.add(key);
+                return 'OK';
+            }),
+        };
+    });
+
+    afterEach(() => {
+        redisService.client = null;
+        delete process.env.INTERNAL_SIGNING_SECRET;
+    });
+
+    describe('verifyRequest', () => {
+        test('acepta una petición firmada', async () => {
+            await expect(internalAuth.verifyRequest(signedRequest())).resolves.toEqual({ valid: true });
+        });
+
+        test('rechaza una petición sin cabeceras de firma', async () => {
+            const result = await internalAuth.verifyRequest(mockRequest({ headers: userHeaders }));
+            expect(result.valid).toBe(false);
+            expect(result.error.status).toBe(401);
+        });
+
+        test('rechaza una cabecera de usuario alterada tras la firma', async () => {
+            const req = signedRequest();
+            req.headers[headers.USER_ROLES.toLowerCase()] = '["system"]';
+            const result = await internalAuth.verifyRequest(req);
+            expect(result.valid).toBe(false);
+            expect(result.error.status).toBe(401);
+        });
+
+        test('rechaza un cuerpo alterado tras la firma', async () => {
+            const req = signedRequest();
+            req.rawBody = Buffer.from('{"total":1000}');
+            const result = await internalAuth.verifyRequest(req);
+            expect(result.valid).toBe(false);
+        });
+
+        test('rechaza una firma calculada con otro secreto', async () => {
+            const req = signedRequest();
+            process.env.INTERNAL_SIGNING_SECRET = 'other-secret';
+            const result = await internalAuth.verifyRequest(req);
+            expect(result.valid).toBe(false);
+            expect(result.error.status).toBe(401);
+        });
+
+        test('rechaza un timestamp fuera de la ventana permitida', async () => {
+            const now = Date.now();
+            const dateNow = jest.spyOn(Date, 'now').mockReturnValue(now - internalAuth.MAX_CLOCK_SKEW_MS - 1000);
+            const req = signedRequest();
+            dateNow.mockRestore();
+            const result = await internalAuth.verifyRequest(req);
+            expect(result.valid).toBe(false);
+            expect(result.error.message).toMatch(/ventana/);
+        });
+
+        test('rechaza la repetición de una petición (nonce ya usado)', async () => {
+            const req = signedRequest();
+            await expect(internalAuth.verifyRequest(req)).resolves.toEqual({ valid: true });
+            const replay = await internalAuth.verifyRequest(req);
+            expect(replay.valid).toBe(false);
+            expect(replay.error.message).toMatch(/repetida/);
+        });
+
+        test('responde 503 si Redis no está disponible para registrar el nonce', async () => {
+            redisService.client = null;
+            const result = await internalAuth.verifyRequest(signedRequest());
+            expect(result.valid).toBe(false);
+            expect(result.error.status).toBe(503);
+        });
+
+        test.each([
+            ['sin captureRawBody', { body: {} }],
+            ['con captureRawBody', { rawBody: Buffer.from('{}') }],
+            ['con un array vacío', { body: [] }],
+        ])('acepta un cuerpo vacío firmado por axiosClient %s', async (name, received) => {
+            const config = await runInterceptor({ data: {} });
+            expect(config.data).toBe('{}');
+
+            const req = mockRequest({ method: 'POST', originalUrl: '/orders', headers: { ...config.headers.toJSON() }, ...received });
+            await expect(internalAuth.verifyRequest(req)).resolves.toEqual({ valid: true });
+        });
+
+        test('un cuerpo vacío se firma igual que la ausencia de cuerpo', () => {
+            const empty = internalAuth.hashBody('');
+            expect(internalAuth.hashBody(undefined)).toBe(empty);
+            expect(internalAuth.hashBody('{}')).toBe(empty);
+            expect(internalAuth.hashBody(Buffer.from(' [ ] '))).toBe(empty);
+            expect(internalAuth.hashBody('{"a":1}')).not.toBe(empty);
+        });
+
+        test('sin secreto configurado no considera válida ninguna petición', async () => {
+            const req = signedRequest();
+            delete process.env.INTERNAL_SIGNING_SECRET;
+            const result = await internalAuth.verifyRequest(req);
+            expect(result.valid).toBe(false);
+        });
+    });
+
+    describe('authClient', () => {
+        test('con una firma válida fija req.token y el contexto autenticado', async () => {
+            const req = signedRequest();
+            const res = mockResponse();
+            let context;
+            await requestContext.run({ requestId: 'r-1' }, () => authClient(req, res, () => {
+                context = requestContext.getContext();
+            }));
+
+            expect(req.token).toEqual({ companyId: 'company-1', userId: 'user-1', username: 'ana', roles: ['user'] });
+            expect(context).toMatchObject({ requestId: 'r-1', username: 'ana', roles: ['user'], authenticated: true });
+            expect(res.statusCode).toBeNull();
+        });
+
+        test('rechaza cabeceras de usuario sin firma', async () => {
+            const req = mockRequest({ headers: userHeaders });
+            const res = mockResponse();
+            const next = jest.fn();
+            await authClient(req, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.statusCode).toBe(401);
+            expect(req.token).toBeUndefined();
+        });
+
+        test('sin secreto configurado rechaza la petición en lugar de aceptarla sin verificar', async () => {
+            delete process.env.INTERNAL_SIGNING_SECRET;
+            const req = mockRequest({ headers: userHeaders });
+            const res = mockResponse();
+            const next = jest.fn();
+            await authClient(req, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.statusCode).toBe(500);
+        });
+
+        test('acepta peticiones sin firma solo si la verificación se desactiva explícitamente', async () => {
+            delete process.env.INTERNAL_SIGNING_SECRET;
+            process.env.INTERNAL_SIGNING_DISABLED = 'true';
+            const req = mockRequest({ headers: userHeaders });
+            const next = jest.fn();
+            await authClient(req, mockResponse(), next);
+
+            expect(next).toHaveBeenCalled();
+            expect(req.token.username).toBe('ana');
+        });
+
+        test('con un secreto configurado ignora INTERNAL_SIGNING_DISABLED', async () => {
+            process.env.INTERNAL_SIGNING_DISABLED = 'true';
+            const res = mockResponse();
+            const next = jest.fn();
+            await authClient(mockRequest({ headers: userHeaders }), res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.statusCode).toBe(401);
+        });
+    });
+
+    describe('axiosClient', () => {
+        test('no propaga identidad que no ha sido verificada', () => {
+            const config = requestContext.run({ requestId: 'r-1', username: 'spoofed', roles: ['system'] }, () => runInterceptor());
+            expect(config.headers.get(headers.REQUEST_ID)).toBe('r-1');
+            expect(config.headers.has(headers.USER_NAME)).toBe(false);
+            expect(config.headers.has(headers.USER_ROLES)).toBe(false);
+        });
+
+        test.each([
+            ['FormData', () => new FormData()],
+            ['un stream', () => Readable.from(['a'])],
+            ['una instancia de clase', () => new (class Payload {})()],
+        ])('rechaza un cuerpo que no se puede firmar (%s) en lugar de enviarlo sin firma', (name, data) => {
+            expect(() => runInterceptor({ data: data() })).toThrow(/No se puede firmar/);
+        });
+
+        test('propaga y firma la identidad verificada, que el destino acepta', async () => {
+            const context = { requestId: 'r-1', companyId: 'company-1', userId: 'user-1', username: 'ana', roles: ['user'], authenticated: true };
+            const config = requestContext.run(context, () => runInterceptor());
+            const sentHeaders = { ...config.headers.toJSON() };
+            expect(sentHeaders[headers.USER_NAME]).toBe('ana');
+
+            const req = mockRequest({ method: 'POST', originalUrl: '/orders', rawBody: Buffer.from(config.data), headers: sentHeaders });
+            await expect(internalAuth.verifyRequest(req)).resolves.toEqual({ valid: true });
+        });
+    });
+});
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { applyJsonPatch, applyMergePatch, parsePointer } = require('../lib/jsonPatch');
+const BaseService = require('../src/services/BaseService');
+
+describe('jsonPatch', () => {
+    describe('applyMergePatch', () => {
+        test('combina objetos anidados y elimina los campos con null', () => {
+            const target = { name: 'Ana', address: { city: 'Lima', zip: '15001' }, notes: 'x' };
+            const result = applyMergePatch(target, { address: { city: 'Cusco' }, notes: null });
+            expect(result).toEqual({ name: 'Ana', address: { city: 'Cusco', zip: '15001' } });
+        });
+
+        test('reemplaza los arrays completos', () => {
+            expect(applyMergePatch({ tags: ['a', 'b'] }, { tags: ['c'] })).toEqual({ tags: ['c'] });
+        });
+
+        test('no modifica el documento original', () => {
+            const target = { address: { city: 'Lima' } };
+            applyMergePatch(target, { address: { city: 'Cusco' } });
+            expect(target).toEqual({ address: { city: 'Lima' } });
+        });
+
+        test('no contamina el prototipo de Object', () => {
+            applyMergePatch({}, JSON.parse('{"__proto__":{"polluted":true}}'));
+            expect({}.polluted).toBeUndefined();
+        });
+    });
+
+    describe('parsePointer', () => {
+        test('decodifica ~0 y ~1', () => {
+            expect(parsePointer('/a~1b/c~0d')).toEqual(['a/b', 'c~d']);
+            expect(parsePointer('')).toEqual([]);
+        });
+
+        test('rechaza punteros que no empiezan por /', () => {
+            expect(() => parsePointer('name')).toThrow(expect.objectContaining({ status: 400 }));
+        });
+    });
+
+    describe('applyJsonPatch', () => {
+        const target = { name: 'Ana', tags: ['a', 'b'], address: { city: 'Lima' } };
+
+        test('aplica add, remove, replace y move en orden', () => {
+            const result = applyJsonPatch(target, [
+                { op: 'add', path: '/tags/1', value: 'x' },
+                { op: 'add', path: '/tags/-', value: 'z' },
+                { op: 'remove', path: '/tags/0' },
+                { op: 'replace', path: '/address/city', value: 'Cusco' },
+                { op: 'move', from: '/name', path: '/fullName' },
+            ]);
+            expect(result).toEqual({ fullName: 'Ana', tags: ['x', 'b', 'z'], address: { city: 'Cusco' } });
+            expect(target).toEqual({ name: 'Ana', tags: ['a', 'b'], address: { city: 'Lima' } });
+        });
+
+        test('un test fallido lanza un error 409', () => {
+            expect(() => applyJsonPatch(target, [
+                { op: 'test', path: '/name', value: 'Eva' },
+                { op: 'replace', path: '/name', value: 'Ana María' },
+            ])).toThrow(expect.objectContaining({ status: 409 }));
+        });
+
+        test('un test correcto permite continuar', () => {
+            const result = applyJsonPatch(target, [
+                { op: 'test', path: '/address', value: { city: 'Lima' } },
+                { op: 'replace', path: '/name', value: 'Eva' },
+            ]);
+            expect(result.name).toBe('Eva');
+        });
+
+        test.each([
+            ['una operación no soportada', [{ op: 'copy', from: '/name', path: '/alias' }]],
+            ['replace sin value', [{ op: 'replace', path: '/name' }]],
+            ['replace de una ruta inexistente', [{ op: 'replace', path: '/missing', value: 1 }]],
+            ['remove de una ruta inexistente', [{ op: 'remove', path: '/address/zip' }]],
+            ['un índice fuera de rango', [{ op: 'add', path: '/tags/5', value: 'x' }]],
+            ['un índice no numérico', [{ op: 'remove', path: '/tags/first' }]],
+            ['mover un campo dentro de sí mismo', [{ op: 'move', from: '/address', path: '/address/old' }]],
+            ['eliminar la raíz', [{ op: 'remove', path: '' }]],
+            ['un documento que no es un array', { op: 'add', path: '/x', value: 1 }],
+        ])('rechaza %s con un error 400', (name, operations) => {
+            expect(() => applyJsonPatch(target, operations)).toThrow(expect.objectContaining({ status: 400 }));
+        });
+
+        test('es atómico: si una operación falla no se modifica el original', () => {
+            const original = { tags: ['a'] };
+            expect(() => applyJsonPatch(original, [
+                { op: 'add', path: '/tags/-', value: 'b' },
+                { op: 'remove', path: '/missing' },
+            ])).toThrow(expect.objectContaining({ status: 400 }));
+            expect(original).toEqual({ tags: ['a'] });
+        });
+
+        test('no permite escribir a través de __proto__', () => {
+            expect(() => applyJsonPatch({}, [{ op: 'add', path: '/__proto__/polluted', value: true }])).toThrow(expect.objectContaining({ status: 400 }));
+            expect({}.polluted).toBeUndefined();
+        });
+    });
+});
+
+describe('BaseService patch protected paths', () => {
+    const Model = mongoose.model('JsonPatchTestItem', new mongoose.Schema({ name: String }));
+    const service = new BaseService(Model);
+    const current = {
+        _id: '665f1b2c3d4e5f6a7b8c9d0e',
+        name: 'Ana',
+        company: 'company-1',
+        active: true,
+        created_at: '2026-01-01T00:00:00.000Z',
+        created_by: 'ana',
+        updated_at: '2026-01-02T00:00:00.000Z',
+        updated_by: 'ana',
+        deleted_at: null,
+        deleted_by: null,
+    };
+
+    test('permite modificar los campos no protegidos', () => {
+        expect(() => service._assertProtectedPaths(current, applyMergePatch(current, { name: 'Eva' }))).not.toThrow();
+    });
+
+    test.each([
+        ['active', { active: false }],
+        ['deleted_at', { deleted_at: '2026-02-01T00:00:00.000Z' }],
+        ['deleted_by', { deleted_by: 'mallory' }],
+        ['created_at', { created_at: '2020-01-01T00:00:00.000Z' }],
+        ['updated_by', { updated_by: 'mallory' }],
+        ['company', { company: 'company-2' }],
+    ])('rechaza un parche que modifica %s', (path, patch) => {
+        expect(() => service._assertProtectedPaths(current, applyMergePatch(current, patch)))
+            .toThrow(`Field '${path}' cannot be modified.`);
+    });
+
+    test('rechaza un JSON Patch que restaura un documento eliminado', () => {
+        const deleted = { ...current, active: false, deleted_at: '2026-02-01T00:00:00.000Z', deleted_by: 'ana' };
+        const patched = applyJsonPatch(deleted, [{ op: 'replace', path: '/active', value: true }]);
+        expect(() => service._assertProtectedPaths(deleted, patched)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const requestContext = require('../lib/requestContext');
+const metaWebhookAuth = require('../src/middlewares/metaWebhookAuth');
+const { headers, WEBHOOK_SOURCE_TYPE } = require('../constants');
+const { mockRequest, mockResponse } = require('./helpers');
+
+const APP_SECRET = 'whatsapp-app-secret';
+const VERIFY_TOKEN = 'whatsapp-verify-token';
+const BODY = Buffer.from('{"object":"whatsapp_business_account","entry":[]}');
+
+const sign = (body, secret = APP_SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const webhookRequest = ({ signature = sign(BODY), rawBody = BODY, channel = 'whatsapp' } = {}) => mockRequest({
+    method: 'POST',
+    originalUrl: '/webhook',
+    rawBody,
+    headers: {
+        [headers.SERVICE_CHANNEL]: channel,
+        ...(signature ? { 'X-Hub-Signature-256': signature } : {}),
+    },
+});
+
+describe('metaWebhookAuth', () => {
+    const verifyWebhook = metaWebhookAuth({
+        appSecrets: { whatsapp: APP_SECRET },
+        verifyTokens: { whatsapp: VERIFY_TOKEN },
+    });
+
+    describe('handshake de suscripción', () => {
+        const handshake = (token) => mockRequest({
+            method: 'GET',
+            headers: { [headers.SERVICE_CHANNEL]: 'whatsapp' },
+            query: { 'hub.mode': 'subscribe', 'hub.verify_token': token, 'hub.challenge': '12345' },
+        });
+
+        test('responde el challenge si el token coincide', async () => {
+            const res = mockResponse();
+            await verifyWebhook(handshake(VERIFY_TOKEN), res, jest.fn());
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toBe('12345');
+        });
+
+        test('responde 403 si el token no coincide', async () => {
+            const res = mockResponse();
+            await verifyWebhook(handshake('wrong-token'), res, jest.fn());
+            expect(res.statusCode).toBe(403);
+        });
+    });
+
+    describe('firma de los eventos', () => {
+        test('acepta un cuerpo firmado con el App Secret del canal', async () => {
+            const req = webhookRequest();
+            const next = jest.fn();
+            await verifyWebhook(req, mockResponse(), next);
+            expect(next).toHaveBeenCalled();
+            expect(req.webhook).toEqual({ channel: 'whatsapp' });
+        });
+
+        test('rechaza una firma inválida', async () => {
+            const res = mockResponse();
+            const next = jest.fn();
+            await verifyWebhook(webhookRequest({ signature: sign(BODY, 'other-secret') }), res, next);
+            expect(next).not.toHaveBeenCalled();
+            expect(res.statusCode).toBe(401);
+        });
+
+        test('rechaza un cuerpo alterado', async () => {
+            const res = mockResponse();
+            await verifyWebhook(webhookRequest({ rawBody: Buffer.from('{"object":"tampered"}') }), res, jest.fn());
+            expect(res.statusCode).toBe(401);
+        });
+
+        test('rechaza un evento sin firma', async () => {
+            const res = mockResponse();
+            await verifyWebhook(webhookRequest({ signature: null }), res, jest.fn());
+            expect(res.statusCode).toBe(401);
+        });
+
+        test('rechaza un canal no soportado', async () => {
+            const res = mockResponse();
+            await verifyWebhook(webhookRequest({ channel: 'telegram' }), res, jest.fn());
+            expect(res.statusCode).toBe(400);
+        });
+
+        test('falla de forma cerrada si el cuerpo original no se capturó', async () => {
+            const res = mockResponse();
+            const next = jest.fn();
+            const req = webhookRequest();
+            delete req.rawBody;
+            await verifyWebhook(req, res, next);
+            expect(next).not.toHaveBeenCalled();
+            expect(res.statusCode).toBe(500);
+        });
+
+        test('falla de forma cerrada si el canal no tiene App Secret', async () => {
+            const res = mockResponse();
+            const next = jest.fn();
+            await metaWebhookAuth()(webhookRequest(), res, next);
+            expect(next).not.toHaveBeenCalled();
+            expect(res.statusCode).toBe(500);
+        });
+    });
+
+    describe('contexto de la petición', () => {
+        test('descarta la identidad previa del contexto', async () => {
+            const spoofed = { requestId: 'r-1', companyId: 'c-1', userId: 'u-1', username: 'mallory', roles: ['system'], authenticated: true };
+            let context;
+            await requestContext.run(spoofed, () => verifyWebhook(webhookRequest(), mockResponse(), () => {
+                context = requestContext.getContext();
+            }));
+
+            expect(context).toMatchObject({
+                requestId: 'r-1',
+                sourceType: WEBHOOK_SOURCE_TYPE,
+                channel: 'whatsapp',
+                roles: [],
+                authenticated: false,
+            });
+            expect(context.companyId).toBeUndefined();
+            expect(context.userId).toBeUndefined();
+            expect(context.username).toBeUndefined();
+        });
+
+        test('crea el contexto si no existe', async () => {
+            let context;
+            await verifyWebhook(webhookRequest(), mockResponse(), () => {
+                context = requestContext.getContext();
+            });
+            expect(context).toMatchObject({ sourceType: WEBHOOK_SOURCE_TYPE, channel: 'whatsapp' });
+        });
+    });
+});
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const readCache = require('../lib/readCache');
+const redisService = require('../lib/redisService');
+const BaseService = require('../src/services/BaseService');
+const { mockQuery, mockRedis } = require('./helpers');
+
+const schema = new mongoose.Schema({ company: mongoose.Schema.Types.ObjectId, name: String, due: Date }, { cache: { ttl: 30 } });
+const Model = mongoose.model('ReadCacheTestItem', schema);
+const Uncached = mongoose.model('ReadCacheUncachedItem', new mongoose.Schema({ name: String }));
+
+const companyA = new mongoose.Types.ObjectId();
+const companyB = new mongoose.Types.ObjectId();
+
+describe('readCache', () => {
+    let client;
+
+    beforeEach(() => {
+        client = mockRedis();
+        redisService.client = client;
+        readCache.resetStats();
+    });
+
+    afterEach(() => {
+        redisService.client = null;
+        delete process.env.READ_CACHE_ENABLED;
+        jest.restoreAllMocks();
+    });
+
+    const read = (loader, { scope = String(companyA), query = { name: 'a' } } = {}) => (
+        readCache.wrap(Model, { method: 'selectAll', scope, query }, loader)
+    );
+
+    test('guarda el resultado con el TTL del modelo y lo sirve en la siguiente lectura', async () => {
+        const loader = jest.fn(async () => ({ docs: [{ name: 'a' }], totalDocs: 1 }));
+
+        await read(loader);
+        const second = await read(loader);
+
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(second).toEqual({ docs: [{ name: 'a' }], totalDocs: 1 });
+        expect(client.set).toHaveBeenCalledWith(expect.stringMatching(/^read_cache:ReadCacheTestItem:/), expect.any(String), 'EX', 30);
+        expect(readCache.getStats()).toMatchObject({ hits: 1, misses: 1, errors: 0, hitRatio: 0.5 });
+    });
+
+    test('un acierto devuelve los mismos tipos que la base de datos', async () => {
+        const doc = { _id: new mongoose.Types.ObjectId(), company: companyA, due: new Date('2024-05-01T10:00:00Z'), tags: [new mongoose.Types.ObjectId()] };
+        await read(async () => doc);
+
+        const cached = await read(jest.fn());
+        expect(cached._id).toBeInstanceOf(mongoose.Types.ObjectId);
+        expect(cached.due).toBeInstanceOf(Date);
+        expect(cached.tags[0]).toBeInstanceOf(mongoose.Types.ObjectId);
+        expect(cached).toEqual(doc);
+    });
+
+    test('cachea también los resultados nulos', async () => {
+        const loader = jest.fn(async () => null);
+        await read(loader);
+        await expect(read(loader)).resolves.toBeNull();
+        expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    test('la clave no depende del orden de las propiedades de la consulta', async () => {
+        const loader = jest.fn(async () => []);
+        await read(loader, { query: { a: 1, b: { c: 2, d: 3 } } });
+        await read(loader, { query: { b: { d: 3, c: 2 }, a: 1 } });
+        expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    test('invalidar una compañía no afecta a las demás', async () => {
+        const loader = jest.fn(async () => []);
+        await read(loader, { scope: String(companyA) });
+        await read(loader, { scope: String(companyB) });
+
+        await readCache.invalidate(Model, [String(companyA)]);
+        await read(loader, { scope: String(companyA) });
+        await read(loader, { scope: String(companyB) });
+
+        expect(loader).toHaveBeenCalledTimes(3);
+    });
+
+    test('invalidar una compañía invalida también las consultas sin compañía', async () => {
+        const loader = jest.fn(async () => []);
+        await read(loader, { scope: null });
+        await readCache.invalidate(Model, [String(companyA)]);
+        await read(loader, { scope: null });
+        expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    test('una compañía desconocida invalida todos los ámbitos del modelo', async () => {
+        const loader = jest.fn(async () => []);
+        await read(loader, { scope: String(companyB) });
+        await readCache.invalidate(Model, [undefined]);
+        await read(loader, { scope: String(companyB) });
+
+        expect(loader).toHaveBeenCalledTimes(2);
+        expect(client.store.get('read_cache:ReadCacheTestItem:version')).toBe('1');
+    });
+
+    test('si Redis falla lee de la base de datos', async () => {
+        client.mget.mockRejectedValue(new Error('connection lost'));
+        const loader = jest.fn(async () => ['db']);
+
+        await expect(read(loader)).resolves.toEqual(['db']);
+        expect(readCache.getStats().errors).toBe(1);
+    });
+
+    test.each([
+        ['el modelo no usa caché', () => Uncached],
+        ['la caché está desactivada', () => { process.env.READ_CACHE_ENABLED = 'false'; return Model; }],
+        ['Redis no está conectado', () => { redisService.client.status = 'reconnecting'; return Model; }],
+        ['el modelo tiene campos encriptados', () => Object.assign(Object.create(Model), { encryptedField: () => null })],
+    ])('no usa Redis si %s', async (name, getModel) => {
+        const loader = jest.fn(async () => []);
+        await readCache.wrap(getModel(), { method: 'selectAll', scope: null, query: {} }, loader);
+        await readCache.invalidate(getModel(), [null]);
+
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(client.mget).not.toHaveBeenCalled();
+        expect(client.multi).not.toHaveBeenCalled();
+    });
+});
+
+describe('BaseService con caché', () => {
+    const service = new BaseService(Model);
+    let client;
+
+    beforeEach(() => {
+        client = mockRedis();
+        redisService.client = client;
+    });
+
+    afterEach(() => {
+        redisService.client = null;
+        jest.restoreAllMocks();
+    });
+
+    const version = (company) => client.store.get(`read_cache:ReadCacheTestItem:${company}:version`);
+
+    test('selectOne usa la compañía del filtro como ámbito', async () => {
+        const findOne = jest.spyOn(Model, 'findOne').mockReturnValue(mockQuery({ _id: 1, name: 'a' }));
+
+        await service.selectOne({ _id: '1' }, { company: companyA, _id: '1' });
+        await service.selectOne({ _id: '1' }, { company: companyA, _id: '1' });
+
+        expect(findOne).toHaveBeenCalledTimes(1);
+        expect(client.get.mock.calls[0][0]).toContain(`:${companyA}:`);
+    });
+
+    test('al mover un documento de compañía invalida la de origen y la de destino', async () => {
+        const doc = Model.hydrate({ _id: new mongoose.Types.ObjectId(), company: companyA, name: 'a', __v: 0 });
+        jest.spyOn(doc, 'save').mockResolvedValue(doc);
+        jest.spyOn(Model, 'findOne').mockResolvedValue(doc);
+
+        await service.update(null, 'ana', doc.id, { company: companyB });
+
+        expect(version(companyA)).toBe('1');
+        expect(version(companyB)).toBe('1');
+        expect(version('all')).toBe('1');
+    });
+});
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const pino = require('pino');
+const { REDACTED, censor, getRedactPaths, maskEmail, maskPhone, maskSecret, redact } = require('../lib/redaction');
+const logger = require('../lib/logger');
+
+/**
+ * Logger de pino con la misma configuración de redacción que `lib/logger`, que devuelve las líneas escritas.
+ */
+const captureLogger = () => {
+    const lines = [];
+    const stream = { write: line => lines.push(JSON.parse(line)) };
+    return { log: pino({ redact: { paths: getRedactPaths(), censor } }, stream), lines };
+};
+
+describe('redaction', () => {
+    afterEach(() => {
+        delete process.env.LOG_REDACT_KEYS;
+        delete process.env.LOG_REDACT_PATHS;
+    });
+
+    describe('enmascarado', () => {
+        test('maskEmail deja la inicial y el dominio', () => {
+            expect(maskEmail('ana.perez@example.com')).toBe('a***@example.com');
+            expect(maskEmail('no-email')).toBe(REDACTED);
+        });
+
+        test('maskPhone deja los 4 últimos dígitos', () => {
+            expect(maskPhone('+51 987 654 321')).toBe('*******4321');
+            expect(maskPhone('123')).toBe(REDACTED);
+        });
+
+        test('maskSecret indica la longitud y solo muestra el prefijo de secretos largos', () => {
+            expect(maskSecret('abc')).toBe('[REDACTED:3]');
+            expect(maskSecret('EAAG'.padEnd(20, 'x'), 4)).toBe('EAAG…[REDACTED:20]');
+            expect(maskSecret('EAAGxx', 4)).toBe('[REDACTED:6]');
+        });
+    });
+
+    describe('redact', () => {
+        test('censura los campos sensibles a cualquier profundidad sin modificar el original', () => {
+            const payload = {
+                entry: [{ changes: [{ value: { messages: [{ from: '51987654321', text: { body: 'hola' } }] } }] }],
+                credentials: { access_token: 'EAAG123', 'X-Hub-Signature-256': 'sha256=abc' },
+                contact: { email: 'ana@example.com', phone_number: '987654321' },
+                range: { from: '2024-01-01', to: '2024-02-01' },
+            };
+            const copy = JSON.parse(JSON.stringify(payload));
+
+            expect(redact(payload)).toEqual({
+                entry: [{ changes: [{ value: { messages: [{ from: '*******4321', text: { body: REDACTED } }] } }] }],
+                credentials: { access_token: REDACTED, 'X-Hub-Signature-256': REDACTED },
+                contact: { email: 'a***@example.com', phone_number: '*****4321' },
+                range: { from: '2024-01-01', to: '2024-02-01' },
+            });
+            expect(payload).toEqual(copy);
+        });
+
+        test('oculta entero un objeto bajo un campo secreto', () => {
+            expect(redact({ token: { value: 'x', expires: 1 } })).toEqual({ token: REDACTED });
+        });
+
+        test('convierte los documentos de Mongoose y deja tal cual fechas y ObjectId', () => {
+            const Model = mongoose.model('RedactionTestItem', new mongoose.Schema({ email: String, created_at: Date }));
+            const id = new mongoose.Types.ObjectId();
+            const date = new Date();
+            const result = redact({ doc: new Model({ _id: id, email: 'ana@example.com', created_at: date }) });
+            expect(result.doc).toEqual({ _id: id, email: 'a***@example.com', created_at: date });
+        });
+
+        test('admite campos adicionales con LOG_REDACT_KEYS', () => {
+            jest.isolateModules(() => {
+                process.env.LOG_REDACT_KEYS = 'dni, taxId';
+                const isolated = require('../lib/redaction');
+                expect(isolated.redact({ dni: '12345678', tax_id: 'x', name: 'Ana' })).toEqual({ dni: REDACTED, tax_id: REDACTED, name: 'Ana' });
+            });
+        });
+    });
+
+    describe('logger', () => {
+        test('censura cabeceras, tokens, emails y teléfonos en los objetos registrados', () => {
+            const { log, lines } = captureLogger();
+            log.info({
+                req: { headers: { authorization: 'Bearer abc', 'x-user-name': 'ana', accept: 'application/json' } },
+                accessToken: 'EAAG123',
+                user: { email: 'ana@example.com', phone: '987654321' },
+            }, 'petición');
+
+            expect(lines[0]).toMatchObject({
+                req: { headers: { authorization: REDACTED, 'x-user-name': REDACTED, accept: 'application/json' } },
+                accessToken: REDACTED,
+                user: { email: 'a***@example.com', phone: '*****4321' },
+            });
+        });
+
+        test('admite rutas adicionales con LOG_REDACT_PATHS', () => {
+            process.env.LOG_REDACT_PATHS = 'payload.document';
+            const { log, lines } = captureLogger();
+            log.info({ payload: { document: '12345678', type: 'dni' } });
+            expect(lines[0].payload).toEqual({ document: REDACTED, type: 'dni' });
+        });
+
+        test('forModule añade el módulo a cada línea', () => {
+            const child = logger.forModule('redisService');
+            expect(child.bindings()).toEqual({ module: 'redisService' });
+        });
+    });
+});
@@ -0,0 +1,153 @@
+const { RedisService } = require('../lib/redisService');
+const { LockNotAcquiredError } = require('../lib/errors');
+const { mockRedis } = require('./helpers');
+
+/**
+ * Cliente de Redis en memoria que ejecuta los scripts de los locks (adquirir, renovar y liberar) sin expiración.
+ */
+const mockLockRedis = () => {
+    const client = mockRedis();
+    const { store } = client;
+    client.eval = jest.fn(async (script, numKeys, ...args) => {
+        if (script.includes("'INCR'")) {
+            const [key, fencingKey, token] = args;
+            if (store.has(key)) return null;
+            store.set(key, token);
+            return client.incr(fencingKey);
+        }
+        const [key, token] = args;
+        if (store.get(key) !== token) return 0;
+        return script.includes("'DEL'") ? Number(store.delete(key)) : 1;
+    });
+    return client;
+};
+
+describe('RedisService locks', () => {
+    let service;
+    let client;
+
+    beforeEach(() => {
+        service = new RedisService({ url: 'redis://localhost:6379' });
+        client = mockLockRedis();
+        service.client = client;
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('acquireLock', () => {
+        test('adquiere el lock con un fencing token creciente y solo lo libera su dueño', async () => {
+            const first = await service.acquireLock('job');
+            expect(first).toMatchObject({ name: 'job', key: 'lock:job', fencingToken: 1, ttl: 30000 });
+            await expect(service.acquireLock('job')).resolves.toBeNull();
+
+            await expect(service.releaseLock({ ...first, token: 'other' })).resolves.toBe(false);
+            await expect(service.releaseLock(first)).resolves.toBe(true);
+            await expect(service.acquireLock('job')).resolves.toMatchObject({ fencingToken: 2 });
+        });
+
+        test('reintenta hasta el timeout mientras el lock está ocupado', async () => {
+            const held = await service.acquireLock('job');
+            setTimeout(() => service.releaseLock(held), 30);
+
+            const lock = await service.acquireLock('job', { timeout: 1000, retryDelay: 10, maxRetryDelay: 20 });
+            expect(lock).toMatchObject({ fencingToken: 2 });
+            expect(client.eval.mock.calls.filter(([script]) => script.includes("'INCR'")).length).toBeGreaterThan(2);
+        });
+
+        test('falla si Redis devuelve un error, en lugar de dar el lock por ocupado', async () => {
+            client.eval.mockRejectedValueOnce(new Error('READONLY'));
+            await expect(service.acquireLock('job', { timeout: 1000 })).rejects.toThrow('READONLY');
+        });
+
+        test('falla si el cliente no está conectado', async () => {
+            client.status = 'reconnecting';
+            await expect(service.acquireLock('job')).rejects.toThrow('not available');
+        });
+    });
+
+    describe('withLock', () => {
+        test('ejecuta la función con el lock y lo libera al terminar, también si falla', async () => {
+            await expect(service.withLock('job', async ({ fencingToken, signal }) => {
+                expect(signal.aborted).toBe(false);
+                return fencingToken;
+            })).resolves.toBe(1);
+            expect(client.store.has('lock:job')).toBe(false);
+
+            await expect(service.withLock('job', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+            expect(client.store.has('lock:job')).toBe(false);
+        });
+
+        test('responde con LockNotAcquiredError si el lock está ocupado', async () => {
+            await service.acquireLock('job');
+            const fn = jest.fn();
+            await expect(service.withLock('job', fn)).rejects.toBeInstanceOf(LockNotAcquiredError);
+            expect(fn).not.toHaveBeenCalled();
+        });
+
+        test('no confunde una caída de Redis con un lock ocupado', async () => {
+            client.eval.mockRejectedValueOnce(new Error('connection lost'));
+            const error = await service.withLock('job', jest.fn()).catch(e => e);
+            expect(error).not.toBeInstanceOf(LockNotAcquiredError);
+            expect(error.message).toBe('connection lost');
+        });
+
+        test('renueva el lock sin solapar renovaciones y deja de hacerlo al terminar', async () => {
+            jest.useFakeTimers();
+            let resolveExtend;
+            const extendLock = jest.spyOn(service, 'extendLock').mockImplementation(() => new Promise(resolve => { resolveExtend = resolve; }));
+            let finish;
+            const running = service.withLock('job', () => new Promise(resolve => { finish = resolve; }), { ttl: 300 });
+            await jest.advanceTimersByTimeAsync(0);
+
+            // La primera renovación tarda: no se programa otra hasta que responde.
+            await jest.advanceTimersByTimeAsync(500);
+            expect(extendLock).toHaveBeenCalledTimes(1);
+            resolveExtend(true);
+            await jest.advanceTimersByTimeAsync(100);
+            expect(extendLock).toHaveBeenCalledTimes(2);
+            resolveExtend(true);
+
+            finish('done');
+            await expect(running).resolves.toBe('done');
+            await jest.advanceTimersByTimeAsync(1000);
+            expect(extendLock).toHaveBeenCalledTimes(2);
+            expect(jest.getTimerCount()).toBe(0);
+        });
+
+        test('si el lock se pierde aborta la señal y falla aunque la función termine bien', async () => {
+            jest.useFakeTimers();
+            let signal;
+            let finish;
+            const running = service.withLock('job', (lock) => {
+                signal = lock.signal;
+                return new Promise(resolve => { finish = resolve; });
+            }, { ttl: 300 });
+            await jest.advanceTimersByTimeAsync(0);
+
+            // Otro proceso se queda con la clave: la renovación falla.
+            client.store.set('lock:job', 'other');
+            await jest.advanceTimersByTimeAsync(100);
+            expect(signal.aborted).toBe(true);
+
+            finish('done');
+            await expect(running).rejects.toBeInstanceOf(LockNotAcquiredError);
+            // El lock del otro proceso no se libera.
+            expect(client.store.get('lock:job')).toBe('other');
+        });
+
+        test('si el lock se pierde informa de ello en lugar del error de la función', async () => {
+            jest.useFakeTimers();
+            const running = service.withLock('job', ({ signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new Error('cancelled')));
+            }), { ttl: 300 });
+            await jest.advanceTimersByTimeAsync(0);
+
+            client.store.delete('lock:job');
+            const result = running.catch(e => e);
+            await jest.advanceTimersByTimeAsync(100);
+            await expect(result).resolves.toBeInstanceOf(LockNotAcquiredError);
+        });
+    });
+});
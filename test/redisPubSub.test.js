@@ -0,0 +1,139 @@
+const EventEmitter = require('events');
+const { RedisService } = require('../lib/redisService');
+
+/**
+ * Conexión de suscripciones simulada: empieza conectando y registra los comandos de Pub/Sub.
+ */
+const mockSubscriber = () => {
+    const subscriber = new EventEmitter();
+    subscriber.status = 'connecting';
+    ['subscribe', 'psubscribe', 'unsubscribe', 'punsubscribe', 'quit'].forEach((command) => {
+        subscriber[command] = jest.fn(async () => 'OK');
+    });
+    subscriber.disconnect = jest.fn(() => { subscriber.status = 'end'; });
+    subscriber.connect = () => {
+        subscriber.status = 'ready';
+        subscriber.emit('ready');
+    };
+    return subscriber;
+};
+
+/**
+ * Espera a que se ejecuten las promesas pendientes.
+ */
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RedisService Pub/Sub', () => {
+    let service;
+    let subscriber;
+
+    beforeEach(() => {
+        service = new RedisService({ url: 'redis://localhost:6379' });
+        subscriber = mockSubscriber();
+        service.client = { status: 'ready', duplicate: jest.fn(() => subscriber) };
+    });
+
+    /**
+     * Se suscribe completando la primera conexión de la conexión de suscripciones.
+     */
+    const subscribe = async (method, target, handler) => {
+        const subscribing = service[method](target, handler);
+        await flush();
+        if (subscriber.status === 'connecting') subscriber.connect();
+        return subscribing;
+    };
+
+    test('crea una sola conexión dedicada sin autoResubscribe y envía un único SUBSCRIBE', async () => {
+        await subscribe('subscribe', 'updates', jest.fn());
+        await subscribe('subscribe', 'updates', jest.fn());
+        await subscribe('psubscribe', 'updates:*', jest.fn());
+        await flush();
+
+        expect(service.client.duplicate).toHaveBeenCalledTimes(1);
+        expect(service.client.duplicate).toHaveBeenCalledWith({ autoResubscribe: false });
+        expect(subscriber.subscribe.mock.calls).toEqual([['updates']]);
+        expect(subscriber.psubscribe.mock.calls).toEqual([['updates:*']]);
+    });
+
+    test('tras conectar solo quedan los listeners permanentes', async () => {
+        await subscribe('subscribe', 'updates', jest.fn());
+        expect(subscriber.listenerCount('ready')).toBe(1);
+        expect(subscriber.listenerCount('error')).toBe(1);
+    });
+
+    test('entrega los mensajes parseados a cada handler, aunque otro falle', async () => {
+        const failing = jest.fn(() => { throw new Error('boom'); });
+        const handler = jest.fn();
+        const patternHandler = jest.fn();
+        await subscribe('subscribe', 'updates', failing);
+        await subscribe('subscribe', 'updates', handler);
+        await subscribe('psubscribe', 'updates:*', patternHandler);
+
+        subscriber.emit('message', 'updates', '{"id":1}');
+        subscriber.emit('pmessage', 'updates:*', 'updates:c1', 'plain text');
+        await flush();
+
+        expect(failing).toHaveBeenCalled();
+        expect(handler).toHaveBeenCalledWith({ id: 1 }, 'updates', undefined);
+        expect(patternHandler).toHaveBeenCalledWith('plain text', 'updates:c1', 'updates:*');
+    });
+
+    test('cancela la suscripción al retirar el último handler', async () => {
+        const first = await subscribe('subscribe', 'updates', jest.fn());
+        const second = await subscribe('subscribe', 'updates', jest.fn());
+
+        await first();
+        await first();
+        expect(subscriber.unsubscribe).not.toHaveBeenCalled();
+        await second();
+        expect(subscriber.unsubscribe).toHaveBeenCalledWith('updates');
+        expect(service.subscriptions.has('updates')).toBe(false);
+    });
+
+    test('al reconectar restaura los canales y patrones registrados', async () => {
+        await subscribe('subscribe', 'updates', jest.fn());
+        await subscribe('psubscribe', 'updates:*', jest.fn());
+
+        subscriber.status = 'reconnecting';
+        // Una suscripción registrada mientras se reconecta se envía al restaurar, no antes.
+        await service.subscribe('alerts', jest.fn());
+        expect(subscriber.subscribe.mock.calls).toEqual([['updates']]);
+
+        subscriber.connect();
+        await flush();
+        expect(subscriber.subscribe.mock.calls).toEqual([['updates'], ['updates', 'alerts']]);
+        expect(subscriber.psubscribe.mock.calls).toEqual([['updates:*'], ['updates:*']]);
+    });
+
+    test('si la primera conexión falla la cierra, retira sus listeners y permite reintentar', async () => {
+        const subscribing = service.subscribe('updates', jest.fn());
+        await flush();
+        subscriber.emit('error', new Error('ECONNREFUSED'));
+
+        await expect(subscribing).resolves.toBeNull();
+        expect(subscriber.disconnect).toHaveBeenCalled();
+        expect(subscriber.listenerCount('ready')).toBe(1);
+        expect(service.subscriber).toBeNull();
+        expect(service.subscriptions.size).toBe(0);
+
+        const retry = mockSubscriber();
+        service.client.duplicate.mockReturnValue(retry);
+        subscriber = retry;
+        await expect(subscribe('subscribe', 'updates', jest.fn())).resolves.toEqual(expect.any(Function));
+        expect(retry.subscribe).toHaveBeenCalledWith('updates');
+    });
+
+    test('no abre la conexión de suscripciones sin un cliente conectado', async () => {
+        service.client.status = 'reconnecting';
+        await expect(service.subscribe('updates', jest.fn())).resolves.toBeNull();
+        await expect(service._getSubscriber()).rejects.toThrow('not available');
+
+        service.client = null;
+        await expect(service._getSubscriber()).rejects.toThrow('not available');
+    });
+
+    test('rechaza handlers que no son funciones', async () => {
+        await expect(service.subscribe('updates', 'handler')).resolves.toBeNull();
+        expect(service.client.duplicate).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { AxiosHeaders } = require('axios');
+const requestContext = require('../lib/requestContext');
+const internalApiClient = require('../lib/axiosClient');
+const requestContextMiddleware = require('../src/middlewares/requestContextMiddleware');
+const authClient = require('../src/middlewares/authClient');
+const GlobalService = require('../src/services/GlobalService');
+const BaseController = require('../src/controllers/BaseController');
+const { mockRequest, mockResponse } = require('./helpers');
+
+describe('requestContext', () => {
+    test('fuera de un contexto no hay datos ni actor', () => {
+        expect(requestContext.getContext()).toBeNull();
+        expect(requestContext.getActor()).toBeNull();
+        expect(requestContext.setContext({ username: 'ana' })).toBe(false);
+    });
+
+    test('setContext completa el contexto en curso', () => {
+        requestContext.run({ requestId: 'r1' }, () => {
+            expect(requestContext.setContext({ username: 'ana' })).toBe(true);
+            expect(requestContext.getContext()).toEqual({ requestId: 'r1', username: 'ana' });
+            expect(requestContext.getActor()).toBe('ana');
+        });
+    });
+
+    test.each([
+        ['un array JSON', '["admin", " user "]', ['admin', 'user']],
+        ['una lista separada por comas', 'admin, ,user', ['admin', 'user']],
+        ['un string JSON', '"admin"', ['admin']],
+        ['un valor vacío', undefined, []],
+    ])('parseRoles admite %s', (name, value, expected) => {
+        expect(requestContext.parseRoles(value)).toEqual(expected);
+    });
+});
+
+describe('requestContextMiddleware', () => {
+    afterEach(() => {
+        delete process.env.INTERNAL_SIGNING_DISABLED;
+    });
+
+    const run = (headers) => {
+        const req = mockRequest({ headers });
+        const res = mockResponse();
+        let context;
+        requestContextMiddleware(req, res, () => {
+            context = requestContext.getContext();
+        });
+        return { req, res, context };
+    };
+
+    test('propaga el X-Request-Id recibido y el origen', () => {
+        const { req, res, context } = run({ 'X-Request-Id': 'abc', 'X-Source-Type': 'webhook' });
+        expect(context).toEqual({ requestId: 'abc', sourceType: 'webhook' });
+        expect(req.requestId).toBe('abc');
+        expect(res.headers['X-Request-Id']).toBe('abc');
+    });
+
+    test('genera un identificador si no se recibe', () => {
+        const { context, res } = run({});
+        expect(context.requestId).toMatch(/^[0-9a-f-]{36}$/);
+        expect(res.headers['X-Request-Id']).toBe(context.requestId);
+    });
+
+    test('no toma la identidad de cabeceras sin verificar', () => {
+        const { context } = run({ 'X-Company-Id': 'c1', 'X-User-Name': 'mallory' });
+        expect(context).not.toHaveProperty('companyId');
+        expect(context).not.toHaveProperty('username');
+    });
+
+    test('authClient añade el usuario al contexto creado por el middleware', async () => {
+        process.env.INTERNAL_SIGNING_DISABLED = 'true';
+        const headers = { 'X-Request-Id': 'abc', 'X-Company-Id': 'c1', 'X-User-Id': 'u1', 'X-User-Name': 'ana' };
+        const context = await new Promise((resolve) => {
+            requestContextMiddleware(mockRequest({ headers }), mockResponse(), () => {
+                authClient(mockRequest({ headers }), mockResponse(), () => resolve(requestContext.getContext()));
+            });
+        });
+        expect(context).toMatchObject({ requestId: 'abc', companyId: 'c1', userId: 'u1', username: 'ana', authenticated: true });
+    });
+});
+
+describe('propagación del contexto', () => {
+    const intercept = (config) => internalApiClient.interceptors.request.handlers[0].fulfilled({
+        url: '/items',
+        headers: new AxiosHeaders(),
+        ...config,
+    });
+
+    test('axiosClient reenvía el contexto verificado en las cabeceras', async () => {
+        const context = { requestId: 'r1', companyId: 'c1', userId: 'u1', username: 'ana', roles: ['admin'], authenticated: true };
+        const config = await requestContext.run(context, () => intercept());
+        expect(config.headers.toJSON()).toMatchObject({
+            'X-Request-Id': 'r1',
+            'X-Company-Id': 'c1',
+            'X-User-Id': 'u1',
+            'X-User-Name': 'ana',
+            'X-User-Roles': '["admin"]',
+        });
+    });
+
+    test('axiosClient no reenvía una identidad sin verificar', async () => {
+        const config = await requestContext.run({ requestId: 'r1', companyId: 'c1', username: 'mallory' }, () => intercept());
+        expect(config.headers.toJSON()).toEqual({ 'X-Request-Id': 'r1' });
+    });
+
+    test('las cabeceras explícitas tienen prioridad', async () => {
+        const config = await requestContext.run({ requestId: 'r1', username: 'ana', authenticated: true }, () => intercept({ headers: new AxiosHeaders({ 'X-User-Name': 'bot' }) }));
+        expect(config.headers.get('X-User-Name')).toBe('bot');
+        expect(config.headers.get('X-Request-Id')).toBe('r1');
+    });
+
+    test('los controladores solo toman el usuario fijado por la autenticación', () => {
+        const controller = new BaseController(new GlobalService(mongoose.model('RequestContextTestItem', new mongoose.Schema({ name: String }))));
+        const user = requestContext.run({ companyId: 'c1', username: 'ana' }, () => controller._getUser(mockRequest()));
+        expect(user).toEqual({});
+        expect(controller._getUser(mockRequest({ token: { username: 'eva' } }))).toEqual({ username: 'eva' });
+    });
+});
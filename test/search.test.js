@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const BaseService = require('../src/services/BaseService');
+
+const buildService = (name, definition, options) => new BaseService(mongoose.model(name, new mongoose.Schema(definition, options)));
+
+describe('BaseService free-text search', () => {
+    describe('modo regex', () => {
+        const service = buildService('SearchRegexItem', {
+            name: String,
+            sku: String,
+            notes: { type: String, searchable: false },
+            price: Number,
+            created_by: String,
+        });
+
+        test('busca en los campos String salvo los de auditoría y los no buscables', () => {
+            const filter = service._buildSearchFilter('ana');
+            expect(filter.$or.map(condition => Object.keys(condition)[0])).toEqual(['name', 'sku']);
+        });
+
+        test('escapa los caracteres especiales para buscar de forma literal', () => {
+            const { $or: [{ name: { $regex: pattern } }] } = service._buildSearchFilter('a.b*(c');
+            expect(pattern.source).toBe('a\\.b\\*\\(c');
+            expect(pattern.flags).toBe('i');
+            expect(pattern.test('xA.B*(Cx')).toBe(true);
+            expect(pattern.test('axbbbc')).toBe(false);
+        });
+
+        test('usa los searchFields del esquema', () => {
+            const configured = buildService('SearchFieldsItem', { name: String, sku: String }, { searchFields: { sku: 5 } });
+            expect(configured._buildSearchFilter('x').$or.map(condition => Object.keys(condition)[0])).toEqual(['sku']);
+        });
+
+        test('sin campos buscables no filtra', () => {
+            const numeric = buildService('SearchNumericItem', { price: Number });
+            expect(numeric._buildSearchFilter('x')).toEqual({});
+        });
+    });
+
+    describe('modo text', () => {
+        const schema = new mongoose.Schema({ name: String, sku: String }, { searchMode: 'text', searchFields: { name: 10, sku: 5 } });
+        BaseService.applySearchIndex(schema);
+        const service = new BaseService(mongoose.model('SearchTextItem', schema));
+
+        test('declara el índice de texto con los pesos de searchFields', () => {
+            expect(schema.indexes()).toContainEqual([
+                { name: 'text', sku: 'text' },
+                expect.objectContaining({ weights: { name: 10, sku: 5 }, name: 'search_text_index' }),
+            ]);
+        });
+
+        test('usa $text y proyecta la puntuación de relevancia', () => {
+            expect(service._buildSearchFilter('ana')).toEqual({ $text: { $search: 'ana' } });
+            expect(service._isTextSearch({ search: 'ana' })).toBe(true);
+            expect(service._isTextSearch({})).toBe(false);
+        });
+
+        test('applySearchIndex exige searchFields', () => {
+            expect(() => BaseService.applySearchIndex(new mongoose.Schema({ name: String }))).toThrow('searchFields');
+        });
+    });
+
+    describe('_buildProjection', () => {
+        const service = buildService('ProjectionItem', { name: String, email: String });
+
+        test('por defecto excluye los campos de auditoría y de borrado', () => {
+            expect(service._buildProjection()).toEqual({
+                created_by: 0, created_at: 0, updated_by: 0, updated_at: 0, deleted_at: 0, deleted_by: 0,
+            });
+        });
+
+        test('en inclusión añade los campos requeridos', () => {
+            expect(service._buildProjection('name', ['created_at'])).toEqual({ name: 1, created_at: 1 });
+        });
+
+        test('en exclusión no excluye los campos requeridos', () => {
+            expect(service._buildProjection('-name,-created_at', ['created_at'])).toEqual({ name: 0 });
+        });
+
+        test('admite -_id en una proyección de inclusión', () => {
+            expect(service._buildProjection('name,email,-_id')).toEqual({ name: 1, email: 1, _id: 0 });
+        });
+    });
+});
@@ -0,0 +1,3 @@
+// Configuración común de las pruebas: logs silenciados y en JSON (sin el transporte de pino-pretty).
+process.env.LOG_LEVEL = 'silent';
+process.env.NODE_ENV = 'production';
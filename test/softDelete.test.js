@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const BaseService = require('../src/services/BaseService');
+const CompanyScopedService = require('../src/services/CompanyScopedService');
+const { mockQuery } = require('./helpers');
+
+const Model = mongoose.model('SoftDeleteTestItem', new mongoose.Schema({
+    company: mongoose.Schema.Types.ObjectId,
+    name: String,
+    active: { type: Boolean, default: true },
+    deleted_at: { type: Date, default: null },
+    deleted_by: { type: String, default: null },
+    updated_by: String,
+}));
+
+const hydrate = (fields) => {
+    const doc = Model.hydrate({ _id: new mongoose.Types.ObjectId(), name: 'a', active: true, ...fields });
+    jest.spyOn(doc, 'save').mockImplementation(async () => doc);
+    return doc;
+};
+
+describe('BaseService soft-delete lifecycle', () => {
+    const service = new BaseService(Model);
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('lecturas', () => {
+        test('por defecto oculta los documentos eliminados', () => {
+            expect(service._buildFilter({ name: 'a' })).toEqual({ active: { $ne: false }, name: 'a' });
+        });
+
+        test('includeDeleted devuelve también los eliminados', () => {
+            expect(service._buildFilter({ includeDeleted: 'true' })).toEqual({});
+        });
+
+        test('onlyDeleted devuelve la papelera', () => {
+            expect(service._buildFilter({ onlyDeleted: 'true' })).toEqual({ active: false });
+        });
+
+        test('respeta un filtro explícito por active', () => {
+            expect(service._buildFilter({ active: 'false', onlyDeleted: 'false' })).toEqual({ active: false });
+        });
+
+        test('los modelos sin active no filtran', () => {
+            const plain = new BaseService(mongoose.model('SoftDeletePlainItem', new mongoose.Schema({ name: String })));
+            expect(plain._buildFilter({})).toEqual({});
+        });
+    });
+
+    describe('delete', () => {
+        test('marca el documento como eliminado y registra quién y cuándo', async () => {
+            const doc = hydrate();
+            const findOne = jest.spyOn(Model, 'findOne').mockResolvedValue(doc);
+
+            await expect(service.delete(null, 'ana', doc.id)).resolves.toEqual({ status: 'deleted', deleted: doc._id });
+            expect(findOne).toHaveBeenCalledWith({ _id: doc.id, active: { $ne: false } });
+            expect(doc).toMatchObject({ active: false, deleted_by: 'ana', updated_by: 'ana' });
+            expect(doc.deleted_at).toBeInstanceOf(Date);
+        });
+
+        test('un documento ya eliminado no se encuentra', async () => {
+            jest.spyOn(Model, 'findOne').mockResolvedValue(null);
+            await expect(service.delete(null, 'ana', '665f1b2c3d4e5f6a7b8c9d0e')).rejects.toThrow('not found');
+        });
+    });
+
+    describe('restore', () => {
+        test('restaura un documento eliminado y limpia los campos de borrado', async () => {
+            const doc = hydrate({ active: false, deleted_at: new Date(), deleted_by: 'ana' });
+            const findOne = jest.spyOn(Model, 'findOne').mockResolvedValue(doc);
+
+            await expect(service.restore(null, 'eva', doc.id)).resolves.toEqual({ status: 'restored', restored: doc._id });
+            expect(findOne).toHaveBeenCalledWith({ _id: doc.id, active: false });
+            expect(doc).toMatchObject({ active: true, deleted_at: null, deleted_by: null, updated_by: 'eva' });
+        });
+
+        test('solo restaura documentos eliminados', async () => {
+            jest.spyOn(Model, 'findOne').mockResolvedValue(null);
+            await expect(service.restore(null, 'eva', '665f1b2c3d4e5f6a7b8c9d0e')).rejects.toThrow('Deleted SoftDeleteTestItem not found');
+        });
+
+        test('en servicios por compañía restringe la búsqueda a la compañía', async () => {
+            const companyId = new mongoose.Types.ObjectId().toString();
+            const findOne = jest.spyOn(Model, 'findOne').mockResolvedValue(null);
+            await expect(new CompanyScopedService(Model).restore(companyId, 'eva', 'x')).rejects.toThrow('not found');
+            expect(String(findOne.mock.calls[0][0].company)).toBe(companyId);
+        });
+    });
+
+    describe('purge', () => {
+        beforeEach(() => {
+            jest.spyOn(Date, 'now').mockReturnValue(new Date('2026-03-31T00:00:00.000Z').getTime());
+        });
+
+        test('elimina los documentos en la papelera más antiguos que la retención', async () => {
+            const deleteMany = jest.spyOn(Model, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+
+            await expect(service.purge(null)).resolves.toEqual({ status: 'purged', purged: 3 });
+            const cutoff = new Date('2026-03-01T00:00:00.000Z');
+            expect(deleteMany).toHaveBeenCalledWith({
+                active: false,
+                $or: [
+                    { deleted_at: { $lt: cutoff } },
+                    { deleted_at: null, updated_at: { $lt: cutoff } },
+                ],
+            });
+        });
+
+        test('admite otro periodo de retención', async () => {
+            const deleteMany = jest.spyOn(Model, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+            await service.purge(null, { olderThanDays: '0' });
+            expect(deleteMany.mock.calls[0][0].$or[0].deleted_at.$lt).toEqual(new Date('2026-03-31T00:00:00.000Z'));
+        });
+
+        test.each(['-1', 'abc'])('rechaza olderThanDays=%s con 400', async (olderThanDays) => {
+            const deleteMany = jest.spyOn(Model, 'deleteMany');
+            await expect(service.purge(null, { olderThanDays })).rejects.toMatchObject({ status: 400 });
+            expect(deleteMany).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('operaciones masivas', () => {
+        test('solo afectan a documentos no eliminados', async () => {
+            const find = jest.spyOn(Model, 'find').mockReturnValue(mockQuery([]));
+            await service.deleteMany(null, 'ana', { ids: ['665f1b2c3d4e5f6a7b8c9d0e'] });
+            expect(find.mock.calls[0][0].active).toEqual({ $ne: false });
+        });
+
+        test('no pueden restaurar ni alterar el borrado', async () => {
+            await expect(service.updateMany(null, 'ana', { ids: ['665f1b2c3d4e5f6a7b8c9d0e'] }, { deleted_at: null }))
+                .rejects.toMatchObject({ status: 400, message: "Field 'deleted_at' cannot be modified." });
+        });
+    });
+});
@@ -0,0 +1,230 @@
+const EventEmitter = require('events');
+const StreamConsumer = require('../lib/streamConsumer');
+
+const STREAM = 'incoming';
+
+const entry = (id, payload) => [id, ['payload', typeof payload === 'string' ? payload : JSON.stringify(payload)]];
+
+/**
+ * `RedisService` simulado con una conexión de lectura en memoria. Las lecturas de mensajes nuevos (`>`) esperan
+ * hasta que se añaden con `reader.push` o se cierra la conexión, como una lectura bloqueante.
+ * @param {object} [options]
+ * @param {Array} [options.pending=[]] - Los mensajes que el consumidor dejó pendientes.
+ * @param {Object<string, number>} [options.deliveries={}] - Las entregas de cada mensaje pendiente.
+ */
+const mockStreamRedis = ({ pending = [], deliveries = {} } = {}) => {
+    const reader = new EventEmitter();
+    reader.status = 'ready';
+    const queue = [];
+    let wake = null;
+    reader.push = (...entries) => {
+        queue.push(...entries);
+        if (wake) wake();
+    };
+    reader.xreadgroup = jest.fn(async (...args) => {
+        const id = args[args.length - 1];
+        if (id !== '>') return [[STREAM, id === '0' ? pending : []]];
+        while (queue.length === 0) {
+            if (reader.status === 'end') throw new Error('Connection is closed.');
+            await new Promise(resolve => { wake = resolve; });
+        }
+        return [[STREAM, queue.splice(0, args[args.indexOf('COUNT') + 1])]];
+    });
+    reader.disconnect = jest.fn(() => {
+        reader.status = 'end';
+        if (wake) wake();
+    });
+
+    const multi = { xadd: jest.fn(() => multi), xack: jest.fn(() => multi), exec: jest.fn(async () => []) };
+    const client = {
+        status: 'ready',
+        duplicate: jest.fn(() => reader),
+        xack: jest.fn(async () => 1),
+        xpending: jest.fn(async (key, group, id) => [[id, 'consumer', 1000, deliveries[id] || 1]]),
+        xautoclaim: jest.fn(async () => ['0-0', []]),
+        multi: jest.fn(() => multi),
+    };
+    return { client, reader, multi, setupStreamGroup: jest.fn(async () => true) };
+};
+
+/**
+ * Espera a que se cumpla una condición, dejando avanzar las promesas pendientes.
+ */
+const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    expect(condition()).toBe(true);
+};
+
+describe('StreamConsumer', () => {
+    let consumer;
+
+    const createConsumer = (redis, options = {}) => {
+        consumer = new StreamConsumer({
+            streamKey: STREAM,
+            groupName: 'group',
+            consumerName: 'worker-1',
+            redis,
+            claimInterval: 60000,
+            handler: jest.fn(async () => {}),
+            ...options,
+        });
+        return consumer;
+    };
+
+    afterEach(async () => {
+        if (consumer) await consumer.stop({ timeout: 100 });
+        consumer = null;
+    });
+
+    test('exige stream, grupo y handler', () => {
+        expect(() => new StreamConsumer({ streamKey: STREAM })).toThrow('requires streamKey');
+    });
+
+    describe('start', () => {
+        test('espera a que la conexión de lectura esté lista y solo deja el listener de errores', async () => {
+            const redis = mockStreamRedis();
+            redis.reader.status = 'connecting';
+            const starting = createConsumer(redis).start();
+            await waitFor(() => redis.reader.listenerCount('ready') === 1);
+
+            redis.reader.status = 'ready';
+            redis.reader.emit('ready');
+            await starting;
+
+            expect(consumer.running).toBe(true);
+            expect(redis.reader.listenerCount('ready')).toBe(0);
+            expect(redis.reader.listenerCount('error')).toBe(1);
+        });
+
+        test('si la conexión de lectura falla la cierra y queda detenido', async () => {
+            const redis = mockStreamRedis();
+            redis.reader.status = 'connecting';
+            const starting = createConsumer(redis).start();
+            await waitFor(() => redis.reader.listenerCount('error') === 1);
+
+            redis.reader.emit('error', new Error('ECONNREFUSED'));
+            await expect(starting).rejects.toThrow('ECONNREFUSED');
+
+            expect(redis.reader.disconnect).toHaveBeenCalled();
+            expect(redis.reader.listenerCount('ready')).toBe(0);
+            expect(redis.reader.listenerCount('error')).toBe(0);
+            expect(consumer.reader).toBeNull();
+            expect(consumer.running).toBe(false);
+        });
+
+        test('falla si no se puede crear el grupo', async () => {
+            const redis = mockStreamRedis();
+            redis.setupStreamGroup.mockResolvedValue(false);
+            await expect(createConsumer(redis).start()).rejects.toThrow("No se pudo crear el grupo 'group'");
+            expect(redis.client.duplicate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('procesamiento', () => {
+        test('procesa los mensajes nuevos y los confirma', async () => {
+            const redis = mockStreamRedis();
+            const handler = jest.fn(async () => {});
+            await createConsumer(redis, { handler }).start();
+
+            redis.reader.push(entry('1-0', { text: 'hola' }));
+            await waitFor(() => consumer.stats.processed === 1);
+
+            expect(handler).toHaveBeenCalledWith({ text: 'hola' }, { id: '1-0', payload: { text: 'hola' }, deliveries: 1, streamKey: STREAM });
+            expect(redis.client.xack).toHaveBeenCalledWith(STREAM, 'group', '1-0');
+        });
+
+        test('procesa primero los pendientes propios con su número de entregas', async () => {
+            const redis = mockStreamRedis({ pending: [entry('1-0', { n: 1 })], deliveries: { '1-0': 3 } });
+            const handler = jest.fn(async () => {});
+            await createConsumer(redis, { handler }).start();
+
+            await waitFor(() => consumer.stats.processed === 1);
+            expect(handler.mock.calls[0][1]).toMatchObject({ id: '1-0', deliveries: 3 });
+        });
+
+        test('no procesa más mensajes a la vez que la concurrencia', async () => {
+            const redis = mockStreamRedis();
+            let active = 0;
+            let maxActive = 0;
+            const handler = jest.fn(async () => {
+                active += 1;
+                maxActive = Math.max(maxActive, active);
+                await new Promise(resolve => setImmediate(resolve));
+                active -= 1;
+            });
+            await createConsumer(redis, { handler, concurrency: 2 }).start();
+
+            redis.reader.push(...['1-0', '2-0', '3-0', '4-0', '5-0'].map(id => entry(id, { id })));
+            await waitFor(() => consumer.stats.processed === 5);
+            expect(maxActive).toBe(2);
+        });
+
+        test('si el handler falla deja el mensaje pendiente para reintentarlo', async () => {
+            const redis = mockStreamRedis();
+            await createConsumer(redis, { handler: jest.fn(async () => { throw new Error('boom'); }) }).start();
+
+            redis.reader.push(entry('1-0', {}));
+            await waitFor(() => consumer.stats.failed === 1);
+            expect(redis.client.xack).not.toHaveBeenCalled();
+            expect(redis.multi.xadd).not.toHaveBeenCalled();
+        });
+
+        test('en el último intento mueve el mensaje al dead-letter con el error', async () => {
+            const redis = mockStreamRedis({ pending: [entry('1-0', { n: 1 })], deliveries: { '1-0': 3 } });
+            await createConsumer(redis, { maxAttempts: 3, handler: jest.fn(async () => { throw new Error('boom'); }) }).start();
+
+            await waitFor(() => consumer.stats.deadLettered === 1);
+            const args = redis.multi.xadd.mock.calls[0];
+            expect(args.slice(0, 5)).toEqual(['incoming_dead_letter', 'MAXLEN', '~', 10000, '*']);
+            expect(args).toEqual(expect.arrayContaining(['originalId', '1-0', 'deliveries', 3, 'error', 'boom']));
+            expect(redis.multi.xack).toHaveBeenCalledWith(STREAM, 'group', '1-0');
+        });
+
+        test('descarta sin reintentos los mensajes que no se pueden parsear', async () => {
+            const redis = mockStreamRedis();
+            const handler = jest.fn();
+            await createConsumer(redis, { handler }).start();
+
+            redis.reader.push(entry('1-0', 'not json'));
+            await waitFor(() => consumer.stats.deadLettered === 1);
+            expect(handler).not.toHaveBeenCalled();
+            expect(redis.multi.xadd.mock.calls[0]).toEqual(expect.arrayContaining(['error', expect.stringContaining('Invalid payload')]));
+        });
+
+        test('reclama y procesa los mensajes pendientes inactivos', async () => {
+            const redis = mockStreamRedis({ deliveries: { '7-0': 2 } });
+            const handler = jest.fn(async () => {});
+            await createConsumer(redis, { handler, claimIdleTime: 1000 }).start();
+            redis.client.xautoclaim.mockResolvedValueOnce(['0-0', [entry('7-0', { n: 7 }), null]]);
+
+            await consumer._claimStale();
+            await waitFor(() => consumer.stats.processed === 1);
+
+            expect(redis.client.xautoclaim).toHaveBeenCalledWith(STREAM, 'group', 'worker-1', 1000, '0-0', 'COUNT', 1);
+            expect(handler.mock.calls[0][1]).toMatchObject({ id: '7-0', deliveries: 2 });
+            expect(consumer.stats.claimed).toBe(1);
+        });
+    });
+
+    describe('stop', () => {
+        test('espera a los mensajes en curso y cierra la conexión de lectura', async () => {
+            const redis = mockStreamRedis();
+            let finish;
+            const handler = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+            await createConsumer(redis, { handler }).start();
+            redis.reader.push(entry('1-0', {}));
+            await waitFor(() => handler.mock.calls.length === 1);
+
+            const stopping = consumer.stop();
+            expect(redis.reader.disconnect).toHaveBeenCalled();
+            finish();
+            await stopping;
+
+            expect(consumer.stats.processed).toBe(1);
+            expect(consumer.running).toBe(false);
+            expect(consumer.reader).toBeNull();
+        });
+    });
+});